@@ -0,0 +1,102 @@
+// The Express application: middleware, routes and error handlers
+// server.js starts it; tests (test/) start it on a free port of their own
+
+import express from 'express';
+import cors from 'cors';
+import dotenv from 'dotenv';
+import { v1Mounts } from './routes/mounts.js';
+import v2Routes from './routes/v2.js';
+import docsRoutes from './routes/docs.js';
+import { assignRequestId } from './middleware/requestId.js';
+import { apiEnvelope } from './middleware/apiEnvelope.js';
+import { mountMediaStatic } from './storage/index.js';
+
+dotenv.config();
+
+const app = express();
+
+// Behind a reverse proxy, trust its X-Forwarded-For so rate limits see real client IPs
+// (a hop count like 1, "true"/"false", or a comma-separated list of proxy addresses)
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY.trim();
+    const booleans = { true: true, false: false };
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : booleans[trustProxy] ?? trustProxy);
+}
+
+// Middleware
+app.use(assignRequestId);
+
+// CORS configuration - allows both local development and production frontend
+const allowedOrigins = [
+    'http://3.237.21.254',
+    'http://localhost:5173',  // Local development
+    'http://localhost:30082',  // Alternative local port
+    'https://justvibe-eight.vercel.app',  // Production frontend
+    process.env.CORS_ORIGIN  // Additional origin from environment variable
+].filter(Boolean); // Remove any undefined values
+
+app.use(cors({
+    origin: function (origin, callback) {
+        // Allow requests with no origin (like mobile apps or curl requests)
+        if (!origin) return callback(null, true);
+        
+        // Check if origin is in allowed list
+        if (allowedOrigins.includes(origin)) {
+            callback(null, true);
+        } else {
+            // In development, allow localhost origins
+            if (process.env.NODE_ENV !== 'production' && origin.includes('localhost')) {
+                callback(null, true);
+            } else {
+                callback(new Error('Not allowed by CORS'));
+            }
+        }
+    },
+    credentials: true,
+    exposedHeaders: ['X-Request-Id', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+}));
+
+// Installed before the body parsers so malformed request bodies also get the v2 envelope
+app.use('/v2', apiEnvelope);
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+// Static media (local storage driver and legacy uploads)
+mountMediaStatic(app);
+
+// Routes (see routes/mounts.js)
+for (const [path, routes] of v1Mounts) {
+    app.use(path, routes);
+}
+
+// Versioned API with a uniform JSON envelope; the routes above stay available during migration
+app.use('/v2', v2Routes);
+
+// Swagger UI and the OpenAPI documents generated from the route schemas
+app.use('/docs', docsRoutes);
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({ status: 'OK', message: 'JustVibe Backend is running' });
+});
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+    // Client errors raised by middleware (malformed JSON, oversized bodies) keep their status
+    if (err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({ error: err.expose ? err.message : 'Bad request' });
+    }
+
+    console.error(err.stack);
+    res.status(500).json({ 
+        error: 'Something went wrong!',
+        message: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+});
+
+// 404 handler
+app.use((req, res) => {
+    res.status(404).json({ error: 'Route not found' });
+});
+
+export default app;
@@ -1,7 +1,6 @@
 // Azure Blob Storage Configuration
 // This file provides utilities for Azure Blob Storage operations
-// Currently, media files are stored in Azure and URLs are in the database
-// This can be used for future file uploads if needed
+// Used by the Azure driver in storage/ for uploads, streaming and URL generation
 
 import dotenv from 'dotenv';
 
@@ -3,32 +3,39 @@ import dotenv from 'dotenv';
 
 dotenv.config();
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_KEY;
-
-if (!supabaseUrl || !supabaseKey) {
-    throw new Error('Missing Supabase environment variables. Please check your .env file.');
-}
-
-// Create Supabase client with service role key for admin operations
-export const supabase = createClient(supabaseUrl, supabaseKey, {
+const clientOptions = {
     auth: {
         autoRefreshToken: false,
         persistSession: false
     }
-});
-
-// Create Supabase client with anon key for client-side operations (if needed)
-export const supabaseAnon = createClient(
-    supabaseUrl, 
-    process.env.SUPABASE_KEY,
-    {
-        auth: {
-            autoRefreshToken: true,
-            persistSession: true
+};
+
+let supabase = null;
+
+/**
+ * Get the Supabase client with the service role key for admin operations
+ * Created on first use, so the server can boot without Supabase when DATA_BACKEND=memory
+ * @returns {object} Supabase client
+ */
+export const getSupabase = () => {
+    if (!supabase) {
+        const supabaseUrl = process.env.SUPABASE_URL;
+        const supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_KEY;
+
+        if (!supabaseUrl || !supabaseKey) {
+            throw new Error('Missing Supabase environment variables. Please check your .env file.');
         }
+
+        supabase = createClient(supabaseUrl, supabaseKey, clientOptions);
     }
-);
+    return supabase;
+};
 
-export default supabase;
+/**
+ * Create a throwaway client with the anon key, for password sign-ins
+ * A fresh client per sign-in keeps one user's session from leaking into another request
+ * @returns {object} Supabase client
+ */
+export const createAnonClient = () => createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY, clientOptions);
 
+export default getSupabase;
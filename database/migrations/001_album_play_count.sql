@@ -0,0 +1,33 @@
+-- Adds albums.play_count for GET /albums?sort=most_played and keeps it in sync with listening_history.
+-- Run once against databases created from an older schema.sql.
+
+ALTER TABLE albums ADD COLUMN IF NOT EXISTS play_count INTEGER NOT NULL DEFAULT 0;
+
+UPDATE albums
+SET play_count = counts.plays
+FROM (
+    SELECT album_id, COUNT(*) AS plays
+    FROM listening_history
+    WHERE album_id IS NOT NULL
+    GROUP BY album_id
+) AS counts
+WHERE albums.id = counts.album_id;
+
+CREATE INDEX IF NOT EXISTS idx_albums_created_at ON albums(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_albums_title ON albums(title, id);
+CREATE INDEX IF NOT EXISTS idx_albums_play_count ON albums(play_count, id);
+
+CREATE OR REPLACE FUNCTION increment_album_play_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.album_id IS NOT NULL THEN
+        UPDATE albums SET play_count = play_count + 1 WHERE id = NEW.album_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_history_album_play_count ON listening_history;
+CREATE TRIGGER trg_history_album_play_count
+    AFTER INSERT ON listening_history
+    FOR EACH ROW EXECUTE FUNCTION increment_album_play_count();
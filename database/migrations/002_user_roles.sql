@@ -0,0 +1,14 @@
+-- Adds user_profiles.role for admin-only catalog management routes.
+-- Promote an account with: UPDATE user_profiles SET role = 'admin' WHERE username = '<username>';
+
+ALTER TABLE user_profiles
+    ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'user'
+    CHECK (role IN ('user', 'admin'));
+
+-- Owners may still edit their profile with the anon key, but never its role. A column-level
+-- REVOKE would not undo Supabase's table-wide grants, so those are replaced by grants on the other columns
+REVOKE INSERT, UPDATE ON user_profiles FROM anon, authenticated;
+GRANT INSERT (id, username, bio, location, profile_picture, social_links, preferences, created_at, updated_at)
+    ON user_profiles TO authenticated;
+GRANT UPDATE (username, bio, location, profile_picture, social_links, preferences, updated_at)
+    ON user_profiles TO authenticated;
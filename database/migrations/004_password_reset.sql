@@ -0,0 +1,25 @@
+-- Adds single-use password reset tokens and an email lookup for /users/forgot-password.
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage password_reset_tokens" ON password_reset_tokens;
+CREATE POLICY "Service role can manage password_reset_tokens" ON password_reset_tokens
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+-- Lets the backend find an account by email for password resets
+CREATE OR REPLACE FUNCTION get_user_id_by_email(user_email TEXT)
+RETURNS UUID AS $$
+    SELECT id FROM auth.users WHERE LOWER(email) = LOWER(user_email) LIMIT 1;
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = auth, public;
+
+REVOKE EXECUTE ON FUNCTION get_user_id_by_email(TEXT) FROM PUBLIC, anon, authenticated;
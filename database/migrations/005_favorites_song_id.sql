@@ -0,0 +1,60 @@
+-- Re-keys favorites on songs.id instead of song_title, so songs that share a title no longer collide.
+-- Existing rows are matched to the catalog by src, then by title + album, then by title when it is
+-- unique. Rows that cannot be matched are copied to favorites_unmatched before being removed.
+
+BEGIN;
+
+ALTER TABLE favorites ADD COLUMN IF NOT EXISTS song_id UUID REFERENCES songs(id) ON DELETE CASCADE;
+
+UPDATE favorites f
+SET song_id = s.id
+FROM songs s
+WHERE f.song_id IS NULL
+  AND f.song_src IS NOT NULL
+  AND s.src = f.song_src;
+
+UPDATE favorites f
+SET song_id = s.id
+FROM songs s
+WHERE f.song_id IS NULL
+  AND f.album_id IS NOT NULL
+  AND s.album_id = f.album_id
+  AND s.title = f.song_title;
+
+UPDATE favorites f
+SET song_id = (SELECT s.id FROM songs s WHERE s.title = f.song_title)
+WHERE f.song_id IS NULL
+  AND (SELECT COUNT(*) FROM songs s WHERE s.title = f.song_title) = 1;
+
+CREATE TABLE IF NOT EXISTS favorites_unmatched AS
+SELECT * FROM favorites WHERE false;
+
+INSERT INTO favorites_unmatched
+SELECT * FROM favorites WHERE song_id IS NULL;
+
+DELETE FROM favorites WHERE song_id IS NULL;
+
+-- A user may have favorited two rows that now resolve to the same song; keep the oldest
+DELETE FROM favorites f
+USING favorites other
+WHERE f.user_id = other.user_id
+  AND f.song_id = other.song_id
+  AND (f.added_at, f.id) > (other.added_at, other.id);
+
+ALTER TABLE favorites DROP CONSTRAINT IF EXISTS favorites_user_id_song_title_key;
+DROP INDEX IF EXISTS idx_favorites_song_title;
+
+ALTER TABLE favorites ALTER COLUMN song_id SET NOT NULL;
+ALTER TABLE favorites ADD CONSTRAINT favorites_user_id_song_id_key UNIQUE (user_id, song_id);
+CREATE INDEX IF NOT EXISTS idx_favorites_song_id ON favorites(song_id);
+
+-- Song and album metadata now come from the catalog
+ALTER TABLE favorites
+    DROP COLUMN song_title,
+    DROP COLUMN song_src,
+    DROP COLUMN song_img,
+    DROP COLUMN album_id,
+    DROP COLUMN album_cover,
+    DROP COLUMN artist;
+
+COMMIT;
@@ -0,0 +1,38 @@
+-- Adds the function behind PUT /api/playlists/:id/songs/move and /songs/reorder,
+-- and renumbers existing playlists so positions are 1..n without gaps.
+
+CREATE OR REPLACE FUNCTION reorder_playlist_songs(p_playlist_id UUID, p_track_ids UUID[])
+RETURNS VOID AS $$
+BEGIN
+    -- Serialize concurrent reorders of the same playlist
+    PERFORM 1 FROM playlists WHERE id = p_playlist_id FOR UPDATE;
+
+    IF (SELECT COUNT(*) FROM playlist_songs WHERE playlist_id = p_playlist_id) <> COALESCE(array_length(p_track_ids, 1), 0)
+        OR EXISTS (
+            SELECT 1 FROM playlist_songs
+            WHERE playlist_id = p_playlist_id AND NOT (id = ANY(p_track_ids))
+        )
+        OR (SELECT COUNT(DISTINCT t) FROM unnest(p_track_ids) AS t) <> COALESCE(array_length(p_track_ids, 1), 0)
+    THEN
+        RAISE EXCEPTION 'track_set_mismatch';
+    END IF;
+
+    UPDATE playlist_songs ps
+    SET position = ordered.new_position
+    FROM unnest(p_track_ids) WITH ORDINALITY AS ordered(track_id, new_position)
+    WHERE ps.id = ordered.track_id AND ps.playlist_id = p_playlist_id;
+
+    UPDATE playlists SET updated_at = NOW() WHERE id = p_playlist_id;
+END;
+$$ LANGUAGE plpgsql;
+
+UPDATE playlist_songs ps
+SET position = numbered.new_position
+FROM (
+    SELECT id, ROW_NUMBER() OVER (
+        PARTITION BY playlist_id
+        ORDER BY position ASC NULLS LAST, added_at DESC
+    ) AS new_position
+    FROM playlist_songs
+) AS numbered
+WHERE ps.id = numbered.id;
@@ -0,0 +1,32 @@
+-- Adds playlist collaborators (invited editors/viewers) and records who added each track.
+
+ALTER TABLE playlist_songs
+    ADD COLUMN IF NOT EXISTS added_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL;
+
+-- Tracks added before collaboration existed were added by the playlist owner
+UPDATE playlist_songs ps
+SET added_by = p.user_id
+FROM playlists p
+WHERE ps.playlist_id = p.id
+  AND ps.added_by IS NULL
+  AND EXISTS (SELECT 1 FROM user_profiles up WHERE up.id = p.user_id);
+
+CREATE TABLE IF NOT EXISTS playlist_collaborators (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    playlist_id UUID NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'editor' CHECK (role IN ('editor', 'viewer')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted')),
+    invited_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    responded_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(playlist_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_playlist_collaborators_user_id ON playlist_collaborators(user_id);
+
+ALTER TABLE playlist_collaborators ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage playlist_collaborators" ON playlist_collaborators;
+CREATE POLICY "Service role can manage playlist_collaborators" ON playlist_collaborators
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
@@ -0,0 +1,16 @@
+-- Adds playlist visibility (private, unlisted, public) and share slugs for link sharing.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+ALTER TABLE playlists
+    ADD COLUMN IF NOT EXISTS visibility VARCHAR(20) NOT NULL DEFAULT 'private'
+    CHECK (visibility IN ('private', 'unlisted', 'public'));
+
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS share_slug VARCHAR(32) UNIQUE;
+
+-- 96 random bits, base64url encoded, same shape as generateShareSlug() in utils/playlists.js
+UPDATE playlists
+SET share_slug = rtrim(translate(encode(gen_random_bytes(12), 'base64'), '+/', '-_'), '=')
+WHERE share_slug IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_playlists_public ON playlists(user_id) WHERE visibility = 'public';
@@ -0,0 +1,18 @@
+-- Adds follows between users (who follows whom).
+
+CREATE TABLE IF NOT EXISTS follows (
+    follower_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    following_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (follower_id, following_id),
+    CHECK (follower_id <> following_id)
+);
+
+-- The primary key covers lookups by follower; this one serves follower lists and counts
+CREATE INDEX IF NOT EXISTS idx_follows_following_id ON follows(following_id);
+
+ALTER TABLE follows ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage follows" ON follows;
+CREATE POLICY "Service role can manage follows" ON follows
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
@@ -0,0 +1,20 @@
+-- Adds activity events (new playlists, favorited songs) for the feed of followed users.
+-- Plays are read from listening_history, which gets an index for per-user time ranges.
+
+CREATE TABLE IF NOT EXISTS activity_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('playlist_created', 'song_favorited')),
+    playlist_id UUID REFERENCES playlists(id) ON DELETE CASCADE,
+    song_id UUID REFERENCES songs(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_activity_events_actor_id ON activity_events(actor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_history_user_played_at ON listening_history(user_id, played_at);
+
+ALTER TABLE activity_events ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage activity_events" ON activity_events;
+CREATE POLICY "Service role can manage activity_events" ON activity_events
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
@@ -0,0 +1,21 @@
+-- Adds in-app notifications: playlist invitations, new followers and album releases.
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('playlist_invite', 'new_follower', 'album_release')),
+    actor_id UUID REFERENCES user_profiles(id) ON DELETE CASCADE,
+    playlist_id UUID REFERENCES playlists(id) ON DELETE CASCADE,
+    album_id VARCHAR(100) REFERENCES albums(id) ON DELETE CASCADE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Service role can manage notifications" ON notifications;
+CREATE POLICY "Service role can manage notifications" ON notifications
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
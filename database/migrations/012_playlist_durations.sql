@@ -0,0 +1,12 @@
+-- Adds the function behind the totalDuration of GET /api/playlists/user: playlist rows don't keep
+-- durations, so they're summed from the catalog in one query, however many tracks there are.
+-- Tracks missing from the catalog or without a duration count as 0.
+
+CREATE OR REPLACE FUNCTION playlist_total_durations(p_playlist_ids UUID[])
+RETURNS TABLE (playlist_id UUID, total_duration BIGINT) AS $$
+    SELECT ps.playlist_id, COALESCE(SUM(song.duration), 0)
+    FROM playlist_songs ps
+    LEFT JOIN LATERAL (SELECT s.duration FROM songs s WHERE s.src = ps.song_src LIMIT 1) song ON true
+    WHERE ps.playlist_id = ANY(p_playlist_ids)
+    GROUP BY ps.playlist_id;
+$$ LANGUAGE sql STABLE;
@@ -1,4 +1,11 @@
+DELETE FROM notifications;
+DELETE FROM activity_events;
+DELETE FROM follows;
+DELETE FROM password_reset_tokens;
+DELETE FROM refresh_tokens;
+DELETE FROM auth_sessions;
 DELETE FROM listening_history;
+DELETE FROM playlist_collaborators;
 DELETE FROM playlist_songs;
 DELETE FROM playlists;
 DELETE FROM favorites;
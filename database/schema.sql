@@ -1,4 +1,11 @@
+DROP TABLE IF EXISTS notifications CASCADE;
+DROP TABLE IF EXISTS activity_events CASCADE;
+DROP TABLE IF EXISTS follows CASCADE;
+DROP TABLE IF EXISTS password_reset_tokens CASCADE;
+DROP TABLE IF EXISTS refresh_tokens CASCADE;
+DROP TABLE IF EXISTS auth_sessions CASCADE;
 DROP TABLE IF EXISTS listening_history CASCADE;
+DROP TABLE IF EXISTS playlist_collaborators CASCADE;
 DROP TABLE IF EXISTS playlist_songs CASCADE;
 DROP TABLE IF EXISTS playlists CASCADE;
 DROP TABLE IF EXISTS favorites CASCADE;
@@ -14,6 +21,7 @@ CREATE TABLE user_profiles (
     bio TEXT,
     location VARCHAR(100),
     profile_picture TEXT,
+    role VARCHAR(20) NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'admin')),
     social_links JSONB DEFAULT '{}',
     preferences JSONB DEFAULT '{
         "theme": "dark",
@@ -33,6 +41,7 @@ CREATE TABLE albums (
     category VARCHAR(50),
     genre VARCHAR(50),
     description TEXT,
+    play_count INTEGER NOT NULL DEFAULT 0,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -50,14 +59,9 @@ CREATE TABLE songs (
 CREATE TABLE favorites (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
-    song_title VARCHAR(200) NOT NULL,
-    song_src TEXT,
-    song_img TEXT,
-    album_id VARCHAR(100),
-    album_cover TEXT,
-    artist VARCHAR(100),
+    song_id UUID NOT NULL REFERENCES songs(id) ON DELETE CASCADE,
     added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    UNIQUE(user_id, song_title)
+    UNIQUE(user_id, song_id)
 );
 
 CREATE TABLE playlists (
@@ -66,6 +70,8 @@ CREATE TABLE playlists (
     name VARCHAR(200) NOT NULL,
     description TEXT,
     cover_image TEXT,
+    visibility VARCHAR(20) NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'unlisted', 'public')),
+    share_slug VARCHAR(32) UNIQUE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -79,9 +85,22 @@ CREATE TABLE playlist_songs (
     album_id VARCHAR(100),
     artist VARCHAR(100),
     position INTEGER,
+    added_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
     added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+CREATE TABLE playlist_collaborators (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    playlist_id UUID NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'editor' CHECK (role IN ('editor', 'viewer')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted')),
+    invited_by UUID REFERENCES user_profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    responded_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE(playlist_id, user_id)
+);
+
 CREATE TABLE listening_history (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
@@ -95,13 +114,151 @@ CREATE TABLE listening_history (
     played_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+CREATE TABLE auth_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    session_id UUID NOT NULL REFERENCES auth_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE password_reset_tokens (
+    id UUID PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE follows (
+    follower_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    following_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (follower_id, following_id),
+    CHECK (follower_id <> following_id)
+);
+
+-- Library changes shown in followers' feeds; plays come straight from listening_history
+CREATE TABLE activity_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    actor_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('playlist_created', 'song_favorited')),
+    playlist_id UUID REFERENCES playlists(id) ON DELETE CASCADE,
+    song_id UUID REFERENCES songs(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Things that happened to a user: invitations, new followers, album releases
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES user_profiles(id) ON DELETE CASCADE,
+    type VARCHAR(30) NOT NULL CHECK (type IN ('playlist_invite', 'new_follower', 'album_release')),
+    actor_id UUID REFERENCES user_profiles(id) ON DELETE CASCADE,
+    playlist_id UUID REFERENCES playlists(id) ON DELETE CASCADE,
+    album_id VARCHAR(100) REFERENCES albums(id) ON DELETE CASCADE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 CREATE INDEX idx_user_profiles_username ON user_profiles(username);
 CREATE INDEX idx_songs_album_id ON songs(album_id);
 CREATE INDEX idx_favorites_user_id ON favorites(user_id);
-CREATE INDEX idx_favorites_song_title ON favorites(song_title);
+CREATE INDEX idx_favorites_song_id ON favorites(song_id);
 CREATE INDEX idx_playlists_user_id ON playlists(user_id);
+CREATE INDEX idx_playlists_public ON playlists(user_id) WHERE visibility = 'public';
+CREATE INDEX idx_playlist_collaborators_user_id ON playlist_collaborators(user_id);
 CREATE INDEX idx_history_user_id ON listening_history(user_id);
 CREATE INDEX idx_history_played_at ON listening_history(played_at);
+CREATE INDEX idx_auth_sessions_user_id ON auth_sessions(user_id);
+CREATE INDEX idx_refresh_tokens_session_id ON refresh_tokens(session_id);
+CREATE INDEX idx_password_reset_tokens_user_id ON password_reset_tokens(user_id);
+CREATE INDEX idx_follows_following_id ON follows(following_id);
+CREATE INDEX idx_activity_events_actor_id ON activity_events(actor_id, created_at);
+CREATE INDEX idx_history_user_played_at ON listening_history(user_id, played_at);
+CREATE INDEX idx_notifications_user_id ON notifications(user_id, created_at);
+CREATE INDEX idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX idx_albums_created_at ON albums(created_at, id);
+CREATE INDEX idx_albums_title ON albums(title, id);
+CREATE INDEX idx_albums_play_count ON albums(play_count, id);
+
+CREATE OR REPLACE FUNCTION increment_album_play_count()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.album_id IS NOT NULL THEN
+        UPDATE albums SET play_count = play_count + 1 WHERE id = NEW.album_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER trg_history_album_play_count
+    AFTER INSERT ON listening_history
+    FOR EACH ROW EXECUTE FUNCTION increment_album_play_count();
+
+-- Renumbers a playlist's tracks 1..n in the given order, atomically.
+-- Raises track_set_mismatch unless p_track_ids is exactly the playlist's current tracks.
+CREATE OR REPLACE FUNCTION reorder_playlist_songs(p_playlist_id UUID, p_track_ids UUID[])
+RETURNS VOID AS $$
+BEGIN
+    -- Serialize concurrent reorders of the same playlist
+    PERFORM 1 FROM playlists WHERE id = p_playlist_id FOR UPDATE;
+
+    IF (SELECT COUNT(*) FROM playlist_songs WHERE playlist_id = p_playlist_id) <> COALESCE(array_length(p_track_ids, 1), 0)
+        OR EXISTS (
+            SELECT 1 FROM playlist_songs
+            WHERE playlist_id = p_playlist_id AND NOT (id = ANY(p_track_ids))
+        )
+        OR (SELECT COUNT(DISTINCT t) FROM unnest(p_track_ids) AS t) <> COALESCE(array_length(p_track_ids, 1), 0)
+    THEN
+        RAISE EXCEPTION 'track_set_mismatch';
+    END IF;
+
+    UPDATE playlist_songs ps
+    SET position = ordered.new_position
+    FROM unnest(p_track_ids) WITH ORDINALITY AS ordered(track_id, new_position)
+    WHERE ps.id = ordered.track_id AND ps.playlist_id = p_playlist_id;
+
+    UPDATE playlists SET updated_at = NOW() WHERE id = p_playlist_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Sums each playlist's track durations from the catalog (tracks not in it count as 0)
+CREATE OR REPLACE FUNCTION playlist_total_durations(p_playlist_ids UUID[])
+RETURNS TABLE (playlist_id UUID, total_duration BIGINT) AS $$
+    SELECT ps.playlist_id, COALESCE(SUM(song.duration), 0)
+    FROM playlist_songs ps
+    LEFT JOIN LATERAL (SELECT s.duration FROM songs s WHERE s.src = ps.song_src LIMIT 1) song ON true
+    WHERE ps.playlist_id = ANY(p_playlist_ids)
+    GROUP BY ps.playlist_id;
+$$ LANGUAGE sql STABLE;
+
+-- Lets the backend find an account by email for password resets
+CREATE OR REPLACE FUNCTION get_user_id_by_email(user_email TEXT)
+RETURNS UUID AS $$
+    SELECT id FROM auth.users WHERE LOWER(email) = LOWER(user_email) LIMIT 1;
+$$ LANGUAGE sql SECURITY DEFINER SET search_path = auth, public;
+
+REVOKE EXECUTE ON FUNCTION get_user_id_by_email(TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Owners may still edit their profile with the anon key, but never its role. A column-level
+-- REVOKE would not undo Supabase's table-wide grants, so those are replaced by grants on the other columns
+REVOKE INSERT, UPDATE ON user_profiles FROM anon, authenticated;
+GRANT INSERT (id, username, bio, location, profile_picture, social_links, preferences, created_at, updated_at)
+    ON user_profiles TO authenticated;
+GRANT UPDATE (username, bio, location, profile_picture, social_links, preferences, updated_at)
+    ON user_profiles TO authenticated;
 
 ALTER TABLE user_profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE albums ENABLE ROW LEVEL SECURITY;
@@ -109,7 +266,14 @@ ALTER TABLE songs ENABLE ROW LEVEL SECURITY;
 ALTER TABLE favorites ENABLE ROW LEVEL SECURITY;
 ALTER TABLE playlists ENABLE ROW LEVEL SECURITY;
 ALTER TABLE playlist_songs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE playlist_collaborators ENABLE ROW LEVEL SECURITY;
 ALTER TABLE listening_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auth_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE password_reset_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE follows ENABLE ROW LEVEL SECURITY;
+ALTER TABLE activity_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
 
 CREATE POLICY "Service role can manage user_profiles" ON user_profiles
     FOR ALL USING (true) WITH CHECK (true);
@@ -165,6 +329,9 @@ CREATE POLICY "Users can delete own playlists" ON playlists
 CREATE POLICY "Service role can manage playlist_songs" ON playlist_songs
     FOR ALL USING (true) WITH CHECK (true);
 
+CREATE POLICY "Service role can manage playlist_collaborators" ON playlist_collaborators
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
+
 CREATE POLICY "Service role can manage listening_history" ON listening_history
     FOR ALL USING (true) WITH CHECK (true);
 
@@ -176,3 +343,21 @@ CREATE POLICY "Users can insert own history" ON listening_history
 
 CREATE POLICY "Users can delete own history" ON listening_history
     FOR DELETE USING (auth.uid() = user_id);
+
+CREATE POLICY "Service role can manage auth_sessions" ON auth_sessions
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+CREATE POLICY "Service role can manage refresh_tokens" ON refresh_tokens
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+CREATE POLICY "Service role can manage password_reset_tokens" ON password_reset_tokens
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+CREATE POLICY "Service role can manage follows" ON follows
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+CREATE POLICY "Service role can manage activity_events" ON activity_events
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
+
+CREATE POLICY "Service role can manage notifications" ON notifications
+    FOR ALL TO service_role USING (true) WITH CHECK (true);
@@ -0,0 +1,81 @@
+// Response envelope for the /v2 API
+// The v2 routes reuse the v1 routers; this middleware rewrites their responses into
+//   { data, meta: { requestId } }                                  on success
+//   { error: { code, message, details? }, meta: { requestId } }    on failure
+// Routes can pass a specific `code` and field-level `details` ([{ field, message }]) next to `error`;
+// otherwise the code is derived from the status.
+
+export const ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    405: 'METHOD_NOT_ALLOWED',
+    409: 'CONFLICT',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE',
+    416: 'RANGE_NOT_SATISFIABLE',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    503: 'SERVICE_UNAVAILABLE'
+};
+
+const defaultErrorCode = (status, details) => {
+    if (status === 400 && details?.length) return 'VALIDATION_FAILED';
+    return ERROR_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+};
+
+// v1 auth routes answer in "status::message" text
+const TEXT_STATUS_PREFIX = /^\d{3}::/;
+
+const buildErrorEnvelope = (status, body, requestId) => {
+    const { error, code, details, message, ...extra } = typeof body === 'object' && body !== null
+        ? body
+        : { error: String(body ?? '').replace(TEXT_STATUS_PREFIX, '') };
+
+    return {
+        error: {
+            code: code || defaultErrorCode(status, details),
+            message: typeof error === 'string' ? error : message || 'Request failed',
+            ...(details?.length ? { details } : {}),
+            ...extra
+        },
+        meta: { requestId }
+    };
+};
+
+/**
+ * Wrap JSON and plain-text responses in the v2 envelope
+ * Responses that set their own Content-Type (file downloads, audio streams) pass through untouched.
+ */
+export const apiEnvelope = (req, res, next) => {
+    req.apiVersion = 2;
+    // Routes that negotiate between text and JSON (sign-in, registration) answer in JSON
+    req.headers.accept = 'application/json';
+
+    const originalJson = res.json.bind(res);
+    const originalSend = res.send.bind(res);
+    let wrapping = false;
+
+    res.json = (body) => {
+        wrapping = true;
+        const envelope = res.statusCode >= 400
+            ? buildErrorEnvelope(res.statusCode, body, req.id)
+            : { data: body ?? null, meta: { requestId: req.id } };
+        return originalJson(envelope);
+    };
+
+    res.send = (body) => {
+        if (wrapping || typeof body !== 'string' || res.get('Content-Type')) {
+            return originalSend(body);
+        }
+        if (res.statusCode >= 400) {
+            return res.json(body);
+        }
+        return res.json({ message: body.replace(TEXT_STATUS_PREFIX, '') });
+    };
+
+    next();
+};
+
+export default apiEnvelope;
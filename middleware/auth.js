@@ -1,12 +1,50 @@
 import jwt from 'jsonwebtoken';
-import { supabase } from '../config/supabase.js';
+import { getRepositories } from '../repositories/index.js';
+import { isSessionRevoked } from '../services/tokenService.js';
+import { getCachedPrincipal } from '../services/principalCache.js';
+
+/**
+ * Read the access token from the Authorization header
+ * Accepts the standard "Bearer <token>" as well as the bare token the frontend sends.
+ * @param {object} req - Express request
+ * @returns {string|null} Token, or null when the header is missing or empty
+ */
+export const getAccessToken = (req) => {
+    const header = req.headers['authorization'];
+    if (typeof header !== 'string') {
+        return null;
+    }
+    const token = header.replace(/^Bearer(\s+|$)/i, '').trim();
+    return token || null;
+};
+
+// Who the token belongs to; cached briefly so most requests skip both lookups
+const loadPrincipal = async (userId) => {
+    const { auth, users } = getRepositories();
+
+    // Verify user exists in Supabase Auth
+    const authUser = await auth.getUserById(userId);
+
+    if (!authUser) {
+        return null;
+    }
+
+    // Get user profile for username and role
+    const profile = await users.findById(userId);
+
+    return {
+        userId: authUser.id,
+        email: authUser.email,
+        username: profile?.username || null,
+        role: profile?.role || 'user'
+    };
+};
 
 export const authenticateToken = async (req, res, next) => {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader; // Frontend sends token directly, not as "Bearer token"
+    const token = getAccessToken(req);
 
     if (!token) {
-        return res.status(401).json({ error: 'Access token required' });
+        return res.status(401).json({ error: 'Access token required', code: 'TOKEN_REQUIRED' });
     }
 
     try {
@@ -14,38 +52,44 @@ export const authenticateToken = async (req, res, next) => {
         
         // Check if token is expired
         if (decoded.exp && decoded.exp * 1000 < Date.now()) {
-            return res.status(401).json({ error: 'Invalid or expired token' });
+            return res.status(401).json({ error: 'Invalid or expired token', code: 'TOKEN_INVALID' });
         }
         
         // Extract userId from token (Supabase Auth UUID)
         const userId = decoded.userId;
         if (!userId) {
-            return res.status(401).json({ error: 'Invalid token: missing user ID' });
+            return res.status(401).json({ error: 'Invalid token: missing user ID', code: 'TOKEN_INVALID' });
+        }
+
+        // Reject tokens from sessions that were logged out or revoked
+        // (tokens issued before sessions existed carry no sid and simply expire)
+        if (decoded.sid && await isSessionRevoked(decoded.sid)) {
+            return res.status(401).json({ error: 'Token has been revoked', code: 'TOKEN_REVOKED' });
         }
         
-        // Verify user exists in Supabase Auth
-        const { data: authUser, error: authError } = await supabase.auth.admin.getUserById(userId);
-        
-        if (authError || !authUser) {
-            return res.status(401).json({ error: 'Invalid token: user not found' });
+        const principal = await getCachedPrincipal(userId, () => loadPrincipal(userId));
+
+        if (!principal) {
+            return res.status(401).json({ error: 'Invalid token: user not found', code: 'TOKEN_INVALID' });
         }
 
-        // Get user profile for username
-        const { data: profile } = await supabase
-            .from('user_profiles')
-            .select('username')
-            .eq('id', userId)
-            .single();
-        
-        req.user = { 
-            userId: authUser.user.id, 
-            email: authUser.user.email, 
-            username: profile?.username || decoded.username || email.split('@')[0]
+        req.user = {
+            ...principal,
+            username: principal.username || decoded.username || principal.email?.split('@')[0] || null,
+            sessionId: decoded.sid || null
         };
         next();
     } catch (error) {
-        return res.status(403).json({ error: 'Invalid or expired token' });
+        return res.status(403).json({ error: 'Invalid or expired token', code: 'TOKEN_INVALID' });
+    }
+};
+
+// Must run after authenticateToken
+export const requireAdmin = (req, res, next) => {
+    if (req.user?.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required', code: 'ADMIN_REQUIRED' });
     }
+    next();
 };
 
 export default authenticateToken;
@@ -0,0 +1,205 @@
+import { getRateLimitStore } from '../services/rateLimitStore.js';
+
+const MINUTE = 60 * 1000;
+
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+const isRateLimitingEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+// Answer in the style of the route: JSON for JSON routes and clients that ask for it, otherwise
+// the "status::message" text used by the auth routes (or plain text when plainText is set)
+export const sendTooManyRequests = (req, res, { retryAfter, message, code = 'RATE_LIMITED', plainText = false, json = false }) => {
+    res.set('Retry-After', String(retryAfter));
+
+    if (json || req.accepts(['text', 'json']) === 'json') {
+        return res.status(429).json({ error: message, code, retryAfter });
+    }
+    res.status(429).send(plainText ? message : `429::${message}`);
+};
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+/**
+ * Limit how often a request can be made per key (IP address by default) in a fixed window
+ * @param {object} options
+ * @param {string} options.name - Counter namespace, e.g. "signin:ip"
+ * @param {number} options.limit - Requests allowed per window
+ * @param {number} options.windowMs - Window length in ms
+ * @param {function} [options.key] - (req) => key to count by, or null to skip the limit
+ * @param {string} [options.message] - Error message for limited requests
+ * @param {boolean} [options.plainText] - Send the message without the "429::" prefix
+ * @param {boolean} [options.json] - Always answer JSON, for routes that never send text
+ * @returns {function} Express middleware
+ */
+export const rateLimit = ({
+    name,
+    limit,
+    windowMs,
+    key = (req) => req.ip,
+    message = 'Too many requests. Please try again later.',
+    plainText = false,
+    json = false
+}) => async (req, res, next) => {
+    if (!isRateLimitingEnabled()) {
+        return next();
+    }
+
+    const id = key(req);
+    if (!id) {
+        return next();
+    }
+
+    let entry;
+    try {
+        entry = await getRateLimitStore().increment(`${name}:${id}`, windowMs);
+    } catch (error) {
+        // An unavailable store must not lock everyone out
+        console.error('Rate limit store error:', error);
+        return next();
+    }
+
+    res.set('RateLimit-Limit', String(limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit - entry.count)));
+    res.set('RateLimit-Reset', String(secondsUntil(entry.expiresAt)));
+
+    if (entry.count > limit) {
+        return sendTooManyRequests(req, res, { retryAfter: secondsUntil(entry.expiresAt), message, plainText, json });
+    }
+    next();
+};
+
+// Sign-in lockout: after LOCKOUT_THRESHOLD failed sign-ins for an account from one client IP,
+// each further failure locks that account for that IP for twice as long as the last one, from
+// 1 minute up to 1 hour. Keying on the IP too means nobody can lock a user out of their account
+// by failing on purpose from elsewhere; signinPerAccount still caps guesses spread over many IPs.
+// Failures are forgotten after a successful sign-in, or 24 hours after the first one.
+const LOCKOUT_THRESHOLD = envInt('SIGNIN_LOCKOUT_THRESHOLD', 5);
+const LOCKOUT_BASE_MS = 1 * MINUTE;
+const LOCKOUT_MAX_MS = 60 * MINUTE;
+const FAILURE_MEMORY_MS = 24 * 60 * MINUTE;
+
+export const normalizeAccountKey = (email) =>
+    (typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null);
+
+const lockoutKey = (email, ip) => {
+    const account = normalizeAccountKey(email);
+    return account ? `${account}:${ip || 'unknown'}` : null;
+};
+
+/**
+ * Seconds until a locked account may try to sign in again from a client
+ * @param {string} email - Account email
+ * @param {string} ip - Client IP address (req.ip)
+ * @returns {Promise<number>} 0 when the account is not locked for this client
+ */
+export const getSigninLockout = async (email, ip) => {
+    const key = lockoutKey(email, ip);
+    if (!key || !isRateLimitingEnabled()) return 0;
+
+    try {
+        const lock = await getRateLimitStore().get(`signin-lock:${key}`);
+        return lock ? secondsUntil(lock.expiresAt) : 0;
+    } catch (error) {
+        console.error('Rate limit store error:', error);
+        return 0;
+    }
+};
+
+/**
+ * Record a failed sign-in and lock the account for this client once it has failed too often
+ * @param {string} email - Account email
+ * @param {string} ip - Client IP address (req.ip)
+ * @returns {Promise<number>} Seconds the account is now locked for, or 0
+ */
+export const recordSigninFailure = async (email, ip) => {
+    const key = lockoutKey(email, ip);
+    if (!key || !isRateLimitingEnabled()) return 0;
+
+    try {
+        const store = getRateLimitStore();
+        const { count } = await store.increment(`signin-fail:${key}`, FAILURE_MEMORY_MS);
+        if (count < LOCKOUT_THRESHOLD) return 0;
+
+        const lockMs = Math.min(LOCKOUT_BASE_MS * 2 ** (count - LOCKOUT_THRESHOLD), LOCKOUT_MAX_MS);
+        await store.set(`signin-lock:${key}`, count, lockMs);
+        return Math.ceil(lockMs / 1000);
+    } catch (error) {
+        console.error('Rate limit store error:', error);
+        return 0;
+    }
+};
+
+/**
+ * Forget a client's failed sign-ins after a successful one
+ * @param {string} email - Account email
+ * @param {string} ip - Client IP address (req.ip)
+ */
+export const clearSigninFailures = async (email, ip) => {
+    const key = lockoutKey(email, ip);
+    if (!key) return;
+
+    try {
+        const store = getRateLimitStore();
+        await Promise.all([
+            store.delete(`signin-fail:${key}`),
+            store.delete(`signin-lock:${key}`)
+        ]);
+    } catch (error) {
+        console.error('Rate limit store error:', error);
+    }
+};
+
+// Limits for the public auth routes; each can be tuned through the environment
+export const authRateLimits = {
+    signinPerIp: rateLimit({
+        name: 'signin:ip',
+        limit: envInt('RATE_LIMIT_SIGNIN_PER_IP', 20),
+        windowMs: 15 * MINUTE,
+        message: 'Too many sign-in attempts. Please try again later.'
+    }),
+    signinPerAccount: rateLimit({
+        name: 'signin:account',
+        limit: envInt('RATE_LIMIT_SIGNIN_PER_ACCOUNT', 10),
+        windowMs: 15 * MINUTE,
+        key: (req) => normalizeAccountKey(req.body?.email),
+        message: 'Too many sign-in attempts for this account. Please try again later.'
+    }),
+    registerPerIp: rateLimit({
+        name: 'insert:ip',
+        limit: envInt('RATE_LIMIT_REGISTER_PER_IP', 5),
+        windowMs: 60 * MINUTE,
+        message: 'Too many registration attempts. Please try again later.'
+    }),
+    registerPerAccount: rateLimit({
+        name: 'insert:account',
+        limit: envInt('RATE_LIMIT_REGISTER_PER_ACCOUNT', 3),
+        windowMs: 60 * MINUTE,
+        key: (req) => normalizeAccountKey(req.body?.email),
+        message: 'Too many registration attempts for this email. Please try again later.'
+    }),
+    getUsernamePerIp: rateLimit({
+        name: 'getusername:ip',
+        limit: envInt('RATE_LIMIT_GETUSERNAME_PER_IP', 60),
+        windowMs: 1 * MINUTE,
+        message: 'Too many requests. Please try again later.',
+        plainText: true
+    }),
+    forgotPasswordPerIp: rateLimit({
+        name: 'forgot-password:ip',
+        limit: envInt('RATE_LIMIT_FORGOT_PASSWORD_PER_IP', 5),
+        windowMs: 60 * MINUTE,
+        message: 'Too many password reset requests. Please try again later.',
+        json: true
+    }),
+    forgotPasswordPerAccount: rateLimit({
+        name: 'forgot-password:account',
+        limit: envInt('RATE_LIMIT_FORGOT_PASSWORD_PER_ACCOUNT', 3),
+        windowMs: 60 * MINUTE,
+        key: (req) => normalizeAccountKey(req.body?.email),
+        message: 'Too many password reset requests for this email. Please try again later.',
+        json: true
+    })
+};
@@ -0,0 +1,14 @@
+import crypto from 'crypto';
+
+// Accept IDs from an upstream proxy only if they look like IDs, so they are safe to log and echo
+const VALID_REQUEST_ID = /^[\w.-]{1,128}$/;
+
+// Give every request an ID, echoed in the X-Request-Id response header
+export const assignRequestId = (req, res, next) => {
+    const incoming = req.get('x-request-id');
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    next();
+};
+
+export default assignRequestId;
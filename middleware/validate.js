@@ -0,0 +1,68 @@
+import { validateSchema } from '../utils/schema.js';
+
+// Log responses that drift from their documented schema (development aid, off by default)
+const shouldCheckResponses = () => process.env.VALIDATE_RESPONSES === 'true';
+
+// Files uploaded through multer stand in as their file names,
+// so file fields can be declared and required like any other body field
+const uploadedFiles = (req) => {
+    const files = req.file ? [req.file] : Object.values(req.files || {}).flat();
+    return Object.fromEntries(files.map(file => [file.fieldname, file.originalname]));
+};
+
+const sendValidationError = (req, res, details) => res.status(400).json({
+    error: details.map(detail => detail.message).join(', '),
+    code: 'VALIDATION_FAILED',
+    details
+});
+
+/**
+ * Validate a request against declared schemas, and document the route in the OpenAPI spec
+ * @param {object} spec
+ * @param {string} spec.summary - One-line description for the docs
+ * @param {string} [spec.description] - Longer description for the docs
+ * @param {object} [spec.params] - Object schema for route params
+ * @param {object} [spec.query] - Object schema for the query string
+ * @param {object} [spec.body] - Schema for the request body
+ * @param {string|string[]} [spec.bodyType] - Accepted request content types (default application/json)
+ * @param {object} [spec.response] - Schema of the 200 JSON response
+ * @param {object} [spec.responses] - Extra OpenAPI response objects keyed by status
+ * @param {function} [spec.onInvalid] - (req, res, details) => custom error response
+ * @returns {function} Express middleware carrying the spec as `.openapi`
+ */
+export const validate = (spec) => {
+    const middleware = (req, res, next) => {
+        // Query strings, params and form fields are strings; JSON bodies keep their types
+        const isJson = req.is('application/json');
+        const body = Array.isArray(req.body) ? req.body : { ...req.body, ...uploadedFiles(req) };
+        const details = [
+            ...(spec.params ? validateSchema(spec.params, req.params, { coerce: true }) : []),
+            ...(spec.query ? validateSchema(spec.query, req.query, { coerce: true }) : []),
+            ...(spec.body ? validateSchema(spec.body, body, { coerce: !isJson }) : [])
+        ];
+
+        if (details.length > 0) {
+            return (spec.onInvalid || sendValidationError)(req, res, details);
+        }
+
+        if (spec.response && shouldCheckResponses()) {
+            const json = res.json.bind(res);
+            res.json = (body) => {
+                if (res.statusCode < 300) {
+                    const problems = validateSchema(spec.response, body);
+                    if (problems.length > 0) {
+                        console.warn(`Response for ${req.method} ${req.originalUrl} does not match its schema:`, problems);
+                    }
+                }
+                return json(body);
+            };
+        }
+
+        next();
+    };
+
+    middleware.openapi = spec;
+    return middleware;
+};
+
+export default validate;
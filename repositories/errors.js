@@ -0,0 +1,17 @@
+// Errors repositories raise for conditions routes answer differently from a plain failure
+
+// A unique constraint was violated (username, email, album id, playlist name, ...)
+export class ConflictError extends Error {
+    constructor(message = 'Already exists') {
+        super(message);
+        this.name = 'ConflictError';
+    }
+}
+
+// A reorder did not list exactly the playlist's current tracks
+export class TrackSetMismatchError extends Error {
+    constructor(message = 'Track ids do not match the playlist') {
+        super(message);
+        this.name = 'TrackSetMismatchError';
+    }
+}
@@ -0,0 +1,67 @@
+// Data-access layer
+// Selects a backend from DATA_BACKEND ("supabase" or "memory") so routes and services never
+// talk to the database directly. Rows keep their database shape (snake_case columns, related
+// rows nested under the table name, e.g. song.albums). Every method is async and throws on
+// failure; unique violations raise ConflictError (repositories/errors.js).
+//
+//   auth            createUser({ email, password }), getUserById(id), updateUser(id, { email, password }),
+//                   deleteUser(id), signIn(email, password) -> user | null, findUserIdByEmail(email)
+//   users           findById(id), listByIds(ids), findByUsername(username), create(profile), update(id, changes)
+//   albums          list({ filters, sort, after, limit, songs: 'full' | 'count' }), findById(id),
+//                   create(album), update(id, changes), delete(id)
+//   songs           findById(id), list({ src, srcs, title, albumId, limit }), create(song), update(id, changes), delete(id)
+//   favorites       listByUser(userId), find(userId, songId), add(userId, songId), remove(userId, songId),
+//                   countByUser(userId), listRecent({ excludeUserId, limit }), listUserIdsByArtist(artist)
+//   playlists       findById, findByShareSlug, findByName, listByOwner, pageByOwner, listRecent, countByOwner,
+//                   create, update, delete, listTracks, totalDurations(playlistIds), addTracks, removeTracksByTitle,
+//                   reorderTracks (TrackSetMismatchError), findCollaborator, listCollaborators,
+//                   listCollaborations, addCollaborator, updateCollaborator, removeCollaborator
+//   history         listByUser(userId, { limit, offset }) -> { entries, total }, listByUsers(userIds, { before, limit }),
+//                   hasRecentPlay, add, findById, delete, clear
+//   sessions        create, findById, touch, revoke, revokeAllForUser, createRefreshToken, findRefreshToken, claimRefreshToken
+//   passwordResets  create, invalidateForUser, claim(id, userId) -> boolean
+//   follows         find(followerId, followingId), add (ConflictError), remove -> boolean,
+//                   listFollowers / listFollowing(userId, { limit, offset }) -> { follows, total },
+//                   listFollowingIds(userId), countFollowers, countFollowing, followedAmong(followerId, userIds),
+//                   followersAmong(userId, userIds)
+//   activity        add(event), remove({ actorId, type, playlistId, songId }), listByActors(actorIds, { before, limit })
+//   notifications   addMany(notifications), listByUser(userId, { unreadOnly, limit, offset }) -> { notifications, total },
+//                   countUnread(userId), listUnreadRecipients(userIds, { type, actorId }),
+//                   markRead(userId, id) -> notification | null, markAllRead(userId) -> count
+//
+// Newest-first lists take `before: { time, id }`, the last row already seen, and return rows after it.
+//
+// The memory backend keeps everything in process memory, so the server can run with no
+// Supabase project at all (see "Running Without Supabase" in the README).
+
+import dotenv from 'dotenv';
+import { getSupabase } from '../config/supabase.js';
+import { createSupabaseRepositories } from './supabase/index.js';
+import { createMemoryRepositories } from './memory/index.js';
+
+dotenv.config();
+
+const backends = {
+    supabase: () => createSupabaseRepositories(getSupabase()),
+    memory: () => createMemoryRepositories({ seedFile: process.env.MEMORY_SEED_FILE })
+};
+
+let repositories = null;
+
+/**
+ * Get the configured repositories (created once, on first use)
+ * @returns {object} Repositories keyed by name
+ */
+export const getRepositories = () => {
+    if (!repositories) {
+        const backendName = (process.env.DATA_BACKEND || 'supabase').toLowerCase();
+        const createBackend = backends[backendName];
+        if (!createBackend) {
+            throw new Error(`Unknown DATA_BACKEND "${backendName}". Use one of: ${Object.keys(backends).join(', ')}`);
+        }
+        repositories = createBackend();
+    }
+    return repositories;
+};
+
+export default getRepositories;
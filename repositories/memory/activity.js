@@ -0,0 +1,45 @@
+import { insertRow, removeRows, clone, now, newestFirst } from './store.js';
+
+// activity_events, with the playlist or song each event is about
+export const createMemoryActivityRepository = (store) => {
+    const withSubjects = (event) => {
+        const playlist = event.playlist_id && store.playlists.find(row => row.id === event.playlist_id);
+        const song = event.song_id && store.songs.find(row => row.id === event.song_id);
+        const album = song && store.albums.find(row => row.id === song.album_id);
+        return {
+            ...clone(event),
+            playlists: playlist ? {
+                id: playlist.id,
+                name: playlist.name,
+                cover_image: playlist.cover_image,
+                visibility: playlist.visibility,
+                share_slug: playlist.share_slug
+            } : null,
+            songs: song ? {
+                id: song.id,
+                title: song.title,
+                src: song.src,
+                img: song.img,
+                duration: song.duration,
+                album_id: song.album_id,
+                albums: album ? { id: album.id, title: album.title, artist: album.artist, img: album.img } : null
+            } : null
+        };
+    };
+
+    return {
+        async add(event) {
+            return clone(insertRow(store.activity_events, event, { playlist_id: null, song_id: null, created_at: now() }));
+        },
+
+        async remove({ actorId, type, playlistId, songId }) {
+            removeRows(store.activity_events, row => row.actor_id === actorId && row.type === type &&
+                (!playlistId || row.playlist_id === playlistId) && (!songId || row.song_id === songId));
+        },
+
+        async listByActors(actorIds, { before, limit }) {
+            const events = store.activity_events.filter(row => actorIds.includes(row.actor_id));
+            return newestFirst(events, 'created_at', before).slice(0, limit).map(withSubjects);
+        }
+    };
+};
@@ -0,0 +1,76 @@
+import { ConflictError } from '../errors.js';
+import { insertRow, removeRows, clone, now, equalsIgnoringCase, compareValues, orderBy } from './store.js';
+
+const FILTER_FIELDS = ['category', 'genre', 'artist'];
+
+// albums, with their songs nested
+export const createMemoryAlbumRepository = (store) => {
+    const songsOf = (albumId) => store.songs.filter(song => song.album_id === albumId);
+
+    const withSongs = (album, songs) => (songs === 'count'
+        ? { ...clone(album), song_count: songsOf(album.id).length }
+        : { ...clone(album), songs: clone(songsOf(album.id)) });
+
+    return {
+        async list({ filters = {}, sort = { column: 'created_at', ascending: false }, after, limit, songs = 'full' } = {}) {
+            const { column, ascending } = sort;
+
+            let albums = store.albums.filter(album => FILTER_FIELDS
+                .every(field => !filters[field] || equalsIgnoringCase(album[field], filters[field])));
+
+            // Keyset pagination: rows strictly after the cursor in (sort column, id) order
+            if (after) {
+                albums = albums.filter(album => {
+                    const result = compareValues(album[column], after.value);
+                    return (ascending ? result > 0 : result < 0) || (result === 0 && album.id > after.id);
+                });
+            }
+
+            albums.sort(orderBy([column, ascending], ['id', true]));
+
+            if (limit) {
+                albums = albums.slice(0, limit);
+            }
+
+            return albums.map(album => withSongs(album, songs));
+        },
+
+        async findById(id) {
+            const album = store.albums.find(row => row.id === id);
+            return album ? withSongs(album, 'full') : null;
+        },
+
+        async create(album) {
+            if (store.albums.some(row => row.id === album.id)) {
+                throw new ConflictError(`An album with the id "${album.id}" already exists`);
+            }
+            return clone(insertRow(store.albums, album, {
+                img: null,
+                category: null,
+                genre: null,
+                description: null,
+                play_count: 0,
+                created_at: now(),
+                updated_at: now()
+            }));
+        },
+
+        async update(id, changes) {
+            const album = store.albums.find(row => row.id === id);
+            if (!album) {
+                throw new Error(`Album ${id} not found`);
+            }
+            Object.assign(album, clone(changes));
+            return clone(album);
+        },
+
+        // Songs and notifications go with the album, and favorites with the songs
+        async delete(id) {
+            removeRows(store.albums, row => row.id === id);
+            const songIds = removeRows(store.songs, row => row.album_id === id).map(row => row.id);
+            removeRows(store.favorites, row => songIds.includes(row.song_id));
+            removeRows(store.activity_events, row => songIds.includes(row.song_id));
+            removeRows(store.notifications, row => row.album_id === id);
+        }
+    };
+};
@@ -0,0 +1,81 @@
+import bcrypt from 'bcryptjs';
+import { ConflictError } from '../errors.js';
+import { insertRow, removeRows, equalsIgnoringCase, now } from './store.js';
+
+const toAuthUser = (user) => ({ id: user.id, email: user.email });
+
+// Stand-in for the Supabase Auth admin API: accounts with bcrypt password hashes
+export const createMemoryAuthRepository = (store) => {
+    const findByEmail = (email) => store.auth_users.find(user => equalsIgnoringCase(user.email, email));
+
+    return {
+        async createUser({ email, password }) {
+            if (findByEmail(email)) {
+                throw new ConflictError('Email already registered');
+            }
+            const user = insertRow(store.auth_users, {
+                email: email.toLowerCase(),
+                password_hash: await bcrypt.hash(password, 10),
+                created_at: now()
+            });
+            return toAuthUser(user);
+        },
+
+        async getUserById(id) {
+            const user = store.auth_users.find(row => row.id === id);
+            return user ? toAuthUser(user) : null;
+        },
+
+        async updateUser(id, changes) {
+            const user = store.auth_users.find(row => row.id === id);
+            if (!user) {
+                throw new Error('User not found');
+            }
+            if (changes.email !== undefined) {
+                const owner = findByEmail(changes.email);
+                if (owner && owner.id !== id) {
+                    throw new ConflictError('Email already registered');
+                }
+                user.email = changes.email.toLowerCase();
+            }
+            if (changes.password !== undefined) {
+                user.password_hash = await bcrypt.hash(changes.password, 10);
+            }
+        },
+
+        // Everything owned by the account goes with it (ON DELETE CASCADE / SET NULL)
+        async deleteUser(id) {
+            removeRows(store.auth_users, row => row.id === id);
+            removeRows(store.user_profiles, row => row.id === id);
+            removeRows(store.favorites, row => row.user_id === id);
+            const playlists = removeRows(store.playlists, row => row.user_id === id).map(row => row.id);
+            removeRows(store.playlist_songs, row => playlists.includes(row.playlist_id));
+            removeRows(store.playlist_collaborators, row => row.user_id === id || playlists.includes(row.playlist_id));
+            removeRows(store.listening_history, row => row.user_id === id);
+            removeRows(store.auth_sessions, row => row.user_id === id);
+            removeRows(store.refresh_tokens, row => row.user_id === id);
+            removeRows(store.password_reset_tokens, row => row.user_id === id);
+            removeRows(store.follows, row => row.follower_id === id || row.following_id === id);
+            removeRows(store.activity_events, row => row.actor_id === id || playlists.includes(row.playlist_id));
+            removeRows(store.notifications, row => row.user_id === id || row.actor_id === id || playlists.includes(row.playlist_id));
+            for (const track of store.playlist_songs) {
+                if (track.added_by === id) track.added_by = null;
+            }
+            for (const collaborator of store.playlist_collaborators) {
+                if (collaborator.invited_by === id) collaborator.invited_by = null;
+            }
+        },
+
+        async signIn(email, password) {
+            const user = findByEmail(email);
+            if (!user || !await bcrypt.compare(password, user.password_hash)) {
+                return null;
+            }
+            return toAuthUser(user);
+        },
+
+        async findUserIdByEmail(email) {
+            return findByEmail(email)?.id || null;
+        }
+    };
+};
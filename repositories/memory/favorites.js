@@ -0,0 +1,71 @@
+import { ConflictError } from '../errors.js';
+import { insertRow, removeRows, clone, now, orderBy } from './store.js';
+
+// favorites, each with its song and album
+export const createMemoryFavoriteRepository = (store) => {
+    const withSong = (favorite) => {
+        const song = store.songs.find(row => row.id === favorite.song_id);
+        const album = song && store.albums.find(row => row.id === song.album_id);
+        return {
+            ...clone(favorite),
+            songs: song ? {
+                id: song.id,
+                title: song.title,
+                src: song.src,
+                img: song.img,
+                duration: song.duration,
+                album_id: song.album_id,
+                albums: album ? { id: album.id, title: album.title, artist: album.artist, img: album.img } : null
+            } : null
+        };
+    };
+
+    const findRow = (userId, songId) => store.favorites.find(row => row.user_id === userId && row.song_id === songId);
+
+    return {
+        async listByUser(userId) {
+            return store.favorites
+                .filter(row => row.user_id === userId)
+                .sort(orderBy(['added_at', false]))
+                .map(withSong);
+        },
+
+        async find(userId, songId) {
+            const favorite = findRow(userId, songId);
+            return favorite ? withSong(favorite) : null;
+        },
+
+        async add(userId, songId) {
+            if (findRow(userId, songId)) {
+                throw new ConflictError('Song already in favorites');
+            }
+            if (!store.songs.some(row => row.id === songId)) {
+                throw new Error(`Song ${songId} not found`);
+            }
+            return withSong(insertRow(store.favorites, { user_id: userId, song_id: songId, added_at: now() }));
+        },
+
+        async remove(userId, songId) {
+            removeRows(store.favorites, row => row.user_id === userId && row.song_id === songId);
+        },
+
+        async countByUser(userId) {
+            return store.favorites.filter(row => row.user_id === userId).length;
+        },
+
+        async listRecent({ excludeUserId, limit }) {
+            return store.favorites
+                .filter(row => row.user_id !== excludeUserId)
+                .sort(orderBy(['added_at', false]))
+                .slice(0, limit)
+                .map(({ user_id, song_id }) => ({ user_id, song_id }));
+        },
+
+        async listUserIdsByArtist(artist) {
+            const albumIds = store.albums.filter(row => row.artist === artist).map(row => row.id);
+            const songIds = store.songs.filter(row => albumIds.includes(row.album_id)).map(row => row.id);
+            const userIds = store.favorites.filter(row => songIds.includes(row.song_id)).map(row => row.user_id);
+            return [...new Set(userIds)];
+        }
+    };
+};
@@ -0,0 +1,78 @@
+import { ConflictError } from '../errors.js';
+import { removeRows, clone, now, orderBy } from './store.js';
+
+// follows, with the profile on the other side as follower or following
+export const createMemoryFollowRepository = (store) => {
+    const profileOf = (userId) => {
+        const profile = store.user_profiles.find(row => row.id === userId);
+        return profile ? { id: profile.id, username: profile.username, profile_picture: profile.profile_picture } : null;
+    };
+
+    const findRow = (followerId, followingId) =>
+        store.follows.find(row => row.follower_id === followerId && row.following_id === followingId);
+
+    const page = (rows, limit, offset, embed) => ({
+        follows: rows
+            .sort(orderBy(['created_at', false]))
+            .slice(offset, offset + limit)
+            .map(embed),
+        total: rows.length
+    });
+
+    return {
+        async find(followerId, followingId) {
+            return clone(findRow(followerId, followingId) || null);
+        },
+
+        async add(followerId, followingId) {
+            if (followerId === followingId) {
+                throw new Error('Users cannot follow themselves');
+            }
+            if (findRow(followerId, followingId)) {
+                throw new ConflictError('Already following');
+            }
+            // follows is keyed by the pair and has no id column
+            const follow = { follower_id: followerId, following_id: followingId, created_at: now() };
+            store.follows.push(follow);
+            return clone(follow);
+        },
+
+        async remove(followerId, followingId) {
+            return removeRows(store.follows, row => row.follower_id === followerId && row.following_id === followingId).length > 0;
+        },
+
+        async listFollowers(userId, { limit, offset = 0 }) {
+            return page(store.follows.filter(row => row.following_id === userId), limit, offset,
+                row => ({ ...clone(row), follower: profileOf(row.follower_id) }));
+        },
+
+        async listFollowing(userId, { limit, offset = 0 }) {
+            return page(store.follows.filter(row => row.follower_id === userId), limit, offset,
+                row => ({ ...clone(row), following: profileOf(row.following_id) }));
+        },
+
+        async listFollowingIds(userId) {
+            return store.follows.filter(row => row.follower_id === userId).map(row => row.following_id);
+        },
+
+        async countFollowers(userId) {
+            return store.follows.filter(row => row.following_id === userId).length;
+        },
+
+        async countFollowing(userId) {
+            return store.follows.filter(row => row.follower_id === userId).length;
+        },
+
+        async followedAmong(followerId, userIds) {
+            return store.follows
+                .filter(row => row.follower_id === followerId && userIds.includes(row.following_id))
+                .map(row => row.following_id);
+        },
+
+        async followersAmong(userId, userIds) {
+            return store.follows
+                .filter(row => row.following_id === userId && userIds.includes(row.follower_id))
+                .map(row => row.follower_id);
+        }
+    };
+};
@@ -0,0 +1,43 @@
+import { insertRow, removeRows, clone, now, orderBy, newestFirst } from './store.js';
+
+// listening_history, including the trigger that bumps albums.play_count on insert
+export const createMemoryHistoryRepository = (store) => ({
+    async listByUser(userId, { limit, offset = 0 } = {}) {
+        const entries = store.listening_history
+            .filter(row => row.user_id === userId)
+            .sort(orderBy(['played_at', false]));
+        return { entries: clone(entries.slice(offset, offset + limit)), total: entries.length };
+    },
+
+    async listByUsers(userIds, { before, limit }) {
+        const plays = store.listening_history.filter(row => userIds.includes(row.user_id));
+        return clone(newestFirst(plays, 'played_at', before).slice(0, limit));
+    },
+
+    async hasRecentPlay(userId, { title, src, since }) {
+        return store.listening_history.some(row =>
+            row.user_id === userId && row.song_title === title && row.song_src === src && row.played_at >= since);
+    },
+
+    async add(entry) {
+        const stored = insertRow(store.listening_history, entry, { played_at: now() });
+
+        const album = stored.album_id && store.albums.find(row => row.id === stored.album_id);
+        if (album) {
+            album.play_count += 1;
+        }
+        return clone(stored);
+    },
+
+    async findById(id) {
+        return clone(store.listening_history.find(row => row.id === id));
+    },
+
+    async delete(id) {
+        removeRows(store.listening_history, row => row.id === id);
+    },
+
+    async clear(userId) {
+        removeRows(store.listening_history, row => row.user_id === userId);
+    }
+});
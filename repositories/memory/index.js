@@ -0,0 +1,82 @@
+import fs from 'fs';
+import bcrypt from 'bcryptjs';
+import { createMemoryStore, insertRow, now } from './store.js';
+import { createMemoryAuthRepository } from './auth.js';
+import { createMemoryUserRepository } from './users.js';
+import { createMemoryAlbumRepository } from './albums.js';
+import { createMemorySongRepository } from './songs.js';
+import { createMemoryFavoriteRepository } from './favorites.js';
+import { createMemoryPlaylistRepository } from './playlists.js';
+import { createMemoryHistoryRepository } from './history.js';
+import { createMemorySessionRepository } from './sessions.js';
+import { createMemoryPasswordResetRepository } from './passwordResets.js';
+import { createMemoryFollowRepository } from './follows.js';
+import { createMemoryActivityRepository } from './activity.js';
+import { createMemoryNotificationRepository } from './notifications.js';
+
+// Fill a store from a seed file: { users: [{ email, password, username, role }], albums: [{ id, title, artist, ..., songs: [...] }] }
+// Runs once at startup, so it writes rows directly instead of going through the async repositories
+const seedStore = (store, seed) => {
+    for (const { email, password, username, role = 'user' } of seed.users || []) {
+        const user = insertRow(store.auth_users, {
+            email: email.toLowerCase(),
+            password_hash: bcrypt.hashSync(password, 10),
+            created_at: now()
+        });
+        insertRow(store.user_profiles, {
+            id: user.id,
+            username,
+            role,
+            bio: null,
+            location: null,
+            profile_picture: null,
+            social_links: {},
+            preferences: { theme: 'dark', notifications: true, privacy: 'public', language: 'en' },
+            created_at: now(),
+            updated_at: now()
+        });
+    }
+
+    for (const { songs = [], ...album } of seed.albums || []) {
+        insertRow(store.albums, album, {
+            img: null,
+            category: null,
+            genre: null,
+            description: null,
+            play_count: 0,
+            created_at: now(),
+            updated_at: now()
+        });
+        for (const song of songs) {
+            insertRow(store.songs, { ...song, album_id: album.id }, { img: null, duration: null, created_at: now() });
+        }
+    }
+};
+
+/**
+ * Build the repositories on top of an in-memory store (nothing is persisted)
+ * @param {object} [options]
+ * @param {string} [options.seedFile] - JSON file with users and albums to start with
+ * @returns {object} Repositories keyed by name
+ */
+export const createMemoryRepositories = ({ seedFile } = {}) => {
+    const store = createMemoryStore();
+    if (seedFile) {
+        seedStore(store, JSON.parse(fs.readFileSync(seedFile, 'utf8')));
+    }
+
+    return {
+        auth: createMemoryAuthRepository(store),
+        users: createMemoryUserRepository(store),
+        albums: createMemoryAlbumRepository(store),
+        songs: createMemorySongRepository(store),
+        favorites: createMemoryFavoriteRepository(store),
+        playlists: createMemoryPlaylistRepository(store),
+        history: createMemoryHistoryRepository(store),
+        sessions: createMemorySessionRepository(store),
+        passwordResets: createMemoryPasswordResetRepository(store),
+        follows: createMemoryFollowRepository(store),
+        activity: createMemoryActivityRepository(store),
+        notifications: createMemoryNotificationRepository(store)
+    };
+};
@@ -0,0 +1,63 @@
+import { insertRow, clone, now, orderBy } from './store.js';
+
+// notifications, each with its actor, playlist or album
+export const createMemoryNotificationRepository = (store) => {
+    const withSubjects = (notification) => {
+        const actor = notification.actor_id && store.user_profiles.find(row => row.id === notification.actor_id);
+        const playlist = notification.playlist_id && store.playlists.find(row => row.id === notification.playlist_id);
+        const album = notification.album_id && store.albums.find(row => row.id === notification.album_id);
+        return {
+            ...clone(notification),
+            actor: actor ? { id: actor.id, username: actor.username, profile_picture: actor.profile_picture } : null,
+            playlists: playlist ? { id: playlist.id, name: playlist.name, cover_image: playlist.cover_image } : null,
+            albums: album ? { id: album.id, title: album.title, artist: album.artist, img: album.img } : null
+        };
+    };
+
+    const unreadOf = (userId) => store.notifications.filter(row => row.user_id === userId && !row.read_at);
+
+    return {
+        async addMany(notifications) {
+            return notifications.map(notification => withSubjects(insertRow(store.notifications, notification, {
+                actor_id: null,
+                playlist_id: null,
+                album_id: null,
+                read_at: null,
+                created_at: now()
+            })));
+        },
+
+        async listByUser(userId, { unreadOnly = false, limit, offset = 0 }) {
+            const rows = unreadOnly ? unreadOf(userId) : store.notifications.filter(row => row.user_id === userId);
+            return {
+                notifications: rows
+                    .sort(orderBy(['created_at', false]))
+                    .slice(offset, offset + limit)
+                    .map(withSubjects),
+                total: rows.length
+            };
+        },
+
+        async countUnread(userId) {
+            return unreadOf(userId).length;
+        },
+
+        async listUnreadRecipients(userIds, { type, actorId }) {
+            return userIds.filter(userId => unreadOf(userId).some(row => row.type === type && row.actor_id === actorId));
+        },
+
+        async markRead(userId, id) {
+            const notification = store.notifications.find(row => row.id === id && row.user_id === userId);
+            if (!notification) return null;
+            notification.read_at = notification.read_at || now();
+            return withSubjects(notification);
+        },
+
+        async markAllRead(userId) {
+            const unread = unreadOf(userId);
+            const readAt = now();
+            for (const notification of unread) notification.read_at = readAt;
+            return unread.length;
+        }
+    };
+};
@@ -0,0 +1,28 @@
+import { insertRow, now } from './store.js';
+
+// password_reset_tokens
+export const createMemoryPasswordResetRepository = (store) => ({
+    async create(reset) {
+        insertRow(store.password_reset_tokens, reset, { used_at: null, created_at: now() });
+    },
+
+    async invalidateForUser(userId) {
+        const usedAt = now();
+        for (const reset of store.password_reset_tokens) {
+            if (reset.user_id === userId && !reset.used_at) {
+                reset.used_at = usedAt;
+            }
+        }
+    },
+
+    async claim(id, userId) {
+        const usedAt = now();
+        const reset = store.password_reset_tokens.find(row =>
+            row.id === id && row.user_id === userId && !row.used_at && row.expires_at > usedAt);
+        if (!reset) {
+            return false;
+        }
+        reset.used_at = usedAt;
+        return true;
+    }
+});
@@ -0,0 +1,215 @@
+import { ConflictError, TrackSetMismatchError } from '../errors.js';
+import { insertRow, removeRows, clone, now, equalsIgnoringCase, orderBy } from './store.js';
+
+const byTrackOrder = orderBy(['position', true], ['added_at', false]);
+
+// playlists, their tracks (playlist_songs) and collaborators (playlist_collaborators)
+export const createMemoryPlaylistRepository = (store) => {
+    const tracksOf = (playlistId) => store.playlist_songs
+        .filter(row => row.playlist_id === playlistId)
+        .sort(byTrackOrder);
+
+    const withTracks = (playlist) => ({ ...clone(playlist), tracks: clone(tracksOf(playlist.id)) });
+
+    const profileFields = (userId, fields) => {
+        const profile = store.user_profiles.find(row => row.id === userId);
+        return profile ? Object.fromEntries(fields.map(field => [field, profile[field]])) : null;
+    };
+
+    const withMembers = (collaborator) => ({
+        ...clone(collaborator),
+        member: profileFields(collaborator.user_id, ['username', 'profile_picture']),
+        inviter: profileFields(collaborator.invited_by, ['username'])
+    });
+
+    const matchesCollaborator = (playlistId, userId, status) => (row) =>
+        row.playlist_id === playlistId && row.user_id === userId && (!status || row.status === status);
+
+    const assertSlugFree = (slug, id) => {
+        if (slug && store.playlists.some(row => row.share_slug === slug && row.id !== id)) {
+            throw new ConflictError('Share link already in use');
+        }
+    };
+
+    return {
+        async findById(id) {
+            return clone(store.playlists.find(row => row.id === id));
+        },
+
+        // Private playlists are never reachable by slug
+        async findByShareSlug(slug) {
+            return clone(store.playlists.find(row =>
+                row.share_slug === slug && ['unlisted', 'public'].includes(row.visibility)));
+        },
+
+        async findByName(userId, name) {
+            return clone(store.playlists.find(row => row.user_id === userId && equalsIgnoringCase(row.name, name)));
+        },
+
+        async listByOwner(userId, { withTracks: includeTracks = false } = {}) {
+            return store.playlists
+                .filter(row => row.user_id === userId)
+                .sort(orderBy(['created_at', false]))
+                .map(includeTracks ? withTracks : clone);
+        },
+
+        async pageByOwner(userId, { visibility, limit, offset = 0 }) {
+            const playlists = store.playlists
+                .filter(row => row.user_id === userId && (!visibility || row.visibility === visibility))
+                .sort(orderBy(['created_at', false]));
+            return {
+                playlists: playlists.slice(offset, offset + limit)
+                    .map(playlist => ({ ...clone(playlist), track_count: tracksOf(playlist.id).length })),
+                total: playlists.length
+            };
+        },
+
+        async listRecent({ excludeUserId, limit, withTracks: includeTracks = false }) {
+            return store.playlists
+                .filter(row => row.user_id !== excludeUserId)
+                .sort(orderBy(['updated_at', false]))
+                .slice(0, limit)
+                .map(includeTracks ? withTracks : clone);
+        },
+
+        async countByOwner(userId) {
+            return store.playlists.filter(row => row.user_id === userId).length;
+        },
+
+        async create(playlist) {
+            assertSlugFree(playlist.share_slug);
+            return clone(insertRow(store.playlists, playlist, {
+                description: null,
+                cover_image: null,
+                visibility: 'private',
+                share_slug: null,
+                created_at: now(),
+                updated_at: now()
+            }));
+        },
+
+        async update(id, changes) {
+            const playlist = store.playlists.find(row => row.id === id);
+            if (!playlist) {
+                throw new Error(`Playlist ${id} not found`);
+            }
+            assertSlugFree(changes.share_slug, id);
+            Object.assign(playlist, clone(changes));
+            return clone(playlist);
+        },
+
+        async delete(id) {
+            removeRows(store.playlists, row => row.id === id);
+            removeRows(store.playlist_songs, row => row.playlist_id === id);
+            removeRows(store.playlist_collaborators, row => row.playlist_id === id);
+            removeRows(store.activity_events, row => row.playlist_id === id);
+            removeRows(store.notifications, row => row.playlist_id === id);
+        },
+
+        async listTracks(playlistId) {
+            return clone(tracksOf(playlistId));
+        },
+
+        // Same sums as the playlist_total_durations database function
+        async totalDurations(playlistIds) {
+            return playlistIds
+                .filter(playlistId => store.playlist_songs.some(row => row.playlist_id === playlistId))
+                .map(playlistId => ({
+                    playlist_id: playlistId,
+                    total_duration: tracksOf(playlistId).reduce((total, track) =>
+                        total + (store.songs.find(song => song.src === track.song_src)?.duration || 0), 0)
+                }));
+        },
+
+        async addTracks(tracks) {
+            const addedAt = now();
+            const inserted = tracks.map(track => insertRow(store.playlist_songs, track, {
+                song_src: null,
+                song_img: null,
+                album_id: null,
+                artist: null,
+                position: null,
+                added_by: null,
+                added_at: addedAt
+            }));
+            return clone(inserted.sort(byTrackOrder));
+        },
+
+        async removeTracksByTitle(playlistId, titles) {
+            removeRows(store.playlist_songs, row => row.playlist_id === playlistId && titles.includes(row.song_title));
+        },
+
+        // Same checks as the reorder_playlist_songs database function
+        async reorderTracks(playlistId, trackIds) {
+            const tracks = store.playlist_songs.filter(row => row.playlist_id === playlistId);
+            const ids = new Set(tracks.map(track => track.id));
+
+            if (tracks.length !== trackIds.length ||
+                new Set(trackIds).size !== trackIds.length ||
+                !trackIds.every(id => ids.has(id))) {
+                throw new TrackSetMismatchError();
+            }
+
+            for (const track of tracks) {
+                track.position = trackIds.indexOf(track.id) + 1;
+            }
+
+            const playlist = store.playlists.find(row => row.id === playlistId);
+            if (playlist) {
+                playlist.updated_at = now();
+            }
+        },
+
+        async findCollaborator(playlistId, userId, { status } = {}) {
+            const collaborator = store.playlist_collaborators.find(matchesCollaborator(playlistId, userId, status));
+            return collaborator ? withMembers(collaborator) : null;
+        },
+
+        async listCollaborators(playlistId, { status } = {}) {
+            return store.playlist_collaborators
+                .filter(row => row.playlist_id === playlistId && (!status || row.status === status))
+                .sort(orderBy(['created_at', true]))
+                .map(withMembers);
+        },
+
+        async listCollaborations(userId, { status, withTracks: includeTracks = false } = {}) {
+            return store.playlist_collaborators
+                .filter(row => row.user_id === userId && (!status || row.status === status))
+                .sort(orderBy(['created_at', false]))
+                .map(row => {
+                    const playlist = store.playlists.find(candidate => candidate.id === row.playlist_id);
+                    return {
+                        ...withMembers(row),
+                        playlists: playlist && (includeTracks ? withTracks(playlist) : clone(playlist))
+                    };
+                })
+                .filter(collaboration => collaboration.playlists);
+        },
+
+        async addCollaborator(collaborator) {
+            if (store.playlist_collaborators.some(matchesCollaborator(collaborator.playlist_id, collaborator.user_id))) {
+                throw new ConflictError('Already invited to this playlist');
+            }
+            return withMembers(insertRow(store.playlist_collaborators, collaborator, {
+                role: 'editor',
+                status: 'pending',
+                invited_by: null,
+                created_at: now(),
+                responded_at: null
+            }));
+        },
+
+        async updateCollaborator(playlistId, userId, changes, { status } = {}) {
+            const collaborator = store.playlist_collaborators.find(matchesCollaborator(playlistId, userId, status));
+            if (!collaborator) {
+                return null;
+            }
+            Object.assign(collaborator, clone(changes));
+            return withMembers(collaborator);
+        },
+
+        async removeCollaborator(playlistId, userId, { status } = {}) {
+            return removeRows(store.playlist_collaborators, matchesCollaborator(playlistId, userId, status)).length > 0;
+        }
+    };
+};
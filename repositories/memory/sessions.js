@@ -0,0 +1,63 @@
+import { insertRow, clone, now } from './store.js';
+
+// auth_sessions (one per signed-in device) and their refresh_tokens
+export const createMemorySessionRepository = (store) => ({
+    async create(session) {
+        return clone(insertRow(store.auth_sessions, session, {
+            user_agent: null,
+            ip_address: null,
+            created_at: now(),
+            last_used_at: now(),
+            revoked_at: null
+        }));
+    },
+
+    async findById(id) {
+        return clone(store.auth_sessions.find(row => row.id === id));
+    },
+
+    async touch(id) {
+        const session = store.auth_sessions.find(row => row.id === id);
+        if (session) {
+            session.last_used_at = now();
+        }
+    },
+
+    async revoke(id) {
+        const session = store.auth_sessions.find(row => row.id === id && !row.revoked_at);
+        if (session) {
+            session.revoked_at = now();
+        }
+    },
+
+    async revokeAllForUser(userId, { exceptId } = {}) {
+        const revokedAt = now();
+        for (const session of store.auth_sessions) {
+            if (session.user_id === userId && !session.revoked_at && session.id !== exceptId) {
+                session.revoked_at = revokedAt;
+            }
+        }
+    },
+
+    async createRefreshToken(refreshToken) {
+        return clone(insertRow(store.refresh_tokens, refreshToken, { used_at: null, created_at: now() }));
+    },
+
+    async findRefreshToken(tokenHash) {
+        const refreshToken = store.refresh_tokens.find(row => row.token_hash === tokenHash);
+        if (!refreshToken) {
+            return null;
+        }
+        const session = store.auth_sessions.find(row => row.id === refreshToken.session_id);
+        return { ...clone(refreshToken), auth_sessions: session ? { revoked_at: session.revoked_at } : null };
+    },
+
+    async claimRefreshToken(id) {
+        const refreshToken = store.refresh_tokens.find(row => row.id === id && !row.used_at);
+        if (!refreshToken) {
+            return false;
+        }
+        refreshToken.used_at = now();
+        return true;
+    }
+});
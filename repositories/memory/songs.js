@@ -0,0 +1,54 @@
+import { insertRow, removeRows, clone, now } from './store.js';
+
+// songs, each with its album
+export const createMemorySongRepository = (store) => {
+    const withAlbum = (song) => {
+        const album = store.albums.find(row => row.id === song.album_id);
+        return {
+            ...clone(song),
+            albums: album ? { id: album.id, title: album.title, artist: album.artist, img: album.img } : null
+        };
+    };
+
+    return {
+        async findById(id) {
+            const song = store.songs.find(row => row.id === id);
+            return song ? withAlbum(song) : null;
+        },
+
+        async list({ src, srcs, title, albumId, limit } = {}) {
+            let songs = store.songs.filter(song =>
+                (src === undefined || song.src === src) &&
+                (!srcs || srcs.includes(song.src)) &&
+                (title === undefined || song.title === title) &&
+                (albumId === undefined || song.album_id === albumId));
+
+            if (limit) {
+                songs = songs.slice(0, limit);
+            }
+            return songs.map(withAlbum);
+        },
+
+        async create(song) {
+            if (!store.albums.some(row => row.id === song.album_id)) {
+                throw new Error(`Album ${song.album_id} not found`);
+            }
+            return clone(insertRow(store.songs, song, { img: null, duration: null, created_at: now() }));
+        },
+
+        async update(id, changes) {
+            const song = store.songs.find(row => row.id === id);
+            if (!song) {
+                throw new Error(`Song ${id} not found`);
+            }
+            Object.assign(song, clone(changes));
+            return clone(song);
+        },
+
+        async delete(id) {
+            removeRows(store.songs, row => row.id === id);
+            removeRows(store.favorites, row => row.song_id === id);
+            removeRows(store.activity_events, row => row.song_id === id);
+        }
+    };
+};
@@ -0,0 +1,97 @@
+// In-memory tables for the memory backend
+// Rows are shaped like the Postgres rows in database/schema.sql (snake_case, ISO timestamps),
+// so routes cannot tell the backends apart. Repositories hand out copies, never the stored rows.
+
+import crypto from 'crypto';
+
+const TABLES = [
+    'auth_users',
+    'user_profiles',
+    'albums',
+    'songs',
+    'favorites',
+    'playlists',
+    'playlist_songs',
+    'playlist_collaborators',
+    'listening_history',
+    'auth_sessions',
+    'refresh_tokens',
+    'password_reset_tokens',
+    'follows',
+    'activity_events',
+    'notifications'
+];
+
+/**
+ * Create an empty store
+ * @returns {object} Arrays of rows keyed by table name
+ */
+export const createMemoryStore = () => Object.fromEntries(TABLES.map(table => [table, []]));
+
+export const now = () => new Date().toISOString();
+
+export const clone = (row) => (row == null ? null : structuredClone(row));
+
+/**
+ * Insert a row, filling in a generated id and column defaults like the database would
+ * @param {Array<object>} table - Store table
+ * @param {object} row - Columns to insert
+ * @param {object} [defaults] - Column defaults, applied where row leaves a column undefined
+ * @returns {object} The stored row
+ */
+export const insertRow = (table, row, defaults = {}) => {
+    const stored = { id: crypto.randomUUID(), ...defaults };
+    for (const [column, value] of Object.entries(row)) {
+        if (value !== undefined) stored[column] = value;
+    }
+    table.push(stored);
+    return stored;
+};
+
+// Remove matching rows in place; returns the removed rows
+export const removeRows = (table, predicate) => {
+    const removed = table.filter(predicate);
+    const kept = table.filter(row => !predicate(row));
+    table.splice(0, table.length, ...kept);
+    return removed;
+};
+
+// Case-insensitive equality, as an ilike filter without wildcards matches
+export const equalsIgnoringCase = (a, b) =>
+    typeof a === 'string' && typeof b === 'string' && a.toLowerCase() === b.toLowerCase();
+
+// Compare two column values the way ORDER BY does, with nulls last
+export const compareValues = (a, b) => {
+    if (a === b) return 0;
+    if (a == null) return 1;
+    if (b == null) return -1;
+    return a < b ? -1 : 1;
+};
+
+/**
+ * Build a comparator from (column, ascending) pairs
+ * @param {...Array} keys - e.g. ['position', true], ['added_at', false]
+ * @returns {function} Array.prototype.sort comparator
+ */
+export const orderBy = (...keys) => (a, b) => {
+    for (const [column, ascending] of keys) {
+        const result = compareValues(a[column], b[column]);
+        if (result !== 0) return ascending ? result : -result;
+    }
+    return 0;
+};
+
+/**
+ * Page a newest-first list by keyset, like newestFirst in the Supabase helpers
+ * @param {Array<object>} rows - Rows to page
+ * @param {string} column - Timestamp column the list is ordered by
+ * @param {{ time: string, id: string }|null} before - Time and id of the last row already seen
+ * @returns {Array<object>} Rows after the cursor in (column desc, id asc) order
+ */
+export const newestFirst = (rows, column, before) => rows
+    .filter(row => {
+        if (!before) return true;
+        const result = compareValues(row[column], before.time);
+        return result < 0 || (result === 0 && row.id > before.id);
+    })
+    .sort(orderBy([column, false], ['id', true]));
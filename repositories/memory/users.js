@@ -0,0 +1,61 @@
+import { ConflictError } from '../errors.js';
+import { insertRow, clone, now } from './store.js';
+
+const DEFAULT_PREFERENCES = {
+    theme: 'dark',
+    notifications: true,
+    privacy: 'public',
+    language: 'en'
+};
+
+// user_profiles
+export const createMemoryUserRepository = (store) => {
+    const assertUsernameFree = (username, id) => {
+        if (store.user_profiles.some(row => row.username === username && row.id !== id)) {
+            throw new ConflictError('Username already exists');
+        }
+    };
+
+    return {
+        async findById(id) {
+            return clone(store.user_profiles.find(row => row.id === id));
+        },
+
+        async listByIds(ids) {
+            return store.user_profiles.filter(row => ids.includes(row.id)).map(clone);
+        },
+
+        async findByUsername(username) {
+            return clone(store.user_profiles.find(row => row.username === username));
+        },
+
+        async create(profile) {
+            assertUsernameFree(profile.username, profile.id);
+            if (store.user_profiles.some(row => row.id === profile.id)) {
+                throw new ConflictError('Profile already exists');
+            }
+            return clone(insertRow(store.user_profiles, profile, {
+                bio: null,
+                location: null,
+                profile_picture: null,
+                role: 'user',
+                social_links: {},
+                preferences: { ...DEFAULT_PREFERENCES },
+                created_at: now(),
+                updated_at: now()
+            }));
+        },
+
+        async update(id, changes) {
+            const profile = store.user_profiles.find(row => row.id === id);
+            if (!profile) {
+                throw new Error(`Profile ${id} not found`);
+            }
+            if (changes.username !== undefined) {
+                assertUsernameFree(changes.username, id);
+            }
+            Object.assign(profile, clone(changes));
+            return clone(profile);
+        }
+    };
+};
@@ -0,0 +1,52 @@
+import { unwrap, newestFirst, chunkFilterValues, mergeNewestFirst } from './helpers.js';
+
+// The playlist or song an event is about comes along, so feeds need no extra lookups
+const ACTIVITY_SELECT = `
+    *,
+    playlists (id, name, cover_image, visibility, share_slug),
+    songs (
+        id,
+        title,
+        src,
+        img,
+        duration,
+        album_id,
+        albums (id, title, artist, img)
+    )
+`;
+
+// activity_events (new playlists and favorited songs, for followers' feeds)
+export const createSupabaseActivityRepository = (client) => ({
+    async add(event) {
+        return unwrap(await client
+            .from('activity_events')
+            .insert([event])
+            .select()
+            .single());
+    },
+
+    async remove({ actorId, type, playlistId, songId }) {
+        let query = client
+            .from('activity_events')
+            .delete()
+            .eq('actor_id', actorId)
+            .eq('type', type);
+        if (playlistId) query = query.eq('playlist_id', playlistId);
+        if (songId) query = query.eq('song_id', songId);
+        unwrap(await query);
+    },
+
+    // Newest first; before is the { time, id } of the last event already seen
+    // Someone can follow more users than fit in one in() filter, so each chunk is paged and the pages merged
+    async listByActors(actorIds, { before, limit }) {
+        const pages = [];
+        for (const chunk of chunkFilterValues(actorIds)) {
+            pages.push(unwrap(await newestFirst(client
+                .from('activity_events')
+                .select(ACTIVITY_SELECT)
+                .in('actor_id', chunk), 'created_at', before)
+                .limit(limit)) || []);
+        }
+        return mergeNewestFirst(pages, 'created_at', limit);
+    }
+});
@@ -0,0 +1,75 @@
+import { unwrap, escapeLike, quoteFilterValue } from './helpers.js';
+
+const FILTER_FIELDS = ['category', 'genre', 'artist'];
+
+// Lite listings only need the number of songs per album
+const withSongCount = ({ songs, ...album }) => ({ ...album, song_count: songs?.[0]?.count || 0 });
+
+// albums, with their songs nested
+export const createSupabaseAlbumRepository = (client) => ({
+    async list({ filters = {}, sort = { column: 'created_at', ascending: false }, after, limit, songs = 'full' } = {}) {
+        let query = client
+            .from('albums')
+            .select(songs === 'count' ? '*, songs(count)' : '*, songs (*)');
+
+        for (const field of FILTER_FIELDS) {
+            if (filters[field]) {
+                query = query.ilike(field, escapeLike(filters[field]));
+            }
+        }
+
+        // Keyset pagination: rows strictly after the cursor in (sort column, id) order
+        if (after) {
+            const { column, ascending } = sort;
+            const value = quoteFilterValue(after.value);
+            const id = quoteFilterValue(after.id);
+            query = query.or(
+                `${column}.${ascending ? 'gt' : 'lt'}.${value},and(${column}.eq.${value},id.gt.${id})`
+            );
+        }
+
+        query = query
+            .order(sort.column, { ascending: sort.ascending })
+            .order('id', { ascending: true });
+
+        if (limit) {
+            query = query.limit(limit);
+        }
+
+        const albums = unwrap(await query) || [];
+        return songs === 'count' ? albums.map(withSongCount) : albums;
+    },
+
+    async findById(id) {
+        return unwrap(await client
+            .from('albums')
+            .select('*, songs (*)')
+            .eq('id', id)
+            .maybeSingle());
+    },
+
+    async create(album) {
+        return unwrap(await client
+            .from('albums')
+            .insert([album])
+            .select()
+            .single(), `An album with the id "${album.id}" already exists`);
+    },
+
+    async update(id, changes) {
+        return unwrap(await client
+            .from('albums')
+            .update(changes)
+            .eq('id', id)
+            .select()
+            .single());
+    },
+
+    // Songs go with the album (ON DELETE CASCADE)
+    async delete(id) {
+        unwrap(await client
+            .from('albums')
+            .delete()
+            .eq('id', id));
+    }
+});
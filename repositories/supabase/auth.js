@@ -0,0 +1,55 @@
+import { createAnonClient } from '../../config/supabase.js';
+import { ConflictError } from '../errors.js';
+import { unwrap } from './helpers.js';
+
+const toAuthUser = (user) => ({ id: user.id, email: user.email });
+
+// Accounts in Supabase Auth (auth.users), through the admin API
+export const createSupabaseAuthRepository = (client) => ({
+    async createUser({ email, password }) {
+        const { data, error } = await client.auth.admin.createUser({
+            email,
+            password,
+            email_confirm: true // Auto-confirm email
+        });
+        if (error) {
+            if (error.message.includes('already registered')) {
+                throw new ConflictError('Email already registered');
+            }
+            throw error;
+        }
+        return toAuthUser(data.user);
+    },
+
+    async getUserById(id) {
+        const { data, error } = await client.auth.admin.getUserById(id);
+        if (error || !data?.user) {
+            return null;
+        }
+        return toAuthUser(data.user);
+    },
+
+    async updateUser(id, changes) {
+        unwrap(await client.auth.admin.updateUserById(id, changes));
+    },
+
+    async deleteUser(id) {
+        unwrap(await client.auth.admin.deleteUser(id));
+    },
+
+    async signIn(email, password) {
+        // A throwaway client, so the sign-in does not leave a session behind in a shared client
+        const anon = createAnonClient();
+        const { data, error } = await anon.auth.signInWithPassword({ email, password });
+        if (error || !data.user) {
+            return null;
+        }
+
+        await anon.auth.signOut().catch(() => {});
+        return toAuthUser(data.user);
+    },
+
+    async findUserIdByEmail(email) {
+        return unwrap(await client.rpc('get_user_id_by_email', { user_email: email })) || null;
+    }
+});
@@ -0,0 +1,90 @@
+import { unwrap, MAX_ROWS_PER_REQUEST } from './helpers.js';
+
+// Song and album metadata are resolved from the catalog instead of being copied into favorites
+const FAVORITE_SELECT = `
+    id,
+    user_id,
+    song_id,
+    added_at,
+    songs (
+        id,
+        title,
+        src,
+        img,
+        duration,
+        album_id,
+        albums (id, title, artist, img)
+    )
+`;
+
+// favorites, each with its song and album
+export const createSupabaseFavoriteRepository = (client) => ({
+    async listByUser(userId) {
+        return unwrap(await client
+            .from('favorites')
+            .select(FAVORITE_SELECT)
+            .eq('user_id', userId)
+            .order('added_at', { ascending: false })) || [];
+    },
+
+    async find(userId, songId) {
+        return unwrap(await client
+            .from('favorites')
+            .select(FAVORITE_SELECT)
+            .eq('user_id', userId)
+            .eq('song_id', songId)
+            .maybeSingle());
+    },
+
+    async add(userId, songId) {
+        return unwrap(await client
+            .from('favorites')
+            .insert([{ user_id: userId, song_id: songId }])
+            .select(FAVORITE_SELECT)
+            .single(), 'Song already in favorites');
+    },
+
+    async remove(userId, songId) {
+        unwrap(await client
+            .from('favorites')
+            .delete()
+            .eq('user_id', userId)
+            .eq('song_id', songId));
+    },
+
+    async countByUser(userId) {
+        const { count, error } = await client
+            .from('favorites')
+            .select('*', { count: 'exact', head: true })
+            .eq('user_id', userId);
+        unwrap({ error });
+        return count || 0;
+    },
+
+    // Other users' most recent favorites, for collaborative filtering
+    async listRecent({ excludeUserId, limit }) {
+        return unwrap(await client
+            .from('favorites')
+            .select('user_id, song_id')
+            .neq('user_id', excludeUserId)
+            .order('added_at', { ascending: false })
+            .limit(limit)) || [];
+    },
+
+    // Everyone who favorited a song by the artist
+    // There is a row per favorite, so read them page by page: PostgREST caps a single response
+    async listUserIdsByArtist(artist) {
+        const userIds = new Set();
+        for (let offset = 0; ; offset += MAX_ROWS_PER_REQUEST) {
+            const rows = unwrap(await client
+                .from('favorites')
+                .select('id, user_id, songs!inner (albums!inner (artist))')
+                .eq('songs.albums.artist', artist)
+                .order('id', { ascending: true })
+                .range(offset, offset + MAX_ROWS_PER_REQUEST - 1)) || [];
+            rows.forEach(row => userIds.add(row.user_id));
+            if (rows.length < MAX_ROWS_PER_REQUEST) break;
+        }
+        return [...userIds];
+    }
+});
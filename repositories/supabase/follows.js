@@ -0,0 +1,119 @@
+import { unwrap, chunkFilterValues, MAX_ROWS_PER_REQUEST } from './helpers.js';
+
+const FOLLOWER_SELECT = 'follower_id, following_id, created_at, follower:user_profiles!follows_follower_id_fkey (id, username, profile_picture)';
+const FOLLOWING_SELECT = 'follower_id, following_id, created_at, following:user_profiles!follows_following_id_fkey (id, username, profile_picture)';
+
+const countWhere = async (client, column, userId) => {
+    const { count, error } = await client
+        .from('follows')
+        .select('*', { count: 'exact', head: true })
+        .eq(column, userId);
+    unwrap({ error });
+    return count || 0;
+};
+
+// follows, with the profile on the other side as follower or following
+export const createSupabaseFollowRepository = (client) => ({
+    async find(followerId, followingId) {
+        return unwrap(await client
+            .from('follows')
+            .select('*')
+            .eq('follower_id', followerId)
+            .eq('following_id', followingId)
+            .maybeSingle());
+    },
+
+    async add(followerId, followingId) {
+        return unwrap(await client
+            .from('follows')
+            .insert([{ follower_id: followerId, following_id: followingId }])
+            .select()
+            .single(), 'Already following');
+    },
+
+    async remove(followerId, followingId) {
+        const removed = unwrap(await client
+            .from('follows')
+            .delete()
+            .eq('follower_id', followerId)
+            .eq('following_id', followingId)
+            .select('follower_id')) || [];
+        return removed.length > 0;
+    },
+
+    // Newest first
+    async listFollowers(userId, { limit, offset = 0 }) {
+        const { data, error, count } = await client
+            .from('follows')
+            .select(FOLLOWER_SELECT, { count: 'exact' })
+            .eq('following_id', userId)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        unwrap({ error });
+        return { follows: data || [], total: count || 0 };
+    },
+
+    async listFollowing(userId, { limit, offset = 0 }) {
+        const { data, error, count } = await client
+            .from('follows')
+            .select(FOLLOWING_SELECT, { count: 'exact' })
+            .eq('follower_id', userId)
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        unwrap({ error });
+        return { follows: data || [], total: count || 0 };
+    },
+
+    // Everyone the user follows, for fan-out reads like the feed
+    // Read page by page, since PostgREST caps a single response
+    async listFollowingIds(userId) {
+        const ids = [];
+        for (let offset = 0; ; offset += MAX_ROWS_PER_REQUEST) {
+            const rows = unwrap(await client
+                .from('follows')
+                .select('following_id')
+                .eq('follower_id', userId)
+                .order('following_id', { ascending: true })
+                .range(offset, offset + MAX_ROWS_PER_REQUEST - 1)) || [];
+            ids.push(...rows.map(row => row.following_id));
+            if (rows.length < MAX_ROWS_PER_REQUEST) break;
+        }
+        return ids;
+    },
+
+    async countFollowers(userId) {
+        return countWhere(client, 'following_id', userId);
+    },
+
+    async countFollowing(userId) {
+        return countWhere(client, 'follower_id', userId);
+    },
+
+    // Which of userIds the follower follows
+    async followedAmong(followerId, userIds) {
+        const ids = [];
+        for (const chunk of chunkFilterValues(userIds)) {
+            const rows = unwrap(await client
+                .from('follows')
+                .select('following_id')
+                .eq('follower_id', followerId)
+                .in('following_id', chunk)) || [];
+            ids.push(...rows.map(row => row.following_id));
+        }
+        return ids;
+    },
+
+    // Which of userIds follow the user
+    async followersAmong(userId, userIds) {
+        const ids = [];
+        for (const chunk of chunkFilterValues(userIds)) {
+            const rows = unwrap(await client
+                .from('follows')
+                .select('follower_id')
+                .eq('following_id', userId)
+                .in('follower_id', chunk)) || [];
+            ids.push(...rows.map(row => row.follower_id));
+        }
+        return ids;
+    }
+});
@@ -0,0 +1,79 @@
+// Shared plumbing for the Supabase repositories
+
+import { ConflictError } from '../errors.js';
+import { compareNewestFirst } from '../../utils/pagination.js';
+
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Return the data of a Supabase response, throwing its error if there is one
+ * @param {{ data: *, error: object|null }} result - Awaited query
+ * @param {string} [conflictMessage] - Raise a ConflictError with this message on unique violations
+ * @returns {*} result.data
+ */
+export const unwrap = ({ data, error }, conflictMessage) => {
+    if (error) {
+        if (conflictMessage && error.code === UNIQUE_VIOLATION) {
+            throw new ConflictError(conflictMessage);
+        }
+        throw error;
+    }
+    return data;
+};
+
+// Escape LIKE wildcards so ilike filters match literally (case-insensitive)
+export const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Quote a value for use inside a PostgREST or() filter
+export const quoteFilterValue = (value) => `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+
+/**
+ * Page a newest-first list by keyset: rows strictly after the cursor in (column desc, id asc) order
+ * @param {object} query - Supabase query builder
+ * @param {string} column - Timestamp column the list is ordered by
+ * @param {{ time: string, id: string }|null} before - Time and id of the last row already seen
+ * @returns {object} The query, filtered and ordered
+ */
+export const newestFirst = (query, column, before) => {
+    if (before) {
+        const time = quoteFilterValue(before.time);
+        const id = quoteFilterValue(before.id);
+        query = query.or(`${column}.lt.${time},and(${column}.eq.${time},id.gt.${id})`);
+    }
+    return query
+        .order(column, { ascending: false })
+        .order('id', { ascending: true });
+};
+
+// PostgREST's default max-rows; longer lists have to be read in pages of at most this many rows
+export const MAX_ROWS_PER_REQUEST = 1000;
+
+// Values per in() filter: the filter travels in the request URL, and long lists of URLs or ids
+// would push it past what servers and proxies accept
+export const MAX_FILTER_VALUES = 50;
+
+/**
+ * Split a list into chunks small enough for one in() filter
+ * @param {Array} values - Filter values
+ * @param {number} [size] - Values per chunk
+ * @returns {Array<Array>} Chunks, in order
+ */
+export const chunkFilterValues = (values, size = MAX_FILTER_VALUES) => {
+    const chunks = [];
+    for (let start = 0; start < values.length; start += size) {
+        chunks.push(values.slice(start, start + size));
+    }
+    return chunks;
+};
+
+/**
+ * Merge newest-first pages read in chunks (one per in() filter) into a single page
+ * @param {Array<Array<object>>} pages - Rows of each chunk, each already paged by newestFirst
+ * @param {string} column - Timestamp column the lists are ordered by
+ * @param {number} limit - Rows to keep
+ * @returns {Array<object>} The first limit rows in (column desc, id asc) order
+ */
+export const mergeNewestFirst = (pages, column, limit) => pages
+    .flat()
+    .sort((a, b) => compareNewestFirst({ time: a[column], id: a.id }, { time: b[column], id: b.id }))
+    .slice(0, limit);
@@ -0,0 +1,71 @@
+import { unwrap, newestFirst, chunkFilterValues, mergeNewestFirst } from './helpers.js';
+
+// listening_history (a database trigger bumps albums.play_count on insert)
+export const createSupabaseHistoryRepository = (client) => ({
+    async listByUser(userId, { limit, offset = 0 } = {}) {
+        const { data, count, error } = await client
+            .from('listening_history')
+            .select('*', { count: 'exact' })
+            .eq('user_id', userId)
+            .order('played_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        unwrap({ error });
+        return { entries: data || [], total: count || 0 };
+    },
+
+    // Plays by several users, newest first; before is the { time, id } of the last play already seen
+    // Each chunk of users is paged on its own and the pages merged, like activity.listByActors
+    async listByUsers(userIds, { before, limit }) {
+        const pages = [];
+        for (const chunk of chunkFilterValues(userIds)) {
+            pages.push(unwrap(await newestFirst(client
+                .from('listening_history')
+                .select('*')
+                .in('user_id', chunk), 'played_at', before)
+                .limit(limit)) || []);
+        }
+        return mergeNewestFirst(pages, 'played_at', limit);
+    },
+
+    async hasRecentPlay(userId, { title, src, since }) {
+        const recent = unwrap(await client
+            .from('listening_history')
+            .select('id')
+            .eq('user_id', userId)
+            .eq('song_title', title)
+            .eq('song_src', src)
+            .gte('played_at', since)
+            .limit(1));
+        return (recent || []).length > 0;
+    },
+
+    async add(entry) {
+        return unwrap(await client
+            .from('listening_history')
+            .insert([entry])
+            .select()
+            .single());
+    },
+
+    async findById(id) {
+        return unwrap(await client
+            .from('listening_history')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle());
+    },
+
+    async delete(id) {
+        unwrap(await client
+            .from('listening_history')
+            .delete()
+            .eq('id', id));
+    },
+
+    async clear(userId) {
+        unwrap(await client
+            .from('listening_history')
+            .delete()
+            .eq('user_id', userId));
+    }
+});
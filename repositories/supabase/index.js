@@ -0,0 +1,32 @@
+import { createSupabaseAuthRepository } from './auth.js';
+import { createSupabaseUserRepository } from './users.js';
+import { createSupabaseAlbumRepository } from './albums.js';
+import { createSupabaseSongRepository } from './songs.js';
+import { createSupabaseFavoriteRepository } from './favorites.js';
+import { createSupabasePlaylistRepository } from './playlists.js';
+import { createSupabaseHistoryRepository } from './history.js';
+import { createSupabaseSessionRepository } from './sessions.js';
+import { createSupabasePasswordResetRepository } from './passwordResets.js';
+import { createSupabaseFollowRepository } from './follows.js';
+import { createSupabaseActivityRepository } from './activity.js';
+import { createSupabaseNotificationRepository } from './notifications.js';
+
+/**
+ * Build the repositories on top of a Supabase client
+ * @param {object} client - Supabase client with the service role key
+ * @returns {object} Repositories keyed by name
+ */
+export const createSupabaseRepositories = (client) => ({
+    auth: createSupabaseAuthRepository(client),
+    users: createSupabaseUserRepository(client),
+    albums: createSupabaseAlbumRepository(client),
+    songs: createSupabaseSongRepository(client),
+    favorites: createSupabaseFavoriteRepository(client),
+    playlists: createSupabasePlaylistRepository(client),
+    history: createSupabaseHistoryRepository(client),
+    sessions: createSupabaseSessionRepository(client),
+    passwordResets: createSupabasePasswordResetRepository(client),
+    follows: createSupabaseFollowRepository(client),
+    activity: createSupabaseActivityRepository(client),
+    notifications: createSupabaseNotificationRepository(client)
+});
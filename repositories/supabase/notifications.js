@@ -0,0 +1,87 @@
+import { unwrap, chunkFilterValues } from './helpers.js';
+
+// Who caused the notification and what it is about come along, so lists need no extra lookups
+const NOTIFICATION_SELECT = `
+    *,
+    actor:user_profiles!notifications_actor_id_fkey (id, username, profile_picture),
+    playlists (id, name, cover_image),
+    albums (id, title, artist, img)
+`;
+
+// notifications, each with its actor, playlist or album
+export const createSupabaseNotificationRepository = (client) => ({
+    async addMany(notifications) {
+        if (notifications.length === 0) return [];
+        return unwrap(await client
+            .from('notifications')
+            .insert(notifications)
+            .select(NOTIFICATION_SELECT)) || [];
+    },
+
+    // Newest first
+    async listByUser(userId, { unreadOnly = false, limit, offset = 0 }) {
+        let query = client
+            .from('notifications')
+            .select(NOTIFICATION_SELECT, { count: 'exact' })
+            .eq('user_id', userId);
+        if (unreadOnly) query = query.is('read_at', null);
+        const { data, error, count } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        unwrap({ error });
+        return { notifications: data || [], total: count || 0 };
+    },
+
+    async countUnread(userId) {
+        const { count, error } = await client
+            .from('notifications')
+            .select('*', { count: 'exact', head: true })
+            .eq('user_id', userId)
+            .is('read_at', null);
+        unwrap({ error });
+        return count || 0;
+    },
+
+    // Which of userIds have an unread notification of this type from the actor
+    async listUnreadRecipients(userIds, { type, actorId }) {
+        const ids = [];
+        for (const chunk of chunkFilterValues(userIds)) {
+            const rows = unwrap(await client
+                .from('notifications')
+                .select('user_id')
+                .in('user_id', chunk)
+                .eq('type', type)
+                .eq('actor_id', actorId)
+                .is('read_at', null)) || [];
+            ids.push(...rows.map(row => row.user_id));
+        }
+        return [...new Set(ids)];
+    },
+
+    // Null when the user has no such notification; one that was already read keeps its read_at
+    async markRead(userId, id) {
+        unwrap(await client
+            .from('notifications')
+            .update({ read_at: new Date().toISOString() })
+            .eq('id', id)
+            .eq('user_id', userId)
+            .is('read_at', null));
+        return unwrap(await client
+            .from('notifications')
+            .select(NOTIFICATION_SELECT)
+            .eq('id', id)
+            .eq('user_id', userId)
+            .maybeSingle());
+    },
+
+    // Returns how many notifications were marked
+    async markAllRead(userId) {
+        const updated = unwrap(await client
+            .from('notifications')
+            .update({ read_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .is('read_at', null)
+            .select('id')) || [];
+        return updated.length;
+    }
+});
@@ -0,0 +1,33 @@
+import { unwrap } from './helpers.js';
+
+// password_reset_tokens (the tokens themselves are JWTs; rows make them single-use)
+export const createSupabasePasswordResetRepository = (client) => ({
+    async create(reset) {
+        unwrap(await client
+            .from('password_reset_tokens')
+            .insert([reset]));
+    },
+
+    // Mark every unused token for the user as used
+    async invalidateForUser(userId) {
+        unwrap(await client
+            .from('password_reset_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .is('used_at', null));
+    },
+
+    // Use a token once: true only if it was unused and has not expired
+    async claim(id, userId) {
+        const now = new Date().toISOString();
+        const claimed = unwrap(await client
+            .from('password_reset_tokens')
+            .update({ used_at: now })
+            .eq('id', id)
+            .eq('user_id', userId)
+            .is('used_at', null)
+            .gt('expires_at', now)
+            .select('user_id'));
+        return (claimed || []).length > 0;
+    }
+});
@@ -0,0 +1,233 @@
+import { TrackSetMismatchError } from '../errors.js';
+import { unwrap, escapeLike } from './helpers.js';
+
+const COLLABORATOR_SELECT = `
+    *,
+    member:user_profiles!playlist_collaborators_user_id_fkey (username, profile_picture),
+    inviter:user_profiles!playlist_collaborators_invited_by_fkey (username)
+`;
+
+const collaborationSelect = (includeTracks) => `
+    *,
+    playlists (${includeTracks ? '*, playlist_songs (*)' : '*'}),
+    inviter:user_profiles!playlist_collaborators_invited_by_fkey (username)
+`;
+
+// Tracks are listed in playlist order; unpositioned tracks fall back to newest first
+const orderTracks = (query) => query
+    .order('position', { ascending: true })
+    .order('added_at', { ascending: false });
+
+const sortTracks = (tracks) => [...(tracks || [])].sort((a, b) =>
+    (a.position ?? Infinity) - (b.position ?? Infinity) || new Date(b.added_at) - new Date(a.added_at));
+
+const withTracks = ({ playlist_songs, ...playlist }) => ({ ...playlist, tracks: sortTracks(playlist_songs) });
+
+const withTrackCount = ({ playlist_songs, ...playlist }) => ({ ...playlist, track_count: playlist_songs?.[0]?.count || 0 });
+
+const collaboratorQuery = (query, playlistId, userId, status) => {
+    query = query.eq('playlist_id', playlistId).eq('user_id', userId);
+    return status ? query.eq('status', status) : query;
+};
+
+// playlists, their tracks (playlist_songs) and collaborators (playlist_collaborators)
+export const createSupabasePlaylistRepository = (client) => ({
+    async findById(id) {
+        return unwrap(await client
+            .from('playlists')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle());
+    },
+
+    // Private playlists are never reachable by slug
+    async findByShareSlug(slug) {
+        return unwrap(await client
+            .from('playlists')
+            .select('*')
+            .eq('share_slug', slug)
+            .in('visibility', ['unlisted', 'public'])
+            .maybeSingle());
+    },
+
+    // Names are unique per user, ignoring case
+    async findByName(userId, name) {
+        const playlists = unwrap(await client
+            .from('playlists')
+            .select('*')
+            .eq('user_id', userId)
+            .ilike('name', escapeLike(name))
+            .limit(1));
+        return playlists?.[0] || null;
+    },
+
+    async listByOwner(userId, { withTracks: includeTracks = false } = {}) {
+        const playlists = unwrap(await client
+            .from('playlists')
+            .select(includeTracks ? '*, playlist_songs (*)' : '*')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })) || [];
+        return includeTracks ? playlists.map(withTracks) : playlists;
+    },
+
+    async pageByOwner(userId, { visibility, limit, offset = 0 }) {
+        let query = client
+            .from('playlists')
+            .select('*, playlist_songs(count)', { count: 'exact' })
+            .eq('user_id', userId);
+
+        if (visibility) {
+            query = query.eq('visibility', visibility);
+        }
+
+        const { data, count, error } = await query
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+        unwrap({ error });
+        return { playlists: (data || []).map(withTrackCount), total: count || 0 };
+    },
+
+    // Other users' most recently edited playlists, for collaborative filtering
+    async listRecent({ excludeUserId, limit, withTracks: includeTracks = false }) {
+        const playlists = unwrap(await client
+            .from('playlists')
+            .select(includeTracks ? '*, playlist_songs (*)' : '*')
+            .neq('user_id', excludeUserId)
+            .order('updated_at', { ascending: false })
+            .limit(limit)) || [];
+        return includeTracks ? playlists.map(withTracks) : playlists;
+    },
+
+    async countByOwner(userId) {
+        const { count, error } = await client
+            .from('playlists')
+            .select('*', { count: 'exact', head: true })
+            .eq('user_id', userId);
+        unwrap({ error });
+        return count || 0;
+    },
+
+    async create(playlist) {
+        return unwrap(await client
+            .from('playlists')
+            .insert([playlist])
+            .select()
+            .single(), `A playlist with the name "${playlist.name}" already exists`);
+    },
+
+    async update(id, changes) {
+        return unwrap(await client
+            .from('playlists')
+            .update(changes)
+            .eq('id', id)
+            .select()
+            .single(), changes.name !== undefined ? `A playlist with the name "${changes.name}" already exists` : undefined);
+    },
+
+    // Tracks and collaborators go with the playlist (ON DELETE CASCADE)
+    async delete(id) {
+        unwrap(await client
+            .from('playlists')
+            .delete()
+            .eq('id', id));
+    },
+
+    async listTracks(playlistId) {
+        return unwrap(await orderTracks(client
+            .from('playlist_songs')
+            .select('*')
+            .eq('playlist_id', playlistId))) || [];
+    },
+
+    // Summed in the database so the track count doesn't matter (playlist_total_durations)
+    async totalDurations(playlistIds) {
+        return unwrap(await client.rpc('playlist_total_durations', { p_playlist_ids: playlistIds })) || [];
+    },
+
+    async addTracks(tracks) {
+        const inserted = unwrap(await client
+            .from('playlist_songs')
+            .insert(tracks)
+            .select()) || [];
+        return sortTracks(inserted);
+    },
+
+    async removeTracksByTitle(playlistId, titles) {
+        unwrap(await client
+            .from('playlist_songs')
+            .delete()
+            .eq('playlist_id', playlistId)
+            .in('song_title', titles));
+    },
+
+    // Apply a full ordering in one transaction and renumber positions 1..n
+    // The database function rejects orderings that do not contain exactly the playlist's tracks
+    async reorderTracks(playlistId, trackIds) {
+        const { error } = await client.rpc('reorder_playlist_songs', {
+            p_playlist_id: playlistId,
+            p_track_ids: trackIds
+        });
+        if (error?.message?.includes('track_set_mismatch')) {
+            throw new TrackSetMismatchError();
+        }
+        unwrap({ error });
+    },
+
+    async findCollaborator(playlistId, userId, { status } = {}) {
+        return unwrap(await collaboratorQuery(client
+            .from('playlist_collaborators')
+            .select(COLLABORATOR_SELECT), playlistId, userId, status)
+            .maybeSingle());
+    },
+
+    async listCollaborators(playlistId, { status } = {}) {
+        let query = client
+            .from('playlist_collaborators')
+            .select(COLLABORATOR_SELECT)
+            .eq('playlist_id', playlistId);
+        if (status) {
+            query = query.eq('status', status);
+        }
+        return unwrap(await query.order('created_at', { ascending: true })) || [];
+    },
+
+    // A user's invitations or memberships, each with its playlist and who sent it
+    async listCollaborations(userId, { status, withTracks: includeTracks = false } = {}) {
+        let query = client
+            .from('playlist_collaborators')
+            .select(collaborationSelect(includeTracks))
+            .eq('user_id', userId);
+        if (status) {
+            query = query.eq('status', status);
+        }
+        return (unwrap(await query.order('created_at', { ascending: false })) || [])
+            .filter(collaboration => collaboration.playlists)
+            .map(collaboration => (includeTracks
+                ? { ...collaboration, playlists: withTracks(collaboration.playlists) }
+                : collaboration));
+    },
+
+    async addCollaborator(collaborator) {
+        return unwrap(await client
+            .from('playlist_collaborators')
+            .insert([collaborator])
+            .select(COLLABORATOR_SELECT)
+            .single(), 'Already invited to this playlist');
+    },
+
+    async updateCollaborator(playlistId, userId, changes, { status } = {}) {
+        const updated = unwrap(await collaboratorQuery(client
+            .from('playlist_collaborators')
+            .update(changes), playlistId, userId, status)
+            .select(COLLABORATOR_SELECT));
+        return updated?.[0] || null;
+    },
+
+    async removeCollaborator(playlistId, userId, { status } = {}) {
+        const removed = unwrap(await collaboratorQuery(client
+            .from('playlist_collaborators')
+            .delete(), playlistId, userId, status)
+            .select('id'));
+        return (removed || []).length > 0;
+    }
+});
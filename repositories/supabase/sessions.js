@@ -0,0 +1,77 @@
+import { unwrap } from './helpers.js';
+
+// auth_sessions (one per signed-in device) and their refresh_tokens
+export const createSupabaseSessionRepository = (client) => ({
+    async create(session) {
+        return unwrap(await client
+            .from('auth_sessions')
+            .insert([session])
+            .select()
+            .single());
+    },
+
+    async findById(id) {
+        return unwrap(await client
+            .from('auth_sessions')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle());
+    },
+
+    async touch(id) {
+        unwrap(await client
+            .from('auth_sessions')
+            .update({ last_used_at: new Date().toISOString() })
+            .eq('id', id));
+    },
+
+    async revoke(id) {
+        unwrap(await client
+            .from('auth_sessions')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('id', id)
+            .is('revoked_at', null));
+    },
+
+    async revokeAllForUser(userId, { exceptId } = {}) {
+        let query = client
+            .from('auth_sessions')
+            .update({ revoked_at: new Date().toISOString() })
+            .eq('user_id', userId)
+            .is('revoked_at', null);
+
+        if (exceptId) {
+            query = query.neq('id', exceptId);
+        }
+
+        unwrap(await query);
+    },
+
+    async createRefreshToken(refreshToken) {
+        return unwrap(await client
+            .from('refresh_tokens')
+            .insert([refreshToken])
+            .select()
+            .single());
+    },
+
+    // The token row, with its session's revoked_at under auth_sessions
+    async findRefreshToken(tokenHash) {
+        return unwrap(await client
+            .from('refresh_tokens')
+            .select('*, auth_sessions (revoked_at)')
+            .eq('token_hash', tokenHash)
+            .maybeSingle());
+    },
+
+    // Mark a refresh token used; false if another request already used it
+    async claimRefreshToken(id) {
+        const claimed = unwrap(await client
+            .from('refresh_tokens')
+            .update({ used_at: new Date().toISOString() })
+            .eq('id', id)
+            .is('used_at', null)
+            .select('id'));
+        return (claimed || []).length > 0;
+    }
+});
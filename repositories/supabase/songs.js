@@ -0,0 +1,60 @@
+import { unwrap, chunkFilterValues } from './helpers.js';
+
+const SONG_SELECT = '*, albums (id, title, artist, img)';
+
+// songs, each with its album
+export const createSupabaseSongRepository = (client) => ({
+    async findById(id) {
+        return unwrap(await client
+            .from('songs')
+            .select(SONG_SELECT)
+            .eq('id', id)
+            .maybeSingle());
+    },
+
+    async list({ src, srcs, title, albumId, limit } = {}) {
+        const buildQuery = () => {
+            let query = client.from('songs').select(SONG_SELECT);
+            if (src !== undefined) query = query.eq('src', src);
+            if (title !== undefined) query = query.eq('title', title);
+            if (albumId !== undefined) query = query.eq('album_id', albumId);
+            if (limit) query = query.limit(limit);
+            return query;
+        };
+
+        if (!srcs) {
+            return unwrap(await buildQuery()) || [];
+        }
+
+        // A library's worth of track URLs does not fit in one request, so look them up in chunks
+        const songs = [];
+        for (const chunk of chunkFilterValues(srcs)) {
+            songs.push(...(unwrap(await buildQuery().in('src', chunk)) || []));
+        }
+        return limit ? songs.slice(0, limit) : songs;
+    },
+
+    async create(song) {
+        return unwrap(await client
+            .from('songs')
+            .insert([song])
+            .select()
+            .single());
+    },
+
+    async update(id, changes) {
+        return unwrap(await client
+            .from('songs')
+            .update(changes)
+            .eq('id', id)
+            .select()
+            .single());
+    },
+
+    async delete(id) {
+        unwrap(await client
+            .from('songs')
+            .delete()
+            .eq('id', id));
+    }
+});
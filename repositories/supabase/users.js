@@ -0,0 +1,48 @@
+import { unwrap, chunkFilterValues } from './helpers.js';
+
+// user_profiles
+export const createSupabaseUserRepository = (client) => ({
+    async findById(id) {
+        return unwrap(await client
+            .from('user_profiles')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle());
+    },
+
+    async listByIds(ids) {
+        const profiles = [];
+        for (const chunk of chunkFilterValues(ids)) {
+            profiles.push(...(unwrap(await client
+                .from('user_profiles')
+                .select('*')
+                .in('id', chunk)) || []));
+        }
+        return profiles;
+    },
+
+    async findByUsername(username) {
+        return unwrap(await client
+            .from('user_profiles')
+            .select('*')
+            .eq('username', username)
+            .maybeSingle());
+    },
+
+    async create(profile) {
+        return unwrap(await client
+            .from('user_profiles')
+            .insert([profile])
+            .select()
+            .single(), 'Username already exists');
+    },
+
+    async update(id, changes) {
+        return unwrap(await client
+            .from('user_profiles')
+            .update(changes)
+            .eq('id', id)
+            .select()
+            .single(), 'Username already exists');
+    }
+});
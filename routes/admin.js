@@ -0,0 +1,459 @@
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { getRepositories } from '../repositories/index.js';
+import { ConflictError } from '../repositories/errors.js';
+import { getContainerName } from '../config/azureStorage.js';
+import { getStorage, buildUploadKey, deleteStoredFile } from '../storage/index.js';
+import { formatAlbum } from '../utils/catalog.js';
+import { validate } from '../middleware/validate.js';
+import { ref } from '../schemas/components.js';
+import { invalidateCatalog } from '../services/catalogCache.js';
+import { dispatchNotification, NOTIFICATION_TYPES } from '../services/notificationService.js';
+
+const router = express.Router();
+
+// All admin routes require an authenticated admin
+router.use(authenticateToken, requireAdmin);
+
+const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_AUDIO_SIZE = 50 * 1024 * 1024; // 50MB
+
+const IMAGE_FIELDS = ['cover', 'image'];
+const allowedImageTypes = /jpeg|jpg|png|gif|webp/;
+const allowedAudioTypes = /mpeg|mp3|mp4|m4a|aac|ogg|oga|opus|wav|flac|webm/;
+
+// Files are kept in memory and handed to the storage driver
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_AUDIO_SIZE },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase().slice(1);
+        const allowedTypes = IMAGE_FIELDS.includes(file.fieldname) ? allowedImageTypes : allowedAudioTypes;
+        if (allowedTypes.test(ext) && allowedTypes.test(file.mimetype)) {
+            return cb(null, true);
+        }
+        cb(new Error(IMAGE_FIELDS.includes(file.fieldname)
+            ? 'Only image files are allowed!'
+            : 'Only audio files are allowed!'));
+    }
+});
+
+// Turn multer errors into 400 responses instead of falling through to the 500 handler
+const withUpload = (middleware) => (req, res, next) => {
+    middleware(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        for (const field of IMAGE_FIELDS) {
+            const file = req.files?.[field]?.[0];
+            if (file && file.size > MAX_IMAGE_SIZE) {
+                return res.status(400).json({ error: 'Image files must be 5MB or smaller' });
+            }
+        }
+        next();
+    });
+};
+
+// Field rules mirror the albums and songs columns in database/schema.sql
+// Bodies may be JSON or multipart; file fields are described as binary and uploaded through multer
+const nullableText = (maxLength) => ({ type: 'string', nullable: true, ...(maxLength ? { maxLength } : {}) });
+const binaryFile = (description) => ({ type: 'string', format: 'binary', description });
+
+const ALBUM_PROPERTIES = {
+    id: { ...nullableText(100), description: 'Defaults to the title without spaces or punctuation' },
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    artist: { type: 'string', minLength: 1, maxLength: 100 },
+    img: { ...nullableText(), description: 'Cover URL, ignored when a cover file is uploaded' },
+    category: nullableText(50),
+    genre: nullableText(50),
+    description: nullableText(),
+    cover: binaryFile('Cover image (JPEG, PNG, GIF or WebP, up to 5MB)')
+};
+
+const SONG_PROPERTIES = {
+    title: { type: 'string', minLength: 1, maxLength: 200 },
+    src: { type: 'string', minLength: 1, description: 'Audio URL, ignored when an audio file is uploaded' },
+    img: { ...nullableText(), description: 'Image URL, ignored when an image file is uploaded' },
+    duration: { type: 'integer', minimum: 0, nullable: true, description: 'Seconds' },
+    audio: binaryFile('Audio file (up to 50MB)'),
+    image: binaryFile('Song image (JPEG, PNG, GIF or WebP, up to 5MB)')
+};
+
+const ALBUM_BODY = { type: 'object', additionalProperties: false, required: ['title', 'artist'], properties: ALBUM_PROPERTIES };
+const ALBUM_UPDATE_BODY = { type: 'object', additionalProperties: false, properties: ALBUM_PROPERTIES };
+
+// An uploaded audio file stands in for src
+const SONG_BODY = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['title'],
+    properties: SONG_PROPERTIES,
+    anyOf: [{ required: ['src'] }, { required: ['audio'] }],
+    'x-anyOfMessage': 'src is required'
+};
+const SONG_UPDATE_BODY = { type: 'object', additionalProperties: false, properties: SONG_PROPERTIES };
+
+const UPLOAD_BODY_TYPES = ['application/json', 'multipart/form-data'];
+
+const ALBUM_PARAMS = { type: 'object', properties: { id: { type: 'string', maxLength: 100 } } };
+const SONG_PARAMS = { type: 'object', properties: { id: { type: 'string', format: 'uuid' } } };
+
+// Turn a validated body into column values: strings are trimmed, blanks in nullable fields
+// become null, multipart numbers are parsed, and file fields are left to the upload handling
+// Required text (title, artist, src) is never nulled: its minLength counts trimmed characters,
+// so a blank value is already a 400 from validation, not a NOT NULL failure here
+const toColumns = (body, properties) => {
+    const data = {};
+    for (const [key, property] of Object.entries(properties)) {
+        const value = body[key];
+        if (value === undefined || property.format === 'binary') continue;
+
+        if (property.nullable && (value === null || (typeof value === 'string' && !value.trim()))) {
+            data[key] = null;
+        } else {
+            data[key] = property.type === 'integer' ? Number(value) : value.trim();
+        }
+    }
+    return data;
+};
+
+const formatSong = (song) => ({
+    id: song.id,
+    albumId: song.album_id,
+    title: song.title,
+    src: song.src,
+    img: song.img,
+    duration: song.duration
+});
+
+const uploadFile = (file, container, prefix) => {
+    const key = buildUploadKey(container, prefix, file.originalname);
+    return getStorage().put(key, file.buffer, file.mimetype);
+};
+
+// Create an album (JSON or multipart with an optional "cover" image)
+router.post('/albums', withUpload(upload.fields([{ name: 'cover', maxCount: 1 }])), validate({
+    summary: 'Create an album',
+    description: 'Send JSON, or multipart/form-data with an optional cover image.',
+    body: ALBUM_BODY,
+    bodyType: UPLOAD_BODY_TYPES,
+    response: {
+        type: 'object',
+        properties: { message: { type: 'string' }, album: ref('Album') }
+    },
+    responses: { 409: { description: 'An album with this id already exists' } }
+}), async (req, res) => {
+    try {
+        const coverFile = req.files?.cover?.[0];
+        const body = { ...req.body };
+        if (coverFile) delete body.img;
+
+        const data = toColumns(body, ALBUM_PROPERTIES);
+
+        // Default the id to the title without spaces or punctuation, e.g. "Guntur Kaaram" -> "GunturKaaram"
+        if (!data.id) {
+            data.id = data.title.replace(/[^a-zA-Z0-9]/g, '').slice(0, 100);
+            if (!data.id) {
+                return res.status(400).json({ error: 'id is required when the title has no letters or digits' });
+            }
+        }
+
+        const { albums } = getRepositories();
+
+        const existingAlbum = await albums.findById(data.id);
+
+        if (existingAlbum) {
+            return res.status(409).json({ error: `An album with the id "${data.id}" already exists` });
+        }
+
+        if (coverFile) {
+            data.img = await uploadFile(coverFile, getContainerName('album'), data.id);
+        }
+
+        let album;
+        try {
+            album = await albums.create(data);
+        } catch (error) {
+            if (coverFile) await deleteStoredFile(data.img);
+            // Another request created the same id in the meantime
+            if (error instanceof ConflictError) {
+                return res.status(409).json({ error: error.message });
+            }
+            console.error('Error creating album:', error);
+            return res.status(500).json({ error: 'Failed to create album' });
+        }
+        invalidateCatalog();
+
+        // Tell the artist's fans in the background: a big fan base must not hold up the response,
+        // and dispatchNotification logs its own failures
+        dispatchNotification(NOTIFICATION_TYPES.ALBUM_RELEASE, { artist: album.artist, albumId: album.id });
+
+        res.json({ message: 'Album created successfully', album: formatAlbum({ ...album, songs: [] }) });
+    } catch (error) {
+        console.error('Error in create album:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update an album (JSON or multipart with an optional "cover" image)
+router.put('/albums/:id', withUpload(upload.fields([{ name: 'cover', maxCount: 1 }])), validate({
+    summary: 'Update an album',
+    description: 'Only the fields sent are changed. The id cannot be changed.',
+    params: ALBUM_PARAMS,
+    body: ALBUM_UPDATE_BODY,
+    bodyType: UPLOAD_BODY_TYPES,
+    response: {
+        type: 'object',
+        properties: { message: { type: 'string' }, album: ref('Album') }
+    },
+    responses: { 404: { description: 'Album not found' } }
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const coverFile = req.files?.cover?.[0];
+        const body = { ...req.body };
+        if (coverFile) delete body.img;
+
+        if (body.id !== undefined && body.id !== id) {
+            return res.status(400).json({ error: 'Album id cannot be changed' });
+        }
+        delete body.id;
+
+        const data = toColumns(body, ALBUM_PROPERTIES);
+
+        const { albums } = getRepositories();
+
+        const existingAlbum = await albums.findById(id);
+        if (!existingAlbum) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+
+        if (coverFile) {
+            data.img = await uploadFile(coverFile, getContainerName('album'), id);
+        }
+        data.updated_at = new Date().toISOString();
+
+        try {
+            await albums.update(id, data);
+        } catch (error) {
+            console.error('Error updating album:', error);
+            if (coverFile) await deleteStoredFile(data.img);
+            return res.status(500).json({ error: 'Failed to update album' });
+        }
+        invalidateCatalog();
+
+        if (data.img !== undefined && existingAlbum.img && existingAlbum.img !== data.img) {
+            await deleteStoredFile(existingAlbum.img);
+        }
+
+        const album = await albums.findById(id);
+        res.json({ message: 'Album updated successfully', album: formatAlbum(album) });
+    } catch (error) {
+        console.error('Error in update album:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete an album and its songs
+router.delete('/albums/:id', validate({
+    summary: 'Delete an album, its songs and their files',
+    params: ALBUM_PARAMS,
+    response: ref('Message'),
+    responses: { 404: { description: 'Album not found' } }
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { albums } = getRepositories();
+
+        const existingAlbum = await albums.findById(id);
+        if (!existingAlbum) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+
+        // Delete album (cascade will delete songs)
+        try {
+            await albums.delete(id);
+        } catch (error) {
+            console.error('Error deleting album:', error);
+            return res.status(500).json({ error: 'Failed to delete album' });
+        }
+        invalidateCatalog();
+
+        // Clean up uploaded files once the rows are gone
+        const files = [existingAlbum.img, ...(existingAlbum.songs || []).flatMap(song => [song.src, song.img])];
+        await Promise.all(files.filter(Boolean).map(deleteStoredFile));
+
+        res.json({ message: 'Album deleted successfully' });
+    } catch (error) {
+        console.error('Error in delete album:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+const songUpload = withUpload(upload.fields([
+    { name: 'audio', maxCount: 1 },
+    { name: 'image', maxCount: 1 }
+]));
+
+// Add a song to an album (JSON with src, or multipart with an "audio" file and optional "image")
+router.post('/albums/:id/songs', songUpload, validate({
+    summary: 'Add a song to an album',
+    description: 'Send JSON with src, or multipart/form-data with an audio file and an optional image.',
+    params: ALBUM_PARAMS,
+    body: SONG_BODY,
+    bodyType: UPLOAD_BODY_TYPES,
+    response: {
+        type: 'object',
+        properties: { message: { type: 'string' }, song: ref('AdminSong') }
+    },
+    responses: { 404: { description: 'Album not found' } }
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const audioFile = req.files?.audio?.[0];
+        const imageFile = req.files?.image?.[0];
+        const body = { ...req.body };
+        if (audioFile) delete body.src;
+        if (imageFile) delete body.img;
+
+        const data = toColumns(body, SONG_PROPERTIES);
+
+        const { albums, songs } = getRepositories();
+
+        const album = await albums.findById(id);
+
+        if (!album) {
+            return res.status(404).json({ error: 'Album not found' });
+        }
+
+        if (audioFile) {
+            data.src = await uploadFile(audioFile, getContainerName('music'), id);
+        }
+        if (imageFile) {
+            data.img = await uploadFile(imageFile, getContainerName('song'), id);
+        }
+
+        let song;
+        try {
+            song = await songs.create({ ...data, album_id: id });
+        } catch (error) {
+            console.error('Error creating song:', error);
+            if (audioFile) await deleteStoredFile(data.src);
+            if (imageFile) await deleteStoredFile(data.img);
+            return res.status(500).json({ error: 'Failed to create song' });
+        }
+        invalidateCatalog();
+
+        res.json({ message: 'Song created successfully', song: formatSong(song) });
+    } catch (error) {
+        console.error('Error in create song:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Update a song (JSON, or multipart with replacement "audio" and/or "image" files)
+router.put('/songs/:id', songUpload, validate({
+    summary: 'Update a song',
+    description: 'Only the fields sent are changed; audio and image files replace the stored ones.',
+    params: SONG_PARAMS,
+    body: SONG_UPDATE_BODY,
+    bodyType: UPLOAD_BODY_TYPES,
+    response: {
+        type: 'object',
+        properties: { message: { type: 'string' }, song: ref('AdminSong') }
+    },
+    responses: { 404: { description: 'Song not found' } }
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+        const audioFile = req.files?.audio?.[0];
+        const imageFile = req.files?.image?.[0];
+        const body = { ...req.body };
+        if (audioFile) delete body.src;
+        if (imageFile) delete body.img;
+
+        const data = toColumns(body, SONG_PROPERTIES);
+
+        const { songs } = getRepositories();
+
+        const existingSong = await songs.findById(id);
+
+        if (!existingSong) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        if (audioFile) {
+            data.src = await uploadFile(audioFile, getContainerName('music'), existingSong.album_id);
+        }
+        if (imageFile) {
+            data.img = await uploadFile(imageFile, getContainerName('song'), existingSong.album_id);
+        }
+
+        if (Object.keys(data).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+
+        let song;
+        try {
+            song = await songs.update(id, data);
+        } catch (error) {
+            console.error('Error updating song:', error);
+            if (audioFile) await deleteStoredFile(data.src);
+            if (imageFile) await deleteStoredFile(data.img);
+            return res.status(500).json({ error: 'Failed to update song' });
+        }
+        invalidateCatalog();
+
+        if (data.src !== undefined && existingSong.src !== data.src) {
+            await deleteStoredFile(existingSong.src);
+        }
+        if (data.img !== undefined && existingSong.img && existingSong.img !== data.img) {
+            await deleteStoredFile(existingSong.img);
+        }
+
+        res.json({ message: 'Song updated successfully', song: formatSong(song) });
+    } catch (error) {
+        console.error('Error in update song:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a song
+router.delete('/songs/:id', validate({
+    summary: 'Delete a song and its files',
+    params: SONG_PARAMS,
+    response: ref('Message'),
+    responses: { 404: { description: 'Song not found' } }
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const { songs } = getRepositories();
+
+        const existingSong = await songs.findById(id);
+
+        if (!existingSong) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        try {
+            await songs.delete(id);
+        } catch (error) {
+            console.error('Error deleting song:', error);
+            return res.status(500).json({ error: 'Failed to delete song' });
+        }
+        invalidateCatalog();
+
+        await Promise.all([existingSong.src, existingSong.img].filter(Boolean).map(deleteStoredFile));
+
+        res.json({ message: 'Song deleted successfully' });
+    } catch (error) {
+        console.error('Error in delete song:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -1,56 +1,163 @@
 import express from 'express';
-import { supabase } from '../config/supabase.js';
+import { getRepositories } from '../repositories/index.js';
+import { formatAlbum } from '../utils/catalog.js';
+import { parsePagination, MAX_PAGE_SIZE } from '../utils/pagination.js';
+import { validate } from '../middleware/validate.js';
+import { ref } from '../schemas/components.js';
+import { getCachedCatalog } from '../services/catalogCache.js';
 
 const router = express.Router();
 
-// Get all albums
-router.get('/', async (req, res) => {
+const SORT_OPTIONS = {
+    newest: { column: 'created_at', ascending: false },
+    oldest: { column: 'created_at', ascending: true },
+    title: { column: 'title', ascending: true },
+    most_played: { column: 'play_count', ascending: false }
+};
+const FILTER_FIELDS = ['category', 'genre', 'artist'];
+
+// Cursors are opaque to clients: base64url JSON of the sort key and album id of the last row
+const encodeCursor = (sort, album) => Buffer
+    .from(JSON.stringify({ s: sort, v: album[SORT_OPTIONS[sort].column], id: album.id }))
+    .toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
     try {
-        // Fetch albums from database
-        const { data: albums, error } = await supabase
-            .from('albums')
-            .select(`
-                *,
-                songs (*)
-            `)
-            .order('created_at', { ascending: false });
-
-        if (error) {
-            console.error('Error fetching albums:', error);
-            return res.status(500).json({ error: 'Failed to fetch albums' });
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (decoded.s !== sort || decoded.v === undefined || typeof decoded.id !== 'string') {
+            return null;
         }
+        return decoded;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Send a cached catalog response, or 304 when the client's copy is still current
+const sendCached = (req, res, entry) => {
+    res.set({
+        ETag: entry.etag,
+        'Last-Modified': entry.lastModified.toUTCString(),
+        'Cache-Control': 'no-cache'
+    });
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    res.json(entry.body);
+};
 
-        // Transform data to match frontend format
-        const formattedAlbums = albums.map(album => {
-            // Deduplicate songs by title and src to prevent showing same song multiple times
-            const seenSongs = new Map();
-            const uniqueSongs = (album.songs || []).filter(song => {
-                const key = `${song.title}-${song.src}`;
-                if (seenSongs.has(key)) {
-                    return false;
+const CONDITIONAL_RESPONSES = {
+    304: { description: 'Not modified since the ETag (If-None-Match) or date (If-Modified-Since) the client sent' }
+};
+
+// Get albums
+// Supports ?category=&genre=&artist= filters, ?sort=newest|oldest|title|most_played,
+// ?lite=true to leave out nested songs, and cursor pagination via ?limit=&cursor=
+router.get('/', validate({
+    summary: 'List albums',
+    description: 'Returns a plain array unless limit or cursor is given, in which case the page comes with cursor pagination.',
+    query: {
+        type: 'object',
+        properties: {
+            category: { type: 'string' },
+            genre: { type: 'string' },
+            artist: { type: 'string' },
+            sort: { type: 'string', enum: Object.keys(SORT_OPTIONS), default: 'newest' },
+            lite: { type: 'boolean', description: 'Leave out nested songs and return songCount instead' },
+            limit: { type: 'integer', description: `Page size (capped at ${MAX_PAGE_SIZE})` },
+            cursor: { type: 'string', description: 'nextCursor from the previous page' }
+        }
+    },
+    response: {
+        anyOf: [
+            { type: 'array', items: ref('Album') },
+            {
+                type: 'object',
+                properties: {
+                    albums: { type: 'array', items: ref('Album') },
+                    pagination: ref('CursorPagination')
                 }
-                seenSongs.set(key, true);
-                return true;
-            });
+            }
+        ]
+    },
+    responses: CONDITIONAL_RESPONSES
+}), async (req, res) => {
+    try {
+        const sort = req.query.sort || 'newest';
+        const sortOption = SORT_OPTIONS[sort];
 
-            return {
-                id: album.id,
-                title: album.title,
-                artist: album.artist,
-                img: album.img,
-                category: album.category,
-                genre: album.genre,
-                description: album.description,
-                songs: uniqueSongs.map(song => ({
-                    title: song.title,
-                    src: song.src,
-                    img: song.img || album.img,
-                    duration: song.duration
-                }))
-            };
-        });
+        const lite = req.query.lite === 'true';
+        const paginated = req.query.limit !== undefined || req.query.cursor !== undefined;
+
+        let limit = null;
+        let cursor = null;
+        if (paginated) {
+            ({ limit } = parsePagination(req.query));
+
+            if (req.query.cursor) {
+                cursor = decodeCursor(req.query.cursor, sort);
+                if (!cursor) {
+                    return res.status(400).json({ error: 'Invalid cursor' });
+                }
+            }
+        }
 
-        res.json(formattedAlbums);
+        const filters = {};
+        for (const field of FILTER_FIELDS) {
+            const value = req.query[field];
+            if (typeof value === 'string' && value.trim()) {
+                filters[field] = value.trim();
+            }
+        }
+
+        const cacheKey = `albums:${JSON.stringify({ filters, sort, lite, limit, cursor: req.query.cursor || null })}`;
+
+        let entry;
+        try {
+            entry = await getCachedCatalog(cacheKey, async () => {
+                const albums = await getRepositories().albums.list({
+                    filters,
+                    sort: sortOption,
+                    after: cursor ? { value: cursor.v, id: cursor.id } : null,
+                    // Fetch one extra row to know whether another page exists
+                    limit: paginated ? limit + 1 : null,
+                    songs: lite ? 'count' : 'full'
+                });
+
+                const hasMore = paginated && albums.length > limit;
+                const page = hasMore ? albums.slice(0, limit) : albums;
+
+                // Transform data to match frontend format
+                const formattedAlbums = page.map(album => {
+                    if (!lite) {
+                        return formatAlbum(album);
+                    }
+                    return {
+                        ...formatAlbum(album, { includeSongs: false }),
+                        songCount: album.song_count
+                    };
+                });
+
+                // Unpaginated requests keep the original array response
+                if (!paginated) {
+                    return formattedAlbums;
+                }
+
+                return {
+                    albums: formattedAlbums,
+                    pagination: {
+                        limit,
+                        nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null,
+                        hasMore
+                    }
+                };
+            });
+        } catch (error) {
+            console.error('Error fetching albums:', error);
+            return res.status(500).json({ error: 'Failed to fetch albums' });
+        }
+
+        sendCached(req, res, entry);
     } catch (error) {
         console.error('Error in albums route:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -58,51 +165,24 @@ router.get('/', async (req, res) => {
 });
 
 // Get single album by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({
+    summary: 'Get an album with its songs',
+    response: ref('Album'),
+    responses: { ...CONDITIONAL_RESPONSES, 404: { description: 'Album not found' } }
+}), async (req, res) => {
     try {
         const { id } = req.params;
 
-        const { data: album, error } = await supabase
-            .from('albums')
-            .select(`
-                *,
-                songs (*)
-            `)
-            .eq('id', id)
-            .single();
+        const entry = await getCachedCatalog(`album:${id}`, async () => {
+            const album = await getRepositories().albums.findById(id);
+            return album ? formatAlbum(album) : null;
+        });
 
-        if (error || !album) {
+        if (!entry) {
             return res.status(404).json({ error: 'Album not found' });
         }
 
-        // Deduplicate songs by title and src to prevent showing same song multiple times
-        const seenSongs = new Map();
-        const uniqueSongs = (album.songs || []).filter(song => {
-            const key = `${song.title}-${song.src}`;
-            if (seenSongs.has(key)) {
-                return false;
-            }
-            seenSongs.set(key, true);
-            return true;
-        });
-
-        const formattedAlbum = {
-            id: album.id,
-            title: album.title,
-            artist: album.artist,
-            img: album.img,
-            category: album.category,
-            genre: album.genre,
-            description: album.description,
-            songs: uniqueSongs.map(song => ({
-                title: song.title,
-                src: song.src,
-                img: song.img || album.img,
-                duration: song.duration
-            }))
-        };
-
-        res.json(formattedAlbum);
+        sendCached(req, res, entry);
     } catch (error) {
         console.error('Error fetching album:', error);
         res.status(500).json({ error: 'Internal server error' });
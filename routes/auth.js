@@ -1,143 +1,429 @@
 import express from 'express';
 import jwt from 'jsonwebtoken';
-import { supabase, supabaseAnon } from '../config/supabase.js';
+import { getRepositories } from '../repositories/index.js';
+import { ConflictError } from '../repositories/errors.js';
+import { authenticateToken, getAccessToken } from '../middleware/auth.js';
+import {
+    ACCESS_TOKEN_EXPIRES_IN,
+    REFRESH_COOKIE_NAME,
+    REFRESH_COOKIE_OPTIONS,
+    InvalidRefreshTokenError,
+    createSession,
+    rotateRefreshToken,
+    findSessionByRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    readRefreshToken
+} from '../services/tokenService.js';
+import {
+    MIN_PASSWORD_LENGTH,
+    RESET_TOKEN_TTL_MINUTES,
+    InvalidResetTokenError,
+    findUserIdByEmail,
+    createResetToken,
+    consumeResetToken
+} from '../services/passwordService.js';
+import { sendMail } from '../services/mailer.js';
+import { validate } from '../middleware/validate.js';
+import { ref } from '../schemas/components.js';
+import {
+    authRateLimits,
+    sendTooManyRequests,
+    getSigninLockout,
+    recordSigninFailure,
+    clearSigninFailures
+} from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
-// User Registration (using Supabase Auth)
-router.post('/insert', async (req, res) => {
-    try {
-        const { username, email, password } = req.body;
+// Cookie options without maxAge, as expected by res.clearCookie
+const { maxAge, ...CLEAR_REFRESH_COOKIE_OPTIONS } = REFRESH_COOKIE_OPTIONS;
 
-        // Validation
-        if (!username || !email || !password) {
-            return res.status(400).send('400::Please fill out all fields.');
-        }
+// Registration and sign-in answer "status::message" as text for existing clients,
+// or JSON ({ message } / { error, code, details }) for clients that ask for it
+const sendAuthResult = (req, res, status, message, { code, details } = {}) => {
+    if (req.accepts(['text', 'json']) === 'json') {
+        return status >= 400
+            ? res.status(status).json({ error: message, code, details })
+            : res.status(status).json({ message });
+    }
+    res.status(status).send(`${status}::${message}`);
+};
+
+// getusername answers with the bare username (or error message) as text, or JSON on request
+const sendUsernameResult = (req, res, status, text) => {
+    if (req.accepts(['text', 'json']) === 'json') {
+        return res.status(status).json(status >= 400 ? { error: text } : { username: text });
+    }
+    res.status(status).send(text);
+};
+
+// Validation failures on the text routes keep their original messages:
+// the route's own message for missing fields, otherwise the first problem as a sentence
+const authValidationError = (missingMessage) => (req, res, details) => {
+    const missing = details.some(detail => detail.message.endsWith('is required'));
+    const first = details[0].message;
+    const message = missing ? missingMessage : `${first.charAt(0).toUpperCase()}${first.slice(1)}.`;
+    sendAuthResult(req, res, 400, message, { code: 'VALIDATION_FAILED', details });
+};
+
+const REFRESH_TOKEN_BODY = {
+    type: 'object',
+    properties: {
+        refreshToken: { type: 'string', description: 'Optional when the jv_refresh cookie is sent' }
+    }
+};
+
+// Load the claims for a new access token from Supabase Auth and user_profiles
+const loadTokenUser = async (userId) => {
+    const { auth, users } = getRepositories();
+    const authUser = await auth.getUserById(userId);
+    if (!authUser) {
+        return null;
+    }
 
-        if (password.length < 8) {
-            return res.status(400).send('400::Password must be at least 8 characters long.');
+    const profile = await users.findById(userId);
+
+    return {
+        userId: authUser.id,
+        email: authUser.email,
+        username: profile?.username || authUser.email.split('@')[0]
+    };
+};
+
+// User Registration (using Supabase Auth)
+router.post('/insert', authRateLimits.registerPerIp, authRateLimits.registerPerAccount, validate({
+    summary: 'Register a new user',
+    description: 'Answers `200::Registration successful!` as text, or JSON with `Accept: application/json`.',
+    body: {
+        type: 'object',
+        required: ['username', 'email', 'password'],
+        properties: {
+            username: { type: 'string', minLength: 1, maxLength: 50 },
+            email: { type: 'string', format: 'email' },
+            password: { type: 'string', minLength: MIN_PASSWORD_LENGTH }
         }
+    },
+    response: ref('Message'),
+    onInvalid: authValidationError('Please fill out all fields.')
+}), async (req, res) => {
+    try {
+        const { username, email, password } = req.body;
+        const { auth, users } = getRepositories();
 
         // Check if username already exists in user_profiles
-        const { data: existingProfile } = await supabase
-            .from('user_profiles')
-            .select('username')
-            .eq('username', username)
-            .single();
+        const existingProfile = await users.findByUsername(username);
 
         if (existingProfile) {
-            return res.status(400).send('400::Username already exists.');
+            return sendAuthResult(req, res, 400, 'Username already exists.', {
+                code: 'USERNAME_TAKEN',
+                details: [{ field: 'username', message: 'username already exists' }]
+            });
         }
 
         // Create user in Supabase Auth
-        const { data: authData, error: authError } = await supabase.auth.admin.createUser({
-            email,
-            password,
-            email_confirm: true // Auto-confirm email
-        });
-
-        if (authError) {
-            if (authError.message.includes('already registered')) {
-                return res.status(400).send('400::Email already registered.');
+        let authUser;
+        try {
+            authUser = await auth.createUser({ email, password });
+        } catch (authError) {
+            if (authError instanceof ConflictError) {
+                return sendAuthResult(req, res, 400, 'Email already registered.', {
+                    code: 'EMAIL_TAKEN',
+                    details: [{ field: 'email', message: 'email already registered' }]
+                });
             }
             console.error('Auth registration error:', authError);
-            return res.status(500).send('500::Registration failed. Please try again.');
+            return sendAuthResult(req, res, 500, 'Registration failed. Please try again.');
         }
 
         // Create user profile
-        const { error: profileError } = await supabase
-            .from('user_profiles')
-            .insert([
-                {
-                    id: authData.user.id,
-                    username: username
-                }
-            ]);
-
-        if (profileError) {
+        try {
+            await users.create({ id: authUser.id, username });
+        } catch (profileError) {
             // If profile creation fails, delete the auth user
-            await supabase.auth.admin.deleteUser(authData.user.id);
+            await auth.deleteUser(authUser.id);
             console.error('Profile creation error:', profileError);
-            return res.status(500).send('500::Registration failed. Please try again.');
+            return sendAuthResult(req, res, 500, 'Registration failed. Please try again.');
         }
 
-        res.status(200).send('200::Registration successful!');
+        sendAuthResult(req, res, 200, 'Registration successful!');
     } catch (error) {
         console.error('Registration error:', error);
-        res.status(500).send('500::An error occurred during registration.');
+        sendAuthResult(req, res, 500, 'An error occurred during registration.');
     }
 });
 
 // User Login (using Supabase Auth)
-router.post('/signin', async (req, res) => {
+router.post('/signin', authRateLimits.signinPerIp, authRateLimits.signinPerAccount, validate({
+    summary: 'Sign in',
+    description: 'Answers `200::<accessToken>` as text, or the tokens as JSON with `Accept: application/json`. ' +
+        'Also sets the refresh token in the HttpOnly jv_refresh cookie.',
+    body: {
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+            email: { type: 'string' },
+            password: { type: 'string' }
+        }
+    },
+    response: ref('Tokens'),
+    responses: {
+        401: { description: 'Invalid email or password (INVALID_CREDENTIALS)' },
+        429: { description: 'Rate limited (RATE_LIMITED) or account locked (ACCOUNT_LOCKED); see Retry-After' }
+    },
+    onInvalid: authValidationError('Please enter both email and password.')
+}), async (req, res) => {
     try {
         const { email, password } = req.body;
 
-        if (!email || !password) {
-            return res.status(400).send('400::Please enter both email and password.');
+        // Accounts with too many recent failures are locked for a while, whatever the password
+        const lockedFor = await getSigninLockout(email, req.ip);
+        if (lockedFor) {
+            return sendTooManyRequests(req, res, {
+                retryAfter: lockedFor,
+                message: 'Too many failed sign-in attempts. Please try again later.',
+                code: 'ACCOUNT_LOCKED'
+            });
         }
 
-        // Sign in with Supabase Auth (using anon client for sign-in)
-        const { data: authData, error: authError } = await supabaseAnon.auth.signInWithPassword({
-            email,
-            password
-        });
+        const { auth, users } = getRepositories();
+
+        // Check the password with Supabase Auth
+        const authUser = await auth.signIn(email, password);
 
-        if (authError || !authData.user) {
-            return res.status(401).send('401::Invalid email or password.');
+        if (!authUser) {
+            await recordSigninFailure(email, req.ip);
+            return sendAuthResult(req, res, 401, 'Invalid email or password.', { code: 'INVALID_CREDENTIALS' });
         }
 
+        await clearSigninFailures(email, req.ip);
+
         // Get user profile for username
-        const { data: profile } = await supabase
-            .from('user_profiles')
-            .select('username')
-            .eq('id', authData.user.id)
-            .single();
-
-        // Generate JWT token with userId (Supabase Auth UUID) and email
-        const token = jwt.sign(
-            { 
-                userId: authData.user.id, 
-                email: authData.user.email, 
+        const profile = await users.findById(authUser.id);
+
+        // Start a session: short-lived JWT access token plus a rotating refresh token
+        const { accessToken, refreshToken } = await createSession(
+            {
+                userId: authUser.id,
+                email: authUser.email,
                 username: profile?.username || email.split('@')[0]
             },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '1d' }
+            { userAgent: req.get('user-agent'), ip: req.ip }
         );
 
-        res.status(200).send(`200::${token}`);
+        res.cookie(REFRESH_COOKIE_NAME, refreshToken, REFRESH_COOKIE_OPTIONS);
+
+        // Clients asking for JSON get both tokens; the text response stays for existing clients
+        if (req.accepts(['text', 'json']) === 'json') {
+            return res.status(200).json({ accessToken, refreshToken, expiresIn: ACCESS_TOKEN_EXPIRES_IN });
+        }
+
+        res.status(200).send(`200::${accessToken}`);
     } catch (error) {
         console.error('Login error:', error);
-        res.status(500).send('500::An error occurred during login.');
+        sendAuthResult(req, res, 500, 'An error occurred during login.');
     }
 });
 
-// Get username from token - fetch from backend database
-router.post('/getusername', async (req, res) => {
+// Exchange a refresh token (body or cookie) for a new access/refresh token pair
+router.post('/refresh', validate({
+    summary: 'Exchange a refresh token for a new token pair',
+    body: REFRESH_TOKEN_BODY,
+    response: ref('Tokens')
+}), async (req, res) => {
     try {
-        const { csrid: token } = req.body;
+        const { token, fromCookie } = readRefreshToken(req);
 
         if (!token) {
-            return res.status(400).send('Token required');
+            return res.status(400).json({ error: 'Refresh token required' });
+        }
+
+        const { accessToken, refreshToken } = await rotateRefreshToken(token, loadTokenUser);
+
+        res.cookie(REFRESH_COOKIE_NAME, refreshToken, REFRESH_COOKIE_OPTIONS);
+
+        // Cookie-based clients never see the refresh token
+        res.json({
+            accessToken,
+            refreshToken: fromCookie ? undefined : refreshToken,
+            expiresIn: ACCESS_TOKEN_EXPIRES_IN
+        });
+    } catch (error) {
+        if (error instanceof InvalidRefreshTokenError) {
+            res.clearCookie(REFRESH_COOKIE_NAME, CLEAR_REFRESH_COOKIE_OPTIONS);
+            return res.status(401).json({ error: error.message });
+        }
+        console.error('Refresh token error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Log out the current session (identified by refresh token, or by the access token's session)
+router.post('/logout', validate({
+    summary: 'Revoke the current session',
+    body: REFRESH_TOKEN_BODY,
+    response: ref('Message')
+}), async (req, res) => {
+    try {
+        const { token } = readRefreshToken(req);
+        let sessionId = null;
+
+        if (token) {
+            const session = await findSessionByRefreshToken(token);
+            sessionId = session?.sessionId || null;
         }
 
+        // Fall back to the access token; it may already be expired, which is fine for logout
+        const accessToken = getAccessToken(req);
+        if (!sessionId && accessToken) {
+            try {
+                const decoded = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true });
+                sessionId = decoded.sid || null;
+            } catch (error) {
+                // Invalid token: nothing to revoke
+            }
+        }
+
+        if (sessionId) {
+            await revokeSession(sessionId);
+        }
+
+        res.clearCookie(REFRESH_COOKIE_NAME, CLEAR_REFRESH_COOKIE_OPTIONS);
+        res.json({ message: 'Logged out successfully' });
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Log out all devices
+router.post('/logout-all', authenticateToken, validate({
+    summary: 'Revoke every session of the current user',
+    response: ref('Message')
+}), async (req, res) => {
+    try {
+        await revokeAllSessions(req.user.userId);
+
+        res.clearCookie(REFRESH_COOKIE_NAME, CLEAR_REFRESH_COOKIE_OPTIONS);
+        res.json({ message: 'Logged out of all devices successfully' });
+    } catch (error) {
+        console.error('Logout all error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Request a password reset email
+// Always answers the same way so the endpoint cannot be used to discover accounts
+router.post('/forgot-password', authRateLimits.forgotPasswordPerIp, authRateLimits.forgotPasswordPerAccount, validate({
+    summary: 'Send a password reset email',
+    description: 'Answers the same way whether or not the account exists.',
+    body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+            email: { type: 'string', format: 'email' }
+        }
+    },
+    response: ref('Message')
+}), async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        const userId = await findUserIdByEmail(email.trim().toLowerCase());
+
+        if (userId) {
+            const token = await createResetToken(userId);
+            const resetUrl = `${process.env.PASSWORD_RESET_URL || 'http://localhost:5173/reset-password'}?token=${encodeURIComponent(token)}`;
+
+            await sendMail({
+                to: email.trim(),
+                subject: 'Reset your JustVibe password',
+                text: `Someone asked to reset the password for your JustVibe account.\n\n` +
+                    `Reset it here within ${RESET_TOKEN_TTL_MINUTES} minutes:\n${resetUrl}\n\n` +
+                    `If this wasn't you, you can ignore this email.`
+            });
+        }
+
+        res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+    } catch (error) {
+        console.error('Forgot password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Set a new password with a reset token
+router.post('/reset-password', validate({
+    summary: 'Set a new password with a reset token',
+    body: {
+        type: 'object',
+        required: ['token', 'newPassword'],
+        properties: {
+            token: { type: 'string', description: 'From the reset link' },
+            newPassword: { type: 'string', minLength: MIN_PASSWORD_LENGTH }
+        }
+    },
+    response: ref('Message')
+}), async (req, res) => {
+    try {
+        const { token, newPassword } = req.body;
+
+        const userId = await consumeResetToken(token);
+
+        try {
+            await getRepositories().auth.updateUser(userId, { password: newPassword });
+        } catch (passwordError) {
+            console.error('Reset password error:', passwordError);
+            return res.status(400).json({ error: 'Failed to update password' });
+        }
+
+        // Whoever had the old password should not stay logged in
+        await revokeAllSessions(userId);
+
+        res.json({ message: 'Password has been reset. Please sign in again.' });
+    } catch (error) {
+        if (error instanceof InvalidResetTokenError) {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Reset password error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get username from token - fetch from backend database
+router.post('/getusername', authRateLimits.getUsernamePerIp, validate({
+    summary: 'Look up the username for an access token',
+    description: 'Answers with the bare username as text, or `{ username }` with `Accept: application/json`.',
+    body: {
+        type: 'object',
+        required: ['csrid'],
+        properties: {
+            csrid: { type: 'string', description: 'Access token' }
+        }
+    },
+    response: {
+        type: 'object',
+        properties: { username: { type: 'string' } }
+    },
+    onInvalid: (req, res) => sendUsernameResult(req, res, 400, 'Token required')
+}), async (req, res) => {
+    try {
+        const { csrid: token } = req.body;
+
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
             const userId = decoded.userId;
             const email = decoded.email;
             
             if (!userId) {
-                return res.status(403).send('Invalid token: missing user ID');
+                return sendUsernameResult(req, res, 403, 'Invalid token: missing user ID');
             }
 
+            const { users } = getRepositories();
+
             // Fetch username from user_profiles table (database)
-            const { data: profile, error: profileError } = await supabase
-                .from('user_profiles')
-                .select('username')
-                .eq('id', userId)
-                .single();
+            const profile = await users.findById(userId);
 
-            if (profileError || !profile) {
+            if (!profile) {
                 // If profile doesn't exist, create it with default username
                 const defaultUsername = email ? email.split('@')[0] : `user_${userId.substring(0, 8)}`;
                 
@@ -145,11 +431,7 @@ router.post('/getusername', async (req, res) => {
                 let finalUsername = defaultUsername;
                 let counter = 1;
                 while (true) {
-                    const { data: existing } = await supabase
-                        .from('user_profiles')
-                        .select('username')
-                        .eq('username', finalUsername)
-                        .single();
+                    const existing = await users.findByUsername(finalUsername);
                     
                     if (!existing) {
                         break; // Username is available
@@ -159,31 +441,26 @@ router.post('/getusername', async (req, res) => {
                 }
 
                 // Create user profile with username
-                const { error: insertError } = await supabase
-                    .from('user_profiles')
-                    .insert([{
-                        id: userId,
-                        username: finalUsername
-                    }]);
-
-                if (insertError) {
+                try {
+                    await users.create({ id: userId, username: finalUsername });
+                } catch (insertError) {
                     console.error('Error creating user profile:', insertError);
                     // Fallback to username from token
-                    return res.status(200).send(decoded.username || finalUsername);
+                    return sendUsernameResult(req, res, 200, decoded.username || finalUsername);
                 }
                 
-                return res.status(200).send(finalUsername);
+                return sendUsernameResult(req, res, 200, finalUsername);
             }
 
             // Return username from database
-            res.status(200).send(profile.username);
+            sendUsernameResult(req, res, 200, profile.username);
         } catch (error) {
             console.error('JWT verification error:', error);
-            res.status(403).send('Invalid or expired token');
+            sendUsernameResult(req, res, 403, 'Invalid or expired token');
         }
     } catch (error) {
         console.error('Get username error:', error);
-        res.status(500).send('An error occurred');
+        sendUsernameResult(req, res, 500, 'An error occurred');
     }
 });
 
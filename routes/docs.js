@@ -0,0 +1,80 @@
+import express from 'express';
+import fs from 'fs';
+import { buildOpenApiDocument } from '../utils/openapi.js';
+import { v1Mounts, v2Mounts } from './mounts.js';
+
+const router = express.Router();
+
+const { version } = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+const SWAGGER_UI_VERSION = '5';
+
+// Documents are generated from the route specs once, on first request
+let documents = null;
+const getDocuments = () => {
+    if (!documents) {
+        documents = {
+            v1: buildOpenApiDocument({
+                mounts: v1Mounts,
+                info: {
+                    title: 'JustVibe API',
+                    version,
+                    description: 'The original API. Auth routes under /users answer in text unless JSON is requested with Accept.'
+                }
+            }),
+            v2: buildOpenApiDocument({
+                mounts: v2Mounts,
+                envelope: true,
+                basePath: '/v2',
+                info: {
+                    title: 'JustVibe API v2',
+                    version,
+                    description: 'Every JSON response is wrapped as { data, meta } or { error, meta }.'
+                }
+            })
+        };
+    }
+    return documents;
+};
+
+// Swagger UI, loaded from a CDN, with a switcher between the two documents
+router.get('/', (req, res) => {
+    const specs = [
+        { name: 'v2', url: `${req.baseUrl}/v2/openapi.json` },
+        { name: 'v1', url: `${req.baseUrl}/openapi.json` }
+    ];
+
+    res.type('html').send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="utf-8">
+    <title>JustVibe API docs</title>
+    <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui.css">
+</head>
+<body>
+    <div id="swagger-ui"></div>
+    <script src="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui-bundle.js"></script>
+    <script src="https://unpkg.com/swagger-ui-dist@${SWAGGER_UI_VERSION}/swagger-ui-standalone-preset.js"></script>
+    <script>
+        window.ui = SwaggerUIBundle({
+            urls: ${JSON.stringify(specs)},
+            dom_id: '#swagger-ui',
+            presets: [SwaggerUIBundle.presets.apis, SwaggerUIStandalonePreset],
+            layout: 'StandaloneLayout'
+        });
+    </script>
+</body>
+</html>`);
+});
+
+// OpenAPI document for the original API
+router.get('/openapi.json', (req, res) => {
+    res.json(getDocuments().v1);
+});
+
+// OpenAPI document for /v2
+router.get('/v2/openapi.json', (req, res) => {
+    res.json(getDocuments().v2);
+});
+
+export default router;
@@ -0,0 +1,99 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { isSessionRevoked } from '../services/tokenService.js';
+import { subscribe, eventsSince, currentEventId } from '../services/liveEvents.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+const DEFAULT_HEARTBEAT_SECONDS = 25;
+// How long browsers wait before reconnecting after the stream drops
+const RETRY_MS = 3000;
+
+const getHeartbeatMs = () => {
+    const seconds = parseInt(process.env.LIVE_EVENTS_HEARTBEAT_SECONDS, 10);
+    return (Number.isNaN(seconds) || seconds <= 0 ? DEFAULT_HEARTBEAT_SECONDS : seconds) * 1000;
+};
+
+// Browsers' EventSource cannot send headers, so the stream also takes the token as ?access_token=
+const acceptQueryToken = (req, res, next) => {
+    if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+        req.headers['authorization'] = req.query.access_token;
+    }
+    next();
+};
+
+const writeEvent = (res, { id, type, data }) => {
+    res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Stream changes to the user's favorites, playlists and notifications as server-sent events
+// Every session of the user gets every change. A reconnecting client sends the last id it saw
+// (Last-Event-ID, which EventSource sets itself) and gets what it missed, or a resync event
+// when that is no longer possible. Heartbeats carry the current id, so a quiet stream can resume too.
+router.get('/', acceptQueryToken, authenticateToken, validate({
+    summary: 'Stream live library updates (server-sent events)',
+    description: 'Events: `favorites` ({ action: added | removed, songId, favorite? }), ' +
+        '`playlist` ({ action: created | updated | deleted | tracks_changed | collaborators_changed, playlistId }), ' +
+        '`notification` ({ action: created, notification } | { action: read, notificationId } | { action: read_all }), ' +
+        '`ready` once connected, and `resync` when missed events could not be replayed and the client should refetch. ' +
+        'Reconnect with the Last-Event-ID header (or lastEventId) to resume. The stream ends when the session is logged out.',
+    query: {
+        type: 'object',
+        properties: {
+            access_token: { type: 'string', description: 'Access token, for clients that cannot send the Authorization header (EventSource)' },
+            lastEventId: { type: 'string', description: 'Resume after this event, for clients that cannot send Last-Event-ID' }
+        }
+    },
+    responses: {
+        200: {
+            description: 'An open text/event-stream',
+            content: { 'text/event-stream': { schema: { type: 'string' } } }
+        }
+    }
+}), (req, res) => {
+    const { userId, sessionId } = req.user;
+    const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Stop nginx from buffering the stream
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // Replaying and subscribing happen in the same tick, so no event falls in between
+    if (lastEventId) {
+        const missed = eventsSince(userId, lastEventId);
+        if (missed) {
+            missed.forEach(event => writeEvent(res, event));
+        } else {
+            writeEvent(res, { id: currentEventId(), type: 'resync', data: {} });
+        }
+    }
+    const unsubscribe = subscribe(userId, event => writeEvent(res, event));
+    writeEvent(res, { id: currentEventId(), type: 'ready', data: { heartbeatSeconds: getHeartbeatMs() / 1000 } });
+
+    const heartbeat = setInterval(async () => {
+        // A logged-out session loses its streams at the next heartbeat
+        try {
+            if (sessionId && await isSessionRevoked(sessionId)) {
+                return res.end();
+            }
+        } catch (error) {
+            console.error('Error checking event stream session:', error);
+        }
+        if (res.writableEnded) return;
+        res.write(`: heartbeat\nid: ${currentEventId()}\n\n`);
+    }, getHeartbeatMs());
+
+    res.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
+export default router;
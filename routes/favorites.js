@@ -1,40 +1,116 @@
 import express from 'express';
 import { authenticateToken } from '../middleware/auth.js';
-import { supabase } from '../config/supabase.js';
+import { getRepositories } from '../repositories/index.js';
+import { ConflictError } from '../repositories/errors.js';
+import { recordActivity, retractActivity, ACTIVITY_TYPES } from '../services/activityService.js';
+import { publishToUsers, LIVE_EVENTS } from '../services/liveEvents.js';
+import { validate } from '../middleware/validate.js';
+import { ref } from '../schemas/components.js';
 
 const router = express.Router();
 
 // All favorites routes require authentication
 router.use(authenticateToken);
 
+// Return favorites in consistent format
+const formatFavorite = (fav) => {
+    const song = fav.songs || {};
+    const album = song.albums || {};
+    return {
+        id: fav.id,
+        songId: fav.song_id,
+        songTitle: song.title,
+        songSrc: song.src,
+        songImg: song.img || album.img,
+        albumId: song.album_id,
+        albumCover: album.img,
+        artist: album.artist,
+        duration: song.duration,
+        addedAt: fav.added_at
+    };
+};
+
+// Tell the user's other sessions (GET /api/events)
+const publishFavoriteChange = (userId, action, songId, favorite = null) => {
+    publishToUsers([userId], LIVE_EVENTS.FAVORITES, {
+        action,
+        songId,
+        ...(favorite ? { favorite: formatFavorite(favorite) } : {})
+    });
+};
+
+// Resolve the song a request refers to
+// Prefers songId; older clients that only send songSrc or songTitle (+ albumId) are matched
+// against the catalog, and a bare title is only accepted when it is unambiguous
+const resolveSongId = async (body) => {
+    const { songId, songSrc, songTitle, albumId } = body || {};
+
+    const { songs } = getRepositories();
+
+    if (songId) {
+        const song = await songs.findById(songId);
+        return song?.id || null;
+    }
+
+    let filter;
+    if (songSrc) {
+        filter = { src: songSrc };
+    } else if (songTitle) {
+        filter = { title: songTitle, albumId: albumId || undefined };
+    } else {
+        return null;
+    }
+
+    const matches = await songs.list({ ...filter, limit: 2 });
+    return matches.length === 1 ? matches[0].id : null;
+};
+
+const hasSongReference = (body) => !!(body?.songId || body?.songSrc || body?.songTitle);
+
+const SONG_REFERENCE_PROPERTIES = {
+    songId: { type: 'string', format: 'uuid' },
+    songSrc: { type: 'string', description: 'Legacy: match by audio URL' },
+    songTitle: { type: 'string', description: 'Legacy: match by title, only when unambiguous' },
+    albumId: { type: 'string', description: 'Narrows a songTitle match' }
+};
+
+const SONG_REFERENCE = {
+    type: 'object',
+    properties: SONG_REFERENCE_PROPERTIES,
+    anyOf: [{ required: ['songId'] }, { required: ['songSrc'] }, { required: ['songTitle'] }],
+    'x-anyOfMessage': 'Song ID is required'
+};
+
+const FAVORITE_RESULT = {
+    type: 'object',
+    properties: {
+        message: { type: 'string' },
+        favorite: ref('Favorite')
+    }
+};
+
+const SONG_NOT_FOUND = { 404: { description: 'Song not found' } };
+
 // Get all favorites for the current user
-router.get('/user', async (req, res) => {
+router.get('/user', validate({
+    summary: 'List the current user\'s favorites, newest first',
+    response: {
+        type: 'object',
+        properties: { favorites: { type: 'array', items: ref('Favorite') } }
+    }
+}), async (req, res) => {
     try {
         const userId = req.user.userId; // Using Supabase UUID
 
-        const { data: favorites, error } = await supabase
-            .from('favorites')
-            .select('*')
-            .eq('user_id', userId)
-            .order('added_at', { ascending: false });
-
-        if (error) {
+        let favorites;
+        try {
+            favorites = await getRepositories().favorites.listByUser(userId);
+        } catch (error) {
             console.error('Error fetching favorites:', error);
             return res.status(500).json({ error: 'Failed to fetch favorites' });
         }
 
-        // Return favorites in consistent format
-        const formattedFavorites = favorites.map(fav => ({
-            id: fav.id,
-            songTitle: fav.song_title,
-            songSrc: fav.song_src,
-            songImg: fav.song_img,
-            albumId: fav.album_id,
-            albumCover: fav.album_cover,
-            artist: fav.artist,
-            addedAt: fav.added_at
-        }));
-        res.json({ favorites: formattedFavorites });
+        res.json({ favorites: favorites.map(formatFavorite) });
     } catch (error) {
         console.error('Error in get favorites:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -42,50 +118,36 @@ router.get('/user', async (req, res) => {
 });
 
 // Add a song to favorites
-router.post('/add', async (req, res) => {
+router.post('/add', validate({
+    summary: 'Add a song to favorites',
+    body: SONG_REFERENCE,
+    response: FAVORITE_RESULT,
+    responses: SONG_NOT_FOUND
+}), async (req, res) => {
     try {
         const userId = req.user.userId; // Using Supabase UUID
-        const { songTitle, songSrc, songImg, albumId, albumCover, artist } = req.body;
-
-        if (!songTitle) {
-            return res.status(400).json({ error: 'Song title is required' });
-        }
-
-        // Check if already in favorites
-        const { data: existing } = await supabase
-            .from('favorites')
-            .select('*')
-            .eq('user_id', userId)
-            .eq('song_title', songTitle)
-            .single();
 
-        if (existing) {
-            return res.status(400).json({ error: 'Song already in favorites' });
+        const songId = await resolveSongId(req.body);
+        if (!songId) {
+            return res.status(404).json({ error: 'Song not found' });
         }
 
-        // Add to favorites
-        const { data: favorite, error } = await supabase
-            .from('favorites')
-            .insert([
-                {
-                    user_id: userId,
-                    song_title: songTitle,
-                    song_src: songSrc,
-                    song_img: songImg,
-                    album_id: albumId,
-                    album_cover: albumCover,
-                    artist: artist
-                }
-            ])
-            .select()
-            .single();
-
-        if (error) {
+        // Add to favorites; the (user, song) pair is unique
+        let favorite;
+        try {
+            favorite = await getRepositories().favorites.add(userId, songId);
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                return res.status(400).json({ error: 'Song already in favorites', code: 'ALREADY_FAVORITE' });
+            }
             console.error('Error adding favorite:', error);
             return res.status(500).json({ error: 'Failed to add to favorites' });
         }
 
-        res.json({ message: 'Song added to favorites successfully', favorite });
+        await recordActivity(userId, ACTIVITY_TYPES.SONG_FAVORITED, { songId });
+        publishFavoriteChange(userId, 'added', songId, favorite);
+
+        res.json({ message: 'Song added to favorites successfully', favorite: formatFavorite(favorite) });
     } catch (error) {
         console.error('Error in add favorite:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -93,26 +155,30 @@ router.post('/add', async (req, res) => {
 });
 
 // Remove a song from favorites
-router.delete('/remove', async (req, res) => {
+router.delete('/remove', validate({
+    summary: 'Remove a song from favorites',
+    body: SONG_REFERENCE,
+    response: ref('Message'),
+    responses: SONG_NOT_FOUND
+}), async (req, res) => {
     try {
         const userId = req.user.userId; // Using Supabase UUID
-        const { songTitle } = req.body;
 
-        if (!songTitle) {
-            return res.status(400).json({ error: 'Song title is required' });
+        const songId = await resolveSongId(req.body);
+        if (!songId) {
+            return res.status(404).json({ error: 'Song not found' });
         }
 
-        const { error } = await supabase
-            .from('favorites')
-            .delete()
-            .eq('user_id', userId)
-            .eq('song_title', songTitle);
-
-        if (error) {
+        try {
+            await getRepositories().favorites.remove(userId, songId);
+        } catch (error) {
             console.error('Error removing favorite:', error);
             return res.status(500).json({ error: 'Failed to remove from favorites' });
         }
 
+        await retractActivity(userId, ACTIVITY_TYPES.SONG_FAVORITED, { songId });
+        publishFavoriteChange(userId, 'removed', songId);
+
         res.json({ message: 'Song removed from favorites successfully' });
     } catch (error) {
         console.error('Error in remove favorite:', error);
@@ -121,88 +187,98 @@ router.delete('/remove', async (req, res) => {
 });
 
 // Check if a song is in favorites
-router.post('/check', async (req, res) => {
+// A missing or unknown song is simply not a favorite; lookup failures are reported as errors
+router.post('/check', validate({
+    summary: 'Check whether a song is a favorite',
+    body: { type: 'object', properties: SONG_REFERENCE_PROPERTIES },
+    response: {
+        type: 'object',
+        properties: {
+            isFavorite: { type: 'boolean' },
+            songId: { type: 'string', format: 'uuid' }
+        }
+    }
+}), async (req, res) => {
     try {
         const userId = req.user.userId; // Using Supabase UUID
-        const { songTitle } = req.body;
 
-        if (!songTitle) {
+        if (!hasSongReference(req.body)) {
             return res.json({ isFavorite: false });
         }
 
-        const { data, error } = await supabase
-            .from('favorites')
-            .select('*')
-            .eq('user_id', userId)
-            .eq('song_title', songTitle)
-            .single();
+        const songId = await resolveSongId(req.body);
+        if (!songId) {
+            return res.json({ isFavorite: false });
+        }
 
-        if (error && error.code !== 'PGRST116') { // PGRST116 is "not found" error
+        let favorite;
+        try {
+            favorite = await getRepositories().favorites.find(userId, songId);
+        } catch (error) {
             console.error('Error checking favorite:', error);
-            return res.json({ isFavorite: false });
+            return res.status(500).json({ error: 'Failed to check favorite' });
         }
 
-        res.json({ isFavorite: !!data });
+        res.json({ isFavorite: !!favorite, songId });
     } catch (error) {
         console.error('Error in check favorite:', error);
-        res.json({ isFavorite: false });
+        res.status(500).json({ error: 'Internal server error' });
     }
 });
 
 // Toggle favorite (add if not exists, remove if exists)
-router.post('/toggle', async (req, res) => {
+router.post('/toggle', validate({
+    summary: 'Add a song to favorites, or remove it if it is already there',
+    body: SONG_REFERENCE,
+    response: {
+        type: 'object',
+        properties: {
+            action: { type: 'string', enum: ['added', 'removed'] },
+            message: { type: 'string' },
+            isFavorite: { type: 'boolean' },
+            favorite: ref('Favorite')
+        }
+    },
+    responses: SONG_NOT_FOUND
+}), async (req, res) => {
     try {
         const userId = req.user.userId; // Using Supabase UUID
-        const { songTitle, songSrc, songImg, albumId, albumCover, artist } = req.body;
 
-        if (!songTitle) {
-            return res.status(400).json({ error: 'Song title is required' });
+        const songId = await resolveSongId(req.body);
+        if (!songId) {
+            return res.status(404).json({ error: 'Song not found' });
         }
 
+        const { favorites } = getRepositories();
+
         // Check if exists
-        const { data: existing } = await supabase
-            .from('favorites')
-            .select('*')
-            .eq('user_id', userId)
-            .eq('song_title', songTitle)
-            .single();
+        const existing = await favorites.find(userId, songId);
 
         if (existing) {
             // Remove
-            const { error } = await supabase
-                .from('favorites')
-                .delete()
-                .eq('user_id', userId)
-                .eq('song_title', songTitle);
-
-            if (error) {
+            try {
+                await favorites.remove(userId, songId);
+            } catch (error) {
                 return res.status(500).json({ error: 'Failed to remove from favorites' });
             }
 
+            await retractActivity(userId, ACTIVITY_TYPES.SONG_FAVORITED, { songId });
+            publishFavoriteChange(userId, 'removed', songId);
+
             return res.json({ action: 'removed', message: 'Song removed from favorites', isFavorite: false });
         } else {
             // Add
-            const { data: favorite, error } = await supabase
-                .from('favorites')
-                .insert([
-                    {
-                        user_id: userId,
-                        song_title: songTitle,
-                        song_src: songSrc,
-                        song_img: songImg,
-                        album_id: albumId,
-                        album_cover: albumCover,
-                        artist: artist
-                    }
-                ])
-                .select()
-                .single();
-
-            if (error) {
+            let favorite;
+            try {
+                favorite = await favorites.add(userId, songId);
+            } catch (error) {
                 return res.status(500).json({ error: 'Failed to add to favorites' });
             }
 
-            return res.json({ action: 'added', message: 'Song added to favorites', favorite, isFavorite: true });
+            await recordActivity(userId, ACTIVITY_TYPES.SONG_FAVORITED, { songId });
+            publishFavoriteChange(userId, 'added', songId, favorite);
+
+            return res.json({ action: 'added', message: 'Song added to favorites', favorite: formatFavorite(favorite), isFavorite: true });
         }
     } catch (error) {
         console.error('Error in toggle favorite:', error);
@@ -211,21 +287,25 @@ router.post('/toggle', async (req, res) => {
 });
 
 // Get favorites count
-router.get('/count', async (req, res) => {
+router.get('/count', validate({
+    summary: 'Count the current user\'s favorites',
+    response: {
+        type: 'object',
+        properties: { count: { type: 'integer' } }
+    }
+}), async (req, res) => {
     try {
         const userId = req.user.userId; // Using Supabase UUID
 
-        const { count, error } = await supabase
-            .from('favorites')
-            .select('*', { count: 'exact', head: true })
-            .eq('user_id', userId);
-
-        if (error) {
+        let count;
+        try {
+            count = await getRepositories().favorites.countByUser(userId);
+        } catch (error) {
             console.error('Error getting favorites count:', error);
             return res.status(500).json({ error: 'Failed to get favorites count' });
         }
 
-        res.json({ count: count || 0 });
+        res.json({ count });
     } catch (error) {
         console.error('Error in favorites count:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -233,4 +313,3 @@ router.get('/count', async (req, res) => {
 });
 
 export default router;
-
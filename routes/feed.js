@@ -0,0 +1,172 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { getRepositories } from '../repositories/index.js';
+import { parsePagination, compareNewestFirst, MAX_PAGE_SIZE } from '../utils/pagination.js';
+import { isPrivateProfile } from '../utils/profiles.js';
+import { validate } from '../middleware/validate.js';
+import { ref } from '../schemas/components.js';
+
+const router = express.Router();
+
+// All feed routes require authentication
+router.use(authenticateToken);
+
+// Cursors are opaque to clients: base64url JSON of the time and id of the last event on the page
+const encodeCursor = (item) => Buffer
+    .from(JSON.stringify({ t: item.time, id: item.id }))
+    .toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof decoded.t !== 'string' || typeof decoded.id !== 'string' || Number.isNaN(Date.parse(decoded.t))) {
+            return null;
+        }
+        return { time: decoded.t, id: decoded.id };
+    } catch (error) {
+        return null;
+    }
+};
+
+const formatActor = (profile) => ({
+    userId: profile.id,
+    username: profile.username,
+    profilePicture: profile.profile_picture
+});
+
+const formatActivityEvent = (event, actor) => {
+    const formatted = { id: event.id, type: event.type, createdAt: event.created_at, actor };
+    if (event.playlists) {
+        formatted.playlist = {
+            id: event.playlists.id,
+            name: event.playlists.name,
+            coverImage: event.playlists.cover_image,
+            shareSlug: event.playlists.share_slug
+        };
+    }
+    if (event.songs) {
+        formatted.song = {
+            id: event.songs.id,
+            title: event.songs.title,
+            src: event.songs.src,
+            img: event.songs.img || event.songs.albums?.img,
+            albumId: event.songs.album_id,
+            artist: event.songs.albums?.artist,
+            duration: event.songs.duration
+        };
+    }
+    return formatted;
+};
+
+const formatPlayEvent = (entry, actor) => ({
+    id: entry.id,
+    type: 'track_played',
+    createdAt: entry.played_at,
+    actor,
+    song: {
+        id: null,
+        title: entry.song_title,
+        src: entry.song_src,
+        img: entry.song_img || entry.album_cover,
+        albumId: entry.album_id,
+        artist: entry.artist,
+        duration: entry.duration
+    }
+});
+
+// Events about playlists show only while the playlist is public;
+// events about songs or playlists that were deleted are dropped
+const isVisible = (event) => {
+    if (event.playlist_id) return event.playlists?.visibility === 'public';
+    if (event.song_id) return !!event.songs;
+    return true;
+};
+
+// Get the feed: new public playlists, favorited songs and plays from the people the user follows
+// Private profiles only show up for followers they follow back
+router.get('/', validate({
+    summary: 'Get the activity feed of followed users',
+    description: 'Newest first. A page may hold fewer than limit events when some were hidden; keep following nextCursor while hasMore is true.',
+    query: {
+        type: 'object',
+        properties: {
+            limit: { type: 'integer', description: `Page size (default 20, capped at ${MAX_PAGE_SIZE})` },
+            cursor: { type: 'string', description: 'nextCursor from the previous page' }
+        }
+    },
+    response: {
+        type: 'object',
+        properties: {
+            events: { type: 'array', items: ref('FeedEvent') },
+            pagination: ref('CursorPagination')
+        }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { limit } = parsePagination(req.query);
+
+        let before = null;
+        if (req.query.cursor) {
+            before = decodeCursor(req.query.cursor);
+            if (!before) {
+                return res.status(400).json({ error: 'Invalid cursor' });
+            }
+        }
+
+        const { follows, users, activity, history } = getRepositories();
+
+        let page;
+        let hasMore;
+        let actors;
+        try {
+            const followingIds = await follows.listFollowingIds(userId);
+            const profiles = await users.listByIds(followingIds);
+
+            const privateIds = profiles.filter(isPrivateProfile).map(profile => profile.id);
+            const followedBack = new Set(await follows.followersAmong(userId, privateIds));
+            actors = new Map(profiles
+                .filter(profile => !isPrivateProfile(profile) || followedBack.has(profile.id))
+                .map(profile => [profile.id, formatActor(profile)]));
+
+            const actorIds = [...actors.keys()];
+            // One extra row from each source tells whether another page exists
+            const [events, plays] = await Promise.all([
+                activity.listByActors(actorIds, { before, limit: limit + 1 }),
+                history.listByUsers(actorIds, { before, limit: limit + 1 })
+            ]);
+
+            const merged = [
+                ...events.map(event => ({ time: event.created_at, id: event.id, event })),
+                ...plays.map(entry => ({ time: entry.played_at, id: entry.id, entry }))
+            ].sort(compareNewestFirst);
+
+            hasMore = merged.length > limit;
+            page = merged.slice(0, limit);
+        } catch (error) {
+            console.error('Error fetching feed:', error);
+            return res.status(500).json({ error: 'Failed to fetch feed' });
+        }
+
+        // Hidden events still move the cursor, so they are filtered after paging
+        const events = page
+            .filter(item => !item.event || isVisible(item.event))
+            .map(item => (item.event
+                ? formatActivityEvent(item.event, actors.get(item.event.actor_id))
+                : formatPlayEvent(item.entry, actors.get(item.entry.user_id))));
+
+        res.json({
+            events,
+            pagination: {
+                limit,
+                nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+                hasMore
+            }
+        });
+    } catch (error) {
+        console.error('Error in get feed:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,207 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { getRepositories } from '../repositories/index.js';
+import { ConflictError } from '../repositories/errors.js';
+import { parsePagination, buildPagination } from '../utils/pagination.js';
+import { isPrivateProfile, buildRelationship } from '../utils/profiles.js';
+import { dispatchNotification, NOTIFICATION_TYPES } from '../services/notificationService.js';
+import { validate } from '../middleware/validate.js';
+import { ref, paginationQuery } from '../schemas/components.js';
+
+const router = express.Router();
+
+const USERNAME_PARAMS = {
+    type: 'object',
+    properties: { username: { type: 'string', minLength: 1, maxLength: 50 } }
+};
+
+const RELATIONSHIP_RESULT = {
+    type: 'object',
+    properties: {
+        message: { type: 'string' },
+        relationship: ref('Relationship')
+    }
+};
+
+const FOLLOW_LIST_RESULT = {
+    type: 'object',
+    properties: {
+        users: { type: 'array', items: ref('FollowUser') },
+        pagination: ref('Pagination')
+    }
+};
+
+const sendPrivate = (res) => res.status(403).json({ error: 'This profile is private', code: 'PROFILE_PRIVATE' });
+
+// Shape a follows row, embedding the user on the other side, into the frontend format
+const formatFollowUser = (user, follow, mutualIds) => ({
+    userId: user.id,
+    username: user.username,
+    profilePicture: user.profile_picture,
+    followedAt: follow.created_at,
+    mutual: mutualIds.has(user.id)
+});
+
+// Follow a user
+// A private profile can only be followed by people it follows, i.e. as a follow-back
+router.post('/profile/:username/follow', authenticateToken, validate({
+    summary: 'Follow a user',
+    description: 'A private profile can only be followed by users it follows itself.',
+    params: USERNAME_PARAMS,
+    response: RELATIONSHIP_RESULT,
+    responses: {
+        403: { description: 'The profile is private' },
+        404: { description: 'User not found' }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { users, follows } = getRepositories();
+
+        const profile = await users.findByUsername(req.params.username);
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (profile.id === userId) {
+            return res.status(400).json({ error: 'You cannot follow yourself', code: 'CANNOT_FOLLOW_SELF' });
+        }
+
+        const followedBy = !!await follows.find(profile.id, userId);
+        if (isPrivateProfile(profile) && !followedBy) {
+            return sendPrivate(res);
+        }
+
+        try {
+            await follows.add(userId, profile.id);
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                return res.status(400).json({ error: `You already follow ${profile.username}`, code: 'ALREADY_FOLLOWING' });
+            }
+            console.error('Error following user:', error);
+            return res.status(500).json({ error: 'Failed to follow user' });
+        }
+
+        await dispatchNotification(NOTIFICATION_TYPES.NEW_FOLLOWER, { actorId: userId, recipientId: profile.id });
+
+        res.json({
+            message: `You are now following ${profile.username}`,
+            relationship: buildRelationship(true, followedBy)
+        });
+    } catch (error) {
+        console.error('Error in follow user:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Unfollow a user
+router.delete('/profile/:username/follow', authenticateToken, validate({
+    summary: 'Unfollow a user',
+    params: USERNAME_PARAMS,
+    response: RELATIONSHIP_RESULT,
+    responses: { 404: { description: 'User not found, or not followed' } }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { users, follows } = getRepositories();
+
+        const profile = await users.findByUsername(req.params.username);
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        let removed;
+        try {
+            removed = await follows.remove(userId, profile.id);
+        } catch (error) {
+            console.error('Error unfollowing user:', error);
+            return res.status(500).json({ error: 'Failed to unfollow user' });
+        }
+
+        if (!removed) {
+            return res.status(404).json({ error: `You don't follow ${profile.username}`, code: 'NOT_FOLLOWING' });
+        }
+
+        const followedBy = !!await follows.find(profile.id, userId);
+
+        res.json({
+            message: `You unfollowed ${profile.username}`,
+            relationship: buildRelationship(false, followedBy)
+        });
+    } catch (error) {
+        console.error('Error in unfollow user:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List a user's followers or the users they follow, newest first
+// mutual marks users who follow the profile and are followed by it
+const listConnections = (direction) => async (req, res) => {
+    try {
+        const { limit, offset } = parsePagination(req.query);
+        const { users, follows } = getRepositories();
+
+        const profile = await users.findByUsername(req.params.username);
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (profile.id !== req.user.userId && isPrivateProfile(profile)) {
+            return sendPrivate(res);
+        }
+
+        let page;
+        let mutualIds;
+        try {
+            if (direction === 'followers') {
+                page = await follows.listFollowers(profile.id, { limit, offset });
+                const ids = page.follows.map(follow => follow.follower_id);
+                mutualIds = new Set(await follows.followedAmong(profile.id, ids));
+            } else {
+                page = await follows.listFollowing(profile.id, { limit, offset });
+                const ids = page.follows.map(follow => follow.following_id);
+                mutualIds = new Set(await follows.followersAmong(profile.id, ids));
+            }
+        } catch (error) {
+            console.error(`Error fetching ${direction}:`, error);
+            return res.status(500).json({ error: `Failed to fetch ${direction}` });
+        }
+
+        const embed = direction === 'followers' ? 'follower' : 'following';
+        res.json({
+            users: page.follows
+                .filter(follow => follow[embed])
+                .map(follow => formatFollowUser(follow[embed], follow, mutualIds)),
+            pagination: buildPagination(limit, offset, page.total)
+        });
+    } catch (error) {
+        console.error(`Error in list ${direction}:`, error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+router.get('/profile/:username/followers', authenticateToken, validate({
+    summary: 'List a user\'s followers',
+    description: 'Hidden from other users when the profile is private.',
+    params: USERNAME_PARAMS,
+    query: { type: 'object', properties: paginationQuery() },
+    response: FOLLOW_LIST_RESULT,
+    responses: {
+        403: { description: 'The profile is private' },
+        404: { description: 'User not found' }
+    }
+}), listConnections('followers'));
+
+router.get('/profile/:username/following', authenticateToken, validate({
+    summary: 'List the users someone follows',
+    description: 'Hidden from other users when the profile is private.',
+    params: USERNAME_PARAMS,
+    query: { type: 'object', properties: paginationQuery() },
+    response: FOLLOW_LIST_RESULT,
+    responses: {
+        403: { description: 'The profile is private' },
+        404: { description: 'User not found' }
+    }
+}), listConnections('following'));
+
+export default router;
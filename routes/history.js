@@ -0,0 +1,170 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { getRepositories } from '../repositories/index.js';
+import { parsePagination, buildPagination } from '../utils/pagination.js';
+import { validate } from '../middleware/validate.js';
+import { ref, paginationQuery } from '../schemas/components.js';
+
+const router = express.Router();
+
+// All history routes require authentication
+router.use(authenticateToken);
+
+const formatHistoryEntry = (entry) => ({
+    id: entry.id,
+    songTitle: entry.song_title,
+    songSrc: entry.song_src,
+    songImg: entry.song_img,
+    albumId: entry.album_id,
+    albumCover: entry.album_cover,
+    artist: entry.artist,
+    duration: entry.duration,
+    playedAt: entry.played_at
+});
+
+// Get recently played songs for the current user (paginated)
+router.get('/user', validate({
+    summary: 'Recently played songs, newest first',
+    query: { type: 'object', properties: paginationQuery() },
+    response: {
+        type: 'object',
+        properties: {
+            history: { type: 'array', items: ref('HistoryEntry') },
+            pagination: ref('Pagination')
+        }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { limit, offset } = parsePagination(req.query);
+
+        let page;
+        try {
+            page = await getRepositories().history.listByUser(userId, { limit, offset });
+        } catch (error) {
+            console.error('Error fetching listening history:', error);
+            return res.status(500).json({ error: 'Failed to fetch listening history' });
+        }
+
+        res.json({
+            history: page.entries.map(formatHistoryEntry),
+            pagination: buildPagination(limit, offset, page.total)
+        });
+    } catch (error) {
+        console.error('Error in get listening history:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Record a play
+router.post('/add', validate({
+    summary: 'Record a play',
+    body: {
+        type: 'object',
+        required: ['songTitle'],
+        properties: {
+            songTitle: { type: 'string', minLength: 1 },
+            songSrc: { type: 'string' },
+            songImg: { type: 'string' },
+            albumId: { type: 'string' },
+            albumCover: { type: 'string' },
+            artist: { type: 'string' },
+            duration: { type: 'integer', minimum: 0, nullable: true, description: 'Seconds' }
+        }
+    },
+    response: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            entry: ref('HistoryEntry')
+        }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { songTitle, songSrc, songImg, albumId, albumCover, artist, duration } = req.body;
+
+        let entry;
+        try {
+            entry = await getRepositories().history.add({
+                user_id: userId,
+                song_title: songTitle,
+                song_src: songSrc,
+                song_img: songImg,
+                album_id: albumId,
+                album_cover: albumCover,
+                artist: artist,
+                duration: duration ?? null
+            });
+        } catch (error) {
+            console.error('Error recording play:', error);
+            return res.status(500).json({ error: 'Failed to record play' });
+        }
+
+        res.json({ message: 'Play recorded successfully', entry: formatHistoryEntry(entry) });
+    } catch (error) {
+        console.error('Error in record play:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Clear all listening history for the current user
+router.delete('/clear', validate({
+    summary: 'Clear the listening history',
+    response: ref('Message')
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        try {
+            await getRepositories().history.clear(userId);
+        } catch (error) {
+            console.error('Error clearing listening history:', error);
+            return res.status(500).json({ error: 'Failed to clear listening history' });
+        }
+
+        res.json({ message: 'Listening history cleared successfully' });
+    } catch (error) {
+        console.error('Error in clear listening history:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Delete a single history entry
+router.delete('/:id', validate({
+    summary: 'Delete one history entry',
+    params: {
+        type: 'object',
+        properties: { id: { type: 'string', format: 'uuid' } }
+    },
+    response: ref('Message'),
+    responses: { 404: { description: 'History entry not found' } }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { id } = req.params;
+
+        const { history } = getRepositories();
+
+        // Verify entry belongs to user
+        const entry = await history.findById(id);
+
+        if (!entry || entry.user_id !== userId) {
+            return res.status(404).json({ error: 'History entry not found' });
+        }
+
+        try {
+            await history.delete(id);
+        } catch (error) {
+            console.error('Error deleting history entry:', error);
+            return res.status(500).json({ error: 'Failed to delete history entry' });
+        }
+
+        res.json({ message: 'History entry deleted successfully' });
+    } catch (error) {
+        console.error('Error in delete history entry:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
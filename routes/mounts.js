@@ -0,0 +1,52 @@
+import authRoutes from './auth.js';
+import albumRoutes from './albums.js';
+import favoriteRoutes from './favorites.js';
+import playlistRoutes from './playlists.js';
+import profileRoutes from './profile.js';
+import historyRoutes from './history.js';
+import searchRoutes from './search.js';
+import songRoutes from './songs.js';
+import adminRoutes from './admin.js';
+import recommendationRoutes from './recommendations.js';
+import followRoutes from './follows.js';
+import feedRoutes from './feed.js';
+import notificationRoutes from './notifications.js';
+import eventRoutes from './events.js';
+
+// Where each router is mounted, shared by app.js, the /v2 router and the OpenAPI documents
+
+// The original API, kept as-is for existing clients
+export const v1Mounts = [
+    ['/users', authRoutes],
+    ['/albums', albumRoutes],
+    ['/search', searchRoutes],
+    ['/songs', songRoutes],
+    ['/api/favorites', favoriteRoutes],
+    ['/api/playlists', playlistRoutes],
+    ['/api/history', historyRoutes],
+    ['/api/recommendations', recommendationRoutes],
+    ['/api/feed', feedRoutes],
+    ['/api/notifications', notificationRoutes],
+    ['/api/events', eventRoutes],
+    ['/api/admin', adminRoutes],
+    ['/users', profileRoutes],
+    ['/users', followRoutes]
+];
+
+// The /v2 API serves the same routers without the /api prefix (relative to /v2)
+export const v2Mounts = [
+    ['/users', authRoutes],
+    ['/users', profileRoutes],
+    ['/users', followRoutes],
+    ['/albums', albumRoutes],
+    ['/search', searchRoutes],
+    ['/songs', songRoutes],
+    ['/favorites', favoriteRoutes],
+    ['/playlists', playlistRoutes],
+    ['/history', historyRoutes],
+    ['/recommendations', recommendationRoutes],
+    ['/feed', feedRoutes],
+    ['/notifications', notificationRoutes],
+    ['/events', eventRoutes],
+    ['/admin', adminRoutes]
+];
@@ -0,0 +1,157 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { getRepositories } from '../repositories/index.js';
+import { parsePagination, buildPagination } from '../utils/pagination.js';
+import { formatNotification } from '../utils/notifications.js';
+import { publishToUsers, LIVE_EVENTS } from '../services/liveEvents.js';
+import { validate } from '../middleware/validate.js';
+import { ref, paginationQuery } from '../schemas/components.js';
+
+const router = express.Router();
+
+// All notification routes require authentication
+router.use(authenticateToken);
+
+const NOTIFICATION_ID_PARAMS = {
+    type: 'object',
+    properties: { id: { type: 'string', format: 'uuid' } }
+};
+
+// Get the current user's notifications, newest first
+router.get('/', validate({
+    summary: 'List the current user\'s notifications',
+    query: {
+        type: 'object',
+        properties: {
+            unread: { type: 'boolean', description: 'Only unread notifications' },
+            ...paginationQuery()
+        }
+    },
+    response: {
+        type: 'object',
+        properties: {
+            notifications: { type: 'array', items: ref('Notification') },
+            unreadCount: { type: 'integer' },
+            pagination: ref('Pagination')
+        }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { limit, offset } = parsePagination(req.query);
+        const { notifications } = getRepositories();
+
+        let page;
+        let unreadCount;
+        try {
+            [page, unreadCount] = await Promise.all([
+                notifications.listByUser(userId, { unreadOnly: req.query.unread === 'true', limit, offset }),
+                notifications.countUnread(userId)
+            ]);
+        } catch (error) {
+            console.error('Error fetching notifications:', error);
+            return res.status(500).json({ error: 'Failed to fetch notifications' });
+        }
+
+        res.json({
+            notifications: page.notifications.map(formatNotification),
+            unreadCount,
+            pagination: buildPagination(limit, offset, page.total)
+        });
+    } catch (error) {
+        console.error('Error in get notifications:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Get the number of unread notifications, e.g. for a badge
+router.get('/unread-count', validate({
+    summary: 'Count unread notifications',
+    response: {
+        type: 'object',
+        properties: { unreadCount: { type: 'integer' } }
+    }
+}), async (req, res) => {
+    try {
+        let unreadCount;
+        try {
+            unreadCount = await getRepositories().notifications.countUnread(req.user.userId);
+        } catch (error) {
+            console.error('Error counting notifications:', error);
+            return res.status(500).json({ error: 'Failed to count notifications' });
+        }
+
+        res.json({ unreadCount });
+    } catch (error) {
+        console.error('Error in count notifications:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Mark every unread notification as read
+router.post('/read-all', validate({
+    summary: 'Mark all notifications as read',
+    response: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            updated: { type: 'integer', description: 'Notifications that were unread' }
+        }
+    }
+}), async (req, res) => {
+    try {
+        let updated;
+        try {
+            updated = await getRepositories().notifications.markAllRead(req.user.userId);
+        } catch (error) {
+            console.error('Error marking notifications as read:', error);
+            return res.status(500).json({ error: 'Failed to mark notifications as read' });
+        }
+
+        if (updated > 0) {
+            publishToUsers([req.user.userId], LIVE_EVENTS.NOTIFICATION, { action: 'read_all' });
+        }
+
+        res.json({ message: 'All notifications marked as read', updated });
+    } catch (error) {
+        console.error('Error in mark all notifications read:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Mark one notification as read (marking it again is a no-op)
+router.post('/:id/read', validate({
+    summary: 'Mark a notification as read',
+    params: NOTIFICATION_ID_PARAMS,
+    response: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            notification: ref('Notification')
+        }
+    },
+    responses: { 404: { description: 'Notification not found' } }
+}), async (req, res) => {
+    try {
+        let notification;
+        try {
+            notification = await getRepositories().notifications.markRead(req.user.userId, req.params.id);
+        } catch (error) {
+            console.error('Error marking notification as read:', error);
+            return res.status(500).json({ error: 'Failed to mark notification as read' });
+        }
+
+        if (!notification) {
+            return res.status(404).json({ error: 'Notification not found' });
+        }
+
+        publishToUsers([req.user.userId], LIVE_EVENTS.NOTIFICATION, { action: 'read', notificationId: notification.id });
+
+        res.json({ message: 'Notification marked as read', notification: formatNotification(notification) });
+    } catch (error) {
+        console.error('Error in mark notification read:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -1,60 +1,233 @@
 import express from 'express';
+import multer from 'multer';
 import { authenticateToken } from '../middleware/auth.js';
-import { supabase } from '../config/supabase.js';
+import { getRepositories } from '../repositories/index.js';
+import { ConflictError, TrackSetMismatchError } from '../repositories/errors.js';
+import { generateShareSlug, formatPlaylist, formatPlaylistSong } from '../utils/playlists.js';
+import {
+    PLAYLIST_FORMATS,
+    serializePlaylist,
+    detectPlaylistFormat,
+    parsePlaylist,
+    matchCatalogTracks
+} from '../utils/playlistFormats.js';
+import { recordActivity, ACTIVITY_TYPES } from '../services/activityService.js';
+import { dispatchNotification, NOTIFICATION_TYPES } from '../services/notificationService.js';
+import { publishToUsers, LIVE_EVENTS } from '../services/liveEvents.js';
+import { validate } from '../middleware/validate.js';
+import { ref, PLAYLIST_VISIBILITY_SCHEMA } from '../schemas/components.js';
 
 const router = express.Router();
 
-// All playlist routes require authentication
+const PLAYLIST_ID_PARAMS = {
+    type: 'object',
+    properties: { id: { type: 'string', format: 'uuid' } }
+};
+
+const PLAYLIST_RESULT = {
+    type: 'object',
+    properties: {
+        message: { type: 'string' },
+        playlist: ref('Playlist')
+    }
+};
+
+const PLAYLIST_NOT_FOUND = { 404: { description: 'Playlist not found' } };
+
+const TRACK_EDIT_RESPONSES = {
+    403: { description: 'Viewers cannot change tracks' },
+    ...PLAYLIST_NOT_FOUND
+};
+
+const PLAYLIST_SONGS_RESULT = {
+    type: 'object',
+    properties: {
+        message: { type: 'string' },
+        songs: { type: 'array', items: ref('PlaylistSong') }
+    }
+};
+
+// Get an unlisted or public playlist by its share slug (no authentication)
+router.get('/shared/:slug', validate({
+    summary: 'Get an unlisted or public playlist by its share link',
+    description: 'No authentication required.',
+    response: {
+        type: 'object',
+        properties: {
+            playlist: {
+                allOf: [ref('Playlist'), {
+                    type: 'object',
+                    properties: {
+                        owner: {
+                            type: 'object',
+                            properties: {
+                                username: { type: 'string' },
+                                profilePicture: { type: 'string', nullable: true }
+                            }
+                        }
+                    }
+                }]
+            }
+        }
+    },
+    responses: PLAYLIST_NOT_FOUND
+}), async (req, res) => {
+    try {
+        const { slug } = req.params;
+
+        const { playlists, users } = getRepositories();
+
+        const playlist = await playlists.findByShareSlug(slug);
+
+        if (!playlist) {
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
+
+        let owner, songs;
+        try {
+            [owner, songs] = await Promise.all([
+                users.findById(playlist.user_id),
+                playlists.listTracks(playlist.id)
+            ]);
+        } catch (error) {
+            console.error('Error fetching shared playlist songs:', error);
+            return res.status(500).json({ error: 'Failed to fetch playlist' });
+        }
+
+        res.json({
+            playlist: formatPlaylist(playlist, {
+                owner: {
+                    username: owner?.username,
+                    profilePicture: owner?.profile_picture
+                },
+                songs: songs.map(formatPlaylistSong)
+            })
+        });
+    } catch (error) {
+        console.error('Error in get shared playlist:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// All other playlist routes require authentication
 router.use(authenticateToken);
 
-// Get all playlists for the current user
-router.get('/user', async (req, res) => {
+// Resolve what a user may do with a playlist: 'owner', 'editor', 'viewer', or null for no access
+const getPlaylistAccess = async (playlistId, userId) => {
+    const { playlists } = getRepositories();
+    const playlist = await playlists.findById(playlistId);
+
+    if (!playlist) {
+        return { playlist: null, role: null };
+    }
+
+    if (playlist.user_id === userId) {
+        return { playlist, role: 'owner' };
+    }
+
+    const collaborator = await playlists.findCollaborator(playlistId, userId, { status: 'accepted' });
+
+    return { playlist, role: collaborator?.role || null };
+};
+
+const canEditTracks = (role) => role === 'owner' || role === 'editor';
+
+// The owner and accepted collaborators, i.e. everyone who gets the playlist from GET /playlists/user
+const getPlaylistMembers = async (playlist) => {
+    const collaborators = await getRepositories().playlists.listCollaborators(playlist.id, { status: 'accepted' });
+    return [playlist.user_id, ...collaborators.map(collaborator => collaborator.user_id)];
+};
+
+// Push a playlist change to the live streams of its members (GET /api/events)
+// Pass the playlist when it is at hand, or members when they can no longer be looked up (deletes).
+// Best effort: a failure is logged and never fails the request.
+const publishPlaylistChange = async (playlistId, action, { playlist = null, members = null, also = [] } = {}) => {
     try {
-        const userId = req.user.userId;
+        let userIds = members;
+        if (!userIds) {
+            const target = playlist || await getRepositories().playlists.findById(playlistId);
+            userIds = target ? await getPlaylistMembers(target) : [];
+        }
+        publishToUsers([...userIds, ...also], LIVE_EVENTS.PLAYLIST, { action, playlistId });
+    } catch (error) {
+        console.error('Error publishing playlist change:', error);
+    }
+};
 
-        const { data: playlists, error } = await supabase
-            .from('playlists')
-            .select('*')
-            .eq('user_id', userId)
-            .order('created_at', { ascending: false });
+const COLLABORATOR_ROLES = ['editor', 'viewer'];
 
-        if (error) {
+// Get all playlists for the current user
+router.get('/user', validate({
+    summary: 'List playlists the user owns or collaborates on',
+    description: 'Every playlist comes with songCount and totalDuration. /api includes each playlist\'s songs unless lite=true; /v2 leaves them out unless include=songs.',
+    query: {
+        type: 'object',
+        properties: {
+            lite: { type: 'boolean', description: 'Leave out each playlist\'s tracks' },
+            include: { type: 'string', enum: ['songs'], description: 'songs: also return each playlist\'s tracks' }
+        }
+    },
+    response: {
+        type: 'object',
+        properties: { playlists: { type: 'array', items: ref('Playlist') } }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        // v1 clients expect songs; v2 lists stay light unless asked
+        const includeSongs = req.baseUrl.startsWith('/v2')
+            ? req.query.include === 'songs'
+            : req.query.lite !== 'true';
+
+        const repositories = getRepositories();
+
+        // Owned and shared playlists come with their tracks, so the number of queries
+        // stays the same however many playlists the user has
+        let playlists;
+        let collaborations;
+        try {
+            [playlists, collaborations] = await Promise.all([
+                repositories.playlists.listByOwner(userId, { withTracks: true }),
+                // Playlists shared with the user through accepted invitations
+                repositories.playlists.listCollaborations(userId, { status: 'accepted', withTracks: true })
+            ]);
+        } catch (error) {
             console.error('Error fetching playlists:', error);
             return res.status(500).json({ error: 'Failed to fetch playlists' });
         }
 
-        // Get songs for each playlist
-        const playlistsWithSongs = await Promise.all(
-            playlists.map(async (playlist) => {
-                const { data: songs } = await supabase
-                    .from('playlist_songs')
-                    .select('*')
-                    .eq('playlist_id', playlist.id)
-                    .order('position', { ascending: true })
-                    .order('added_at', { ascending: false });
-
-                return {
-                    id: playlist.id,
-                    name: playlist.name,
-                    description: playlist.description,
-                    coverImage: playlist.cover_image,
-                    createdAt: playlist.created_at,
-                    updatedAt: playlist.updated_at,
-                    songs: (songs || []).map(song => ({
-                        title: song.song_title,
-                        src: song.song_src,
-                        img: song.song_img,
-                        albumId: song.album_id,
-                        albumCover: song.song_img,
-                        artist: song.artist,
-                        position: song.position,
-                        addedAt: song.added_at
-                    }))
-                };
-            })
-        );
+        const roles = new Map(playlists.map(playlist => [playlist.id, 'owner']));
+        const sharedPlaylists = collaborations
+            .map(collaboration => {
+                roles.set(collaboration.playlists.id, collaboration.role);
+                return collaboration.playlists;
+            });
+
+        const allPlaylists = [...playlists, ...sharedPlaylists]
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+        // Playlist rows don't keep durations; the catalog sums them for every playlist at once
+        let durationByPlaylist = new Map();
+        if (allPlaylists.length > 0) {
+            try {
+                const durations = await repositories.playlists.totalDurations(allPlaylists.map(playlist => playlist.id));
+                durationByPlaylist = new Map(durations.map(row => [row.playlist_id, Number(row.total_duration)]));
+            } catch (error) {
+                console.error('Error fetching playlist durations:', error);
+                return res.status(500).json({ error: 'Failed to fetch playlists' });
+            }
+        }
 
-        res.json({ playlists: playlistsWithSongs });
+        res.json({
+            playlists: allPlaylists.map(playlist => formatPlaylist(playlist, {
+                ownerId: playlist.user_id,
+                role: roles.get(playlist.id),
+                songCount: playlist.tracks.length,
+                // Tracks missing from the catalog or without a duration count as 0
+                totalDuration: durationByPlaylist.get(playlist.id) || 0,
+                ...(includeSongs ? { songs: playlist.tracks.map(formatPlaylistSong) } : {})
+            }))
+        });
     } catch (error) {
         console.error('Error in get playlists:', error);
         res.status(500).json({ error: 'Internal server error' });
@@ -62,62 +235,61 @@ router.get('/user', async (req, res) => {
 });
 
 // Create a new playlist
-router.post('/create', async (req, res) => {
+router.post('/create', validate({
+    summary: 'Create a playlist',
+    body: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+            name: { type: 'string', minLength: 1, maxLength: 100 },
+            description: { type: 'string', maxLength: 500 },
+            coverImage: { type: 'string' },
+            visibility: { ...PLAYLIST_VISIBILITY_SCHEMA, default: 'private' }
+        }
+    },
+    response: PLAYLIST_RESULT
+}), async (req, res) => {
     try {
         const userId = req.user.userId;
-        const { name, description, coverImage } = req.body;
-
-        if (!name || !name.trim()) {
-            return res.status(400).json({ error: 'Playlist name is required' });
-        }
+        const { name, description, coverImage, visibility = 'private' } = req.body;
 
         const playlistName = name.trim();
 
+        const { playlists } = getRepositories();
+
         // Check if a playlist with the same name already exists for this user
-        const { data: existingPlaylist } = await supabase
-            .from('playlists')
-            .select('id, name')
-            .eq('user_id', userId)
-            .ilike('name', playlistName)
-            .single();
+        const existingPlaylist = await playlists.findByName(userId, playlistName);
 
         if (existingPlaylist) {
-            return res.status(400).json({ error: `A playlist with the name "${playlistName}" already exists` });
+            return res.status(400).json({ error: `A playlist with the name "${playlistName}" already exists`, code: 'PLAYLIST_NAME_TAKEN' });
         }
 
-        const { data: playlist, error } = await supabase
-            .from('playlists')
-            .insert([
-                {
-                    user_id: userId,
-                    name: playlistName,
-                    description: description || null,
-                    cover_image: coverImage || null
-                }
-            ])
-            .select()
-            .single();
-
-        if (error) {
+        let playlist;
+        try {
+            playlist = await playlists.create({
+                user_id: userId,
+                name: playlistName,
+                description: description || null,
+                cover_image: coverImage || null,
+                visibility,
+                share_slug: generateShareSlug()
+            });
+        } catch (error) {
             console.error('Error creating playlist:', error);
-            // Check if error is due to unique constraint violation
-            if (error.code === '23505' || error.message.includes('duplicate') || error.message.includes('unique')) {
-                return res.status(400).json({ error: `A playlist with the name "${playlistName}" already exists` });
+            // Another request created the same name in the meantime
+            if (error instanceof ConflictError) {
+                return res.status(400).json({ error: `A playlist with the name "${playlistName}" already exists`, code: 'PLAYLIST_NAME_TAKEN' });
             }
             return res.status(500).json({ error: 'Failed to create playlist' });
         }
 
+        // Followers only see it in their feed while the playlist is public
+        await recordActivity(userId, ACTIVITY_TYPES.PLAYLIST_CREATED, { playlistId: playlist.id });
+        await publishPlaylistChange(playlist.id, 'created', { members: [userId] });
+
         res.json({
             message: 'Playlist created successfully',
-            playlist: {
-                id: playlist.id,
-                name: playlist.name,
-                description: playlist.description,
-                coverImage: playlist.cover_image,
-                createdAt: playlist.created_at,
-                updatedAt: playlist.updated_at,
-                songs: []
-            }
+            playlist: formatPlaylist(playlist, { songs: [] })
         });
     } catch (error) {
         console.error('Error in create playlist:', error);
@@ -125,19 +297,234 @@ router.post('/create', async (req, res) => {
     }
 });
 
+// Playlist files are small text files, kept in memory while they are parsed
+const MAX_IMPORT_FILE_SIZE = 1 * 1024 * 1024; // 1MB
+const MAX_IMPORT_TRACKS = 1000;
+
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMPORT_FILE_SIZE }
+});
+
+// Turn multer errors into 400 responses instead of falling through to the 500 handler
+const withImportUpload = (req, res, next) => {
+    importUpload.single('file')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ error: err.message });
+        }
+        next();
+    });
+};
+
+// Pick "Name", "Name (2)", "Name (3)", ... so imports never clash with an existing playlist
+const uniquePlaylistName = async (userId, baseName) => {
+    const playlists = await getRepositories().playlists.listByOwner(userId);
+
+    const taken = new Set(playlists.map(p => p.name.toLowerCase()));
+    let name = baseName;
+    for (let n = 2; taken.has(name.toLowerCase()); n++) {
+        name = `${baseName} (${n})`;
+    }
+    return name;
+};
+
+const formatImportTrack = ({ title, artist, src }) => ({
+    title: title || null,
+    artist: artist || null,
+    src: src || null
+});
+
+// Import an M3U/M3U8, XSPF or JSON playlist file into a new playlist
+// Accepts a multipart upload in "file", or JSON with the file contents in "content"
+router.post('/import', withImportUpload, validate({
+    summary: 'Import a playlist file into a new playlist',
+    description: 'Send the file as multipart/form-data in `file`, or as JSON with the file contents in `content`. ' +
+        'Tracks are matched against the catalog; the report lists what matched and what did not.',
+    body: {
+        type: 'object',
+        properties: {
+            file: { type: 'string', format: 'binary', description: 'Playlist file (multipart only, up to 1MB)' },
+            content: { type: 'string', description: 'File contents, when not uploading `file`' },
+            format: { type: 'string', enum: ['m3u', ...Object.keys(PLAYLIST_FORMATS)], description: 'Detected when left out' },
+            name: { type: 'string', maxLength: 100, description: 'Defaults to the name in the file' },
+            description: { type: 'string', maxLength: 500 },
+            visibility: { ...PLAYLIST_VISIBILITY_SCHEMA, default: 'private' }
+        }
+    },
+    bodyType: ['application/json', 'multipart/form-data'],
+    response: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            playlist: ref('Playlist'),
+            report: {
+                type: 'object',
+                properties: {
+                    format: { type: 'string' },
+                    total: { type: 'integer' },
+                    imported: { type: 'integer' },
+                    matched: { type: 'array', items: { type: 'object' } },
+                    duplicates: { type: 'array', items: { type: 'object' } },
+                    unmatched: { type: 'array', items: { type: 'object' } }
+                }
+            }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { name, description, visibility = 'private' } = req.body || {};
+        const content = req.file ? req.file.buffer.toString('utf8') : req.body?.content;
+
+        if (typeof content !== 'string' || !content.trim()) {
+            return res.status(400).json({ error: 'Playlist file is required' });
+        }
+
+        const format = req.body?.format === 'm3u'
+            ? 'm3u8'
+            : req.body?.format || detectPlaylistFormat(content, req.file?.originalname);
+
+        if (!PLAYLIST_FORMATS[format]) {
+            return res.status(400).json({ error: `Format must be one of: ${Object.keys(PLAYLIST_FORMATS).join(', ')}` });
+        }
+
+        let parsed;
+        try {
+            parsed = parsePlaylist(format, content.replace(/^\uFEFF/, ''));
+        } catch (parseError) {
+            return res.status(400).json({ error: `Could not read ${format} playlist: ${parseError.message}` });
+        }
+
+        if (parsed.tracks.length === 0) {
+            return res.status(400).json({ error: 'Playlist file contains no tracks' });
+        }
+
+        if (parsed.tracks.length > MAX_IMPORT_TRACKS) {
+            return res.status(400).json({ error: `Playlists can contain at most ${MAX_IMPORT_TRACKS} tracks` });
+        }
+
+        const { songs, playlists } = getRepositories();
+
+        let catalog;
+        try {
+            catalog = await songs.list();
+        } catch (catalogError) {
+            console.error('Error fetching songs for import:', catalogError);
+            return res.status(500).json({ error: 'Failed to import playlist' });
+        }
+
+        const { matched, unmatched } = matchCatalogTracks(parsed.tracks, catalog);
+
+        // Playlists hold each song once, so repeated entries are reported rather than added twice
+        const seenSongs = new Set();
+        const duplicates = [];
+        const tracksToAdd = matched.filter(match => {
+            if (seenSongs.has(match.song.id)) {
+                duplicates.push(match);
+                return false;
+            }
+            seenSongs.add(match.song.id);
+            return true;
+        });
+
+        const baseName = (name || parsed.name || 'Imported playlist').trim() || 'Imported playlist';
+        const playlistName = await uniquePlaylistName(userId, baseName);
+
+        let playlist;
+        try {
+            playlist = await playlists.create({
+                user_id: userId,
+                name: playlistName,
+                description: description ?? parsed.description ?? null,
+                visibility,
+                share_slug: generateShareSlug()
+            });
+        } catch (error) {
+            console.error('Error creating imported playlist:', error);
+            return res.status(500).json({ error: 'Failed to import playlist' });
+        }
+
+        let insertedSongs = [];
+        if (tracksToAdd.length > 0) {
+            try {
+                insertedSongs = await playlists.addTracks(tracksToAdd.map(({ song }, index) => ({
+                    playlist_id: playlist.id,
+                    song_title: song.title,
+                    song_src: song.src,
+                    song_img: song.img || song.albums?.img,
+                    album_id: song.album_id,
+                    artist: song.albums?.artist,
+                    position: index + 1,
+                    added_by: userId
+                })));
+            } catch (songsError) {
+                console.error('Error adding imported songs:', songsError);
+                // Don't leave an empty playlist behind
+                await playlists.delete(playlist.id);
+                return res.status(500).json({ error: 'Failed to import playlist' });
+            }
+        }
+
+        await recordActivity(userId, ACTIVITY_TYPES.PLAYLIST_CREATED, { playlistId: playlist.id });
+        await publishPlaylistChange(playlist.id, 'created', { members: [userId] });
+
+        res.json({
+            message: `Imported ${insertedSongs.length} of ${parsed.tracks.length} track(s)`,
+            playlist: formatPlaylist(playlist, { songs: insertedSongs.map(formatPlaylistSong) }),
+            report: {
+                format,
+                total: parsed.tracks.length,
+                imported: insertedSongs.length,
+                matched: tracksToAdd.map(({ index, track, song, matchedBy }) => ({
+                    index,
+                    ...formatImportTrack(track),
+                    songId: song.id,
+                    matchedBy
+                })),
+                duplicates: duplicates.map(({ index, track, song }) => ({
+                    index,
+                    ...formatImportTrack(track),
+                    songId: song.id
+                })),
+                unmatched: unmatched.map(({ index, track, reason }) => ({
+                    index,
+                    ...formatImportTrack(track),
+                    reason
+                }))
+            }
+        });
+    } catch (error) {
+        console.error('Error in import playlist:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Update a playlist
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate({
+    summary: 'Update a playlist (owner only)',
+    params: PLAYLIST_ID_PARAMS,
+    body: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', maxLength: 100 },
+            description: { type: 'string', maxLength: 500 },
+            coverImage: { type: 'string' },
+            visibility: PLAYLIST_VISIBILITY_SCHEMA,
+            regenerateShareLink: { type: 'boolean', description: 'Invalidate the old share link' }
+        }
+    },
+    response: PLAYLIST_RESULT,
+    responses: PLAYLIST_NOT_FOUND
+}), async (req, res) => {
     try {
         const userId = req.user.userId;
         const { id } = req.params;
-        const { name, description, coverImage } = req.body;
+        const { name, description, coverImage, visibility, regenerateShareLink } = req.body;
+
+        const { playlists } = getRepositories();
 
         // Verify playlist belongs to user
-        const { data: existingPlaylist } = await supabase
-            .from('playlists')
-            .select('user_id')
-            .eq('id', id)
-            .single();
+        const existingPlaylist = await playlists.findById(id);
 
         if (!existingPlaylist || existingPlaylist.user_id !== userId) {
             return res.status(404).json({ error: 'Playlist not found' });
@@ -147,30 +534,24 @@ router.put('/:id', async (req, res) => {
         if (name !== undefined) updateData.name = name.trim();
         if (description !== undefined) updateData.description = description;
         if (coverImage !== undefined) updateData.cover_image = coverImage;
+        if (visibility !== undefined) updateData.visibility = visibility;
+        // A new slug invalidates any previously shared link
+        if (regenerateShareLink === true) updateData.share_slug = generateShareSlug();
         updateData.updated_at = new Date().toISOString();
 
-        const { data: playlist, error } = await supabase
-            .from('playlists')
-            .update(updateData)
-            .eq('id', id)
-            .select()
-            .single();
-
-        if (error) {
+        let playlist;
+        try {
+            playlist = await playlists.update(id, updateData);
+        } catch (error) {
             console.error('Error updating playlist:', error);
             return res.status(500).json({ error: 'Failed to update playlist' });
         }
 
+        await publishPlaylistChange(id, 'updated', { playlist });
+
         res.json({
             message: 'Playlist updated successfully',
-            playlist: {
-                id: playlist.id,
-                name: playlist.name,
-                description: playlist.description,
-                coverImage: playlist.cover_image,
-                createdAt: playlist.created_at,
-                updatedAt: playlist.updated_at
-            }
+            playlist: formatPlaylist(playlist)
         });
     } catch (error) {
         console.error('Error in update playlist:', error);
@@ -179,33 +560,38 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete a playlist
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate({
+    summary: 'Delete a playlist (owner only)',
+    params: PLAYLIST_ID_PARAMS,
+    response: ref('Message'),
+    responses: PLAYLIST_NOT_FOUND
+}), async (req, res) => {
     try {
         const userId = req.user.userId;
         const { id } = req.params;
 
+        const { playlists } = getRepositories();
+
         // Verify playlist belongs to user
-        const { data: existingPlaylist } = await supabase
-            .from('playlists')
-            .select('user_id')
-            .eq('id', id)
-            .single();
+        const existingPlaylist = await playlists.findById(id);
 
         if (!existingPlaylist || existingPlaylist.user_id !== userId) {
             return res.status(404).json({ error: 'Playlist not found' });
         }
 
-        // Delete playlist (cascade will delete playlist_songs)
-        const { error } = await supabase
-            .from('playlists')
-            .delete()
-            .eq('id', id);
+        // Collaborators are deleted with the playlist, so find who to tell first
+        const members = await getPlaylistMembers(existingPlaylist);
 
-        if (error) {
+        // Delete playlist (cascade will delete playlist_songs)
+        try {
+            await playlists.delete(id);
+        } catch (error) {
             console.error('Error deleting playlist:', error);
             return res.status(500).json({ error: 'Failed to delete playlist' });
         }
 
+        await publishPlaylistChange(id, 'deleted', { members });
+
         res.json({ message: 'Playlist deleted successfully' });
     } catch (error) {
         console.error('Error in delete playlist:', error);
@@ -214,44 +600,35 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Get songs in a playlist
-router.get('/:id/songs', async (req, res) => {
+router.get('/:id/songs', validate({
+    summary: 'List the tracks of a playlist in order',
+    params: PLAYLIST_ID_PARAMS,
+    response: {
+        type: 'object',
+        properties: { songs: { type: 'array', items: ref('PlaylistSong') } }
+    },
+    responses: PLAYLIST_NOT_FOUND
+}), async (req, res) => {
     try {
         const userId = req.user.userId;
         const { id } = req.params;
 
-        // Verify playlist belongs to user
-        const { data: playlist } = await supabase
-            .from('playlists')
-            .select('id, user_id')
-            .eq('id', id)
-            .single();
+        // Owner and accepted collaborators can view
+        const { role } = await getPlaylistAccess(id, userId);
 
-        if (!playlist || playlist.user_id !== userId) {
+        if (!role) {
             return res.status(404).json({ error: 'Playlist not found' });
         }
 
-        const { data: songs, error } = await supabase
-            .from('playlist_songs')
-            .select('*')
-            .eq('playlist_id', id)
-            .order('position', { ascending: true })
-            .order('added_at', { ascending: false });
-
-        if (error) {
+        let songs;
+        try {
+            songs = await getRepositories().playlists.listTracks(id);
+        } catch (error) {
             console.error('Error fetching playlist songs:', error);
             return res.status(500).json({ error: 'Failed to fetch playlist songs' });
         }
 
-        const formattedSongs = (songs || []).map(song => ({
-            title: song.song_title,
-            src: song.song_src,
-            img: song.song_img,
-            albumId: song.album_id,
-            albumCover: song.song_img,
-            artist: song.artist,
-            position: song.position,
-            addedAt: song.added_at
-        }));
+        const formattedSongs = songs.map(formatPlaylistSong);
 
         res.json({ songs: formattedSongs });
     } catch (error) {
@@ -260,50 +637,112 @@ router.get('/:id/songs', async (req, res) => {
     }
 });
 
-// Add song(s) to a playlist
-router.post('/:id/songs/add', async (req, res) => {
+// Export a playlist as an M3U8, XSPF or JSON file
+router.get('/:id/export', validate({
+    summary: 'Download a playlist as a file',
+    params: PLAYLIST_ID_PARAMS,
+    query: {
+        type: 'object',
+        properties: {
+            format: { type: 'string', enum: ['m3u', ...Object.keys(PLAYLIST_FORMATS)], default: 'json' }
+        }
+    },
+    responses: {
+        200: {
+            description: 'The playlist file, sent as an attachment',
+            content: Object.fromEntries(Object.values(PLAYLIST_FORMATS).map(({ contentType }) => [
+                contentType.split(';')[0],
+                { schema: { type: 'string', format: 'binary' } }
+            ]))
+        },
+        ...PLAYLIST_NOT_FOUND
+    }
+}), async (req, res) => {
     try {
         const userId = req.user.userId;
         const { id } = req.params;
-        const { songs } = req.body; // Array of songs
+        const format = req.query.format === 'm3u' ? 'm3u8' : (req.query.format || 'json');
 
-        if (!songs || !Array.isArray(songs) || songs.length === 0) {
-            return res.status(400).json({ error: 'Songs array is required' });
+        // Owner and accepted collaborators can export
+        const { playlist, role } = await getPlaylistAccess(id, userId);
+
+        if (!role) {
+            return res.status(404).json({ error: 'Playlist not found' });
         }
 
-        // Verify playlist belongs to user
-        const { data: playlist } = await supabase
-            .from('playlists')
-            .select('id, user_id')
-            .eq('id', id)
-            .single();
+        const repositories = getRepositories();
+        const songs = await repositories.playlists.listTracks(id);
 
-        if (!playlist || playlist.user_id !== userId) {
-            return res.status(404).json({ error: 'Playlist not found' });
+        // Playlist rows only keep title and artist; durations and album titles come from the catalog
+        const sources = [...new Set(songs.map(song => song.song_src).filter(Boolean))];
+        let catalogBySrc = new Map();
+        if (sources.length > 0) {
+            const catalog = await repositories.songs.list({ srcs: sources });
+            catalogBySrc = new Map(catalog.map(song => [song.src, song]));
         }
 
-        // Get current max position
-        const { data: existingSongs } = await supabase
-            .from('playlist_songs')
-            .select('position')
-            .eq('playlist_id', id)
-            .order('position', { ascending: false })
-            .limit(1);
+        const tracks = songs.map(song => {
+            const catalogSong = catalogBySrc.get(song.song_src);
+            return {
+                title: song.song_title,
+                artist: song.artist,
+                album: catalogSong?.albums?.title || null,
+                src: song.song_src,
+                duration: catalogSong?.duration ?? null
+            };
+        });
+
+        const { contentType, extension } = PLAYLIST_FORMATS[format];
+        const fileName = (playlist.name || 'playlist').replace(/[^\w\- ]+/g, '').trim() || 'playlist';
+
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}.${extension}"`);
+        res.send(serializePlaylist(format, playlist, tracks));
+    } catch (error) {
+        console.error('Error in export playlist:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Add song(s) to a playlist
+router.post('/:id/songs/add', validate({
+    summary: 'Add songs to a playlist',
+    description: 'Songs already in the playlist (by title) are skipped.',
+    params: PLAYLIST_ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['songs'],
+        properties: {
+            songs: { type: 'array', items: ref('PlaylistTrackInput'), minItems: 1 }
+        }
+    },
+    response: PLAYLIST_SONGS_RESULT,
+    responses: TRACK_EDIT_RESPONSES
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { id } = req.params;
+        const { songs } = req.body; // Array of songs
+
+        // Owner and editors can change tracks
+        const { playlist, role } = await getPlaylistAccess(id, userId);
 
-        let nextPosition = 1;
-        if (existingSongs && existingSongs.length > 0 && existingSongs[0].position) {
-            nextPosition = existingSongs[0].position + 1;
+        if (!role) {
+            return res.status(404).json({ error: 'Playlist not found' });
         }
 
-        // Check which songs already exist
-        const songTitles = songs.map(s => s.songTitle || s.title);
-        const { data: existingPlaylistSongs } = await supabase
-            .from('playlist_songs')
-            .select('song_title')
-            .eq('playlist_id', id)
-            .in('song_title', songTitles);
+        if (!canEditTracks(role)) {
+            return res.status(403).json({ error: 'You do not have permission to edit this playlist' });
+        }
+
+        const { playlists } = getRepositories();
+        const existingSongs = await playlists.listTracks(id);
+
+        // Append after the current max position
+        const nextPosition = Math.max(0, ...existingSongs.map(s => s.position || 0)) + 1;
 
-        const existingTitles = new Set((existingPlaylistSongs || []).map(s => s.song_title));
+        // Check which songs already exist
+        const existingTitles = new Set(existingSongs.map(s => s.song_title));
 
         // Filter out duplicates and prepare insert data
         const songsToAdd = songs
@@ -318,35 +757,27 @@ router.post('/:id/songs/add', async (req, res) => {
                 song_img: song.songImg || song.img,
                 album_id: song.albumId || song.album_id,
                 artist: song.artist,
-                position: nextPosition + index
+                position: nextPosition + index,
+                added_by: userId
             }));
 
         if (songsToAdd.length === 0) {
             return res.status(400).json({ error: 'All songs are already in the playlist' });
         }
 
-        const { data: insertedSongs, error } = await supabase
-            .from('playlist_songs')
-            .insert(songsToAdd)
-            .select();
-
-        if (error) {
+        let insertedSongs;
+        try {
+            insertedSongs = await playlists.addTracks(songsToAdd);
+        } catch (error) {
             console.error('Error adding songs to playlist:', error);
             return res.status(500).json({ error: 'Failed to add songs to playlist' });
         }
 
+        await publishPlaylistChange(id, 'tracks_changed', { playlist });
+
         res.json({
             message: `Successfully added ${insertedSongs.length} song(s) to playlist`,
-            songs: insertedSongs.map(song => ({
-                title: song.song_title,
-                src: song.song_src,
-                img: song.song_img,
-                albumId: song.album_id,
-                albumCover: song.song_img,
-                artist: song.artist,
-                position: song.position,
-                addedAt: song.added_at
-            }))
+            songs: insertedSongs.map(formatPlaylistSong)
         });
     } catch (error) {
         console.error('Error in add songs to playlist:', error);
@@ -355,38 +786,42 @@ router.post('/:id/songs/add', async (req, res) => {
 });
 
 // Remove song from playlist
-router.delete('/:id/songs/remove', async (req, res) => {
+router.delete('/:id/songs/remove', validate({
+    summary: 'Remove a song from a playlist',
+    params: PLAYLIST_ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['songTitle'],
+        properties: { songTitle: { type: 'string', minLength: 1 } }
+    },
+    response: ref('Message'),
+    responses: TRACK_EDIT_RESPONSES
+}), async (req, res) => {
     try {
         const userId = req.user.userId;
         const { id } = req.params;
         const { songTitle } = req.body;
 
-        if (!songTitle) {
-            return res.status(400).json({ error: 'Song title is required' });
-        }
-
-        // Verify playlist belongs to user
-        const { data: playlist } = await supabase
-            .from('playlists')
-            .select('id, user_id')
-            .eq('id', id)
-            .single();
+        // Owner and editors can change tracks
+        const { playlist, role } = await getPlaylistAccess(id, userId);
 
-        if (!playlist || playlist.user_id !== userId) {
+        if (!role) {
             return res.status(404).json({ error: 'Playlist not found' });
         }
 
-        const { error } = await supabase
-            .from('playlist_songs')
-            .delete()
-            .eq('playlist_id', id)
-            .eq('song_title', songTitle);
+        if (!canEditTracks(role)) {
+            return res.status(403).json({ error: 'You do not have permission to edit this playlist' });
+        }
 
-        if (error) {
+        try {
+            await getRepositories().playlists.removeTracksByTitle(id, [songTitle]);
+        } catch (error) {
             console.error('Error removing song from playlist:', error);
             return res.status(500).json({ error: 'Failed to remove song from playlist' });
         }
 
+        await publishPlaylistChange(id, 'tracks_changed', { playlist });
+
         res.json({ message: 'Song removed from playlist successfully' });
     } catch (error) {
         console.error('Error in remove song from playlist:', error);
@@ -395,38 +830,44 @@ router.delete('/:id/songs/remove', async (req, res) => {
 });
 
 // Remove multiple songs from playlist
-router.delete('/:id/songs/remove-multiple', async (req, res) => {
+router.delete('/:id/songs/remove-multiple', validate({
+    summary: 'Remove several songs from a playlist',
+    params: PLAYLIST_ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['songTitles'],
+        properties: {
+            songTitles: { type: 'array', items: { type: 'string' }, minItems: 1 }
+        }
+    },
+    response: ref('Message'),
+    responses: TRACK_EDIT_RESPONSES
+}), async (req, res) => {
     try {
         const userId = req.user.userId;
         const { id } = req.params;
         const { songTitles } = req.body; // Array of song titles
 
-        if (!songTitles || !Array.isArray(songTitles) || songTitles.length === 0) {
-            return res.status(400).json({ error: 'Song titles array is required' });
-        }
+        // Owner and editors can change tracks
+        const { playlist, role } = await getPlaylistAccess(id, userId);
 
-        // Verify playlist belongs to user
-        const { data: playlist } = await supabase
-            .from('playlists')
-            .select('id, user_id')
-            .eq('id', id)
-            .single();
-
-        if (!playlist || playlist.user_id !== userId) {
+        if (!role) {
             return res.status(404).json({ error: 'Playlist not found' });
         }
 
-        const { error } = await supabase
-            .from('playlist_songs')
-            .delete()
-            .eq('playlist_id', id)
-            .in('song_title', songTitles);
+        if (!canEditTracks(role)) {
+            return res.status(403).json({ error: 'You do not have permission to edit this playlist' });
+        }
 
-        if (error) {
+        try {
+            await getRepositories().playlists.removeTracksByTitle(id, songTitles);
+        } catch (error) {
             console.error('Error removing songs from playlist:', error);
             return res.status(500).json({ error: 'Failed to remove songs from playlist' });
         }
 
+        await publishPlaylistChange(id, 'tracks_changed', { playlist });
+
         res.json({ message: `Successfully removed ${songTitles.length} song(s) from playlist` });
     } catch (error) {
         console.error('Error in remove multiple songs from playlist:', error);
@@ -434,5 +875,489 @@ router.delete('/:id/songs/remove-multiple', async (req, res) => {
     }
 });
 
+// Fetch a playlist's tracks in their current order
+const fetchPlaylistTracks = (playlistId) => getRepositories().playlists.listTracks(playlistId);
+
+// Apply a full ordering in one transaction and renumber positions 1..n
+// Orderings that do not contain exactly the playlist's tracks are rejected,
+// which also catches edits made concurrently from another device
+const applyTrackOrder = async (playlistId, trackIds) => {
+    try {
+        await getRepositories().playlists.reorderTracks(playlistId, trackIds);
+        return null;
+    } catch (error) {
+        return error;
+    }
+};
+
+// Move a single track to a new index (0-based)
+router.put('/:id/songs/move', validate({
+    summary: 'Move one track to a new position',
+    params: PLAYLIST_ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['toIndex'],
+        properties: {
+            trackId: { type: 'string', format: 'uuid' },
+            songTitle: { type: 'string', description: 'Used when trackId is left out' },
+            toIndex: { type: 'integer', minimum: 0, description: '0-based position' }
+        },
+        anyOf: [{ required: ['trackId'] }, { required: ['songTitle'] }],
+        'x-anyOfMessage': 'Track ID or song title is required'
+    },
+    response: PLAYLIST_SONGS_RESULT,
+    responses: {
+        ...TRACK_EDIT_RESPONSES,
+        409: { description: 'The playlist changed concurrently (PLAYLIST_CHANGED)' }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { id } = req.params;
+        const { trackId, songTitle, toIndex } = req.body;
+
+        // Owner and editors can change tracks
+        const { playlist, role } = await getPlaylistAccess(id, userId);
+
+        if (!role) {
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
+
+        if (!canEditTracks(role)) {
+            return res.status(403).json({ error: 'You do not have permission to edit this playlist' });
+        }
+
+        const tracks = await fetchPlaylistTracks(id);
+        const fromIndex = tracks.findIndex(track => (trackId ? track.id === trackId : track.song_title === songTitle));
+
+        if (fromIndex === -1) {
+            return res.status(404).json({ error: 'Song not found in playlist' });
+        }
+
+        if (toIndex >= tracks.length) {
+            return res.status(400).json({ error: `toIndex must be less than ${tracks.length}` });
+        }
+
+        const [moved] = tracks.splice(fromIndex, 1);
+        tracks.splice(toIndex, 0, moved);
+
+        const error = await applyTrackOrder(id, tracks.map(track => track.id));
+        if (error) {
+            if (error instanceof TrackSetMismatchError) {
+                return res.status(409).json({ error: 'Playlist changed while reordering. Please reload and try again', code: 'PLAYLIST_CHANGED' });
+            }
+            console.error('Error moving playlist song:', error);
+            return res.status(500).json({ error: 'Failed to move song' });
+        }
+
+        const songs = await fetchPlaylistTracks(id);
+        await publishPlaylistChange(id, 'tracks_changed', { playlist });
+
+        res.json({ message: 'Song moved successfully', songs: songs.map(formatPlaylistSong) });
+    } catch (error) {
+        console.error('Error in move playlist song:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Replace the whole track order (e.g. after a drag-and-drop editing session)
+router.put('/:id/songs/reorder', validate({
+    summary: 'Replace the whole track order',
+    params: PLAYLIST_ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['trackIds'],
+        properties: {
+            trackIds: {
+                type: 'array',
+                items: { type: 'string', format: 'uuid' },
+                minItems: 1,
+                description: 'Every track id in the playlist, in the new order'
+            }
+        }
+    },
+    response: PLAYLIST_SONGS_RESULT,
+    responses: {
+        ...TRACK_EDIT_RESPONSES,
+        409: { description: 'trackIds does not list every track exactly once (TRACK_SET_MISMATCH)' }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { id } = req.params;
+        const { trackIds } = req.body; // Every track id in the playlist, in the new order
+
+        if (new Set(trackIds).size !== trackIds.length) {
+            return res.status(400).json({ error: 'Track IDs must not contain duplicates' });
+        }
+
+        // Owner and editors can change tracks
+        const { playlist, role } = await getPlaylistAccess(id, userId);
+
+        if (!role) {
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
+
+        if (!canEditTracks(role)) {
+            return res.status(403).json({ error: 'You do not have permission to edit this playlist' });
+        }
+
+        const error = await applyTrackOrder(id, trackIds);
+        if (error) {
+            if (error instanceof TrackSetMismatchError) {
+                return res.status(409).json({ error: 'Track IDs must list every song in the playlist exactly once', code: 'TRACK_SET_MISMATCH' });
+            }
+            console.error('Error reordering playlist:', error);
+            return res.status(500).json({ error: 'Failed to reorder playlist' });
+        }
+
+        const songs = await fetchPlaylistTracks(id);
+        await publishPlaylistChange(id, 'tracks_changed', { playlist });
+
+        res.json({ message: 'Playlist reordered successfully', songs: songs.map(formatPlaylistSong) });
+    } catch (error) {
+        console.error('Error in reorder playlist:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+const formatCollaborator = (collaborator) => ({
+    userId: collaborator.user_id,
+    username: collaborator.member?.username,
+    profilePicture: collaborator.member?.profile_picture,
+    role: collaborator.role,
+    status: collaborator.status,
+    invitedBy: collaborator.inviter?.username,
+    invitedAt: collaborator.created_at,
+    respondedAt: collaborator.responded_at
+});
+
+const COLLABORATOR_PARAMS = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', format: 'uuid' },
+        userId: { type: 'string', format: 'uuid' }
+    }
+};
+
+const COLLABORATOR_RESULT = {
+    type: 'object',
+    properties: {
+        message: { type: 'string' },
+        collaborator: ref('Collaborator')
+    }
+};
+
+// Get pending playlist invitations for the current user
+router.get('/invitations', validate({
+    summary: 'List pending playlist invitations for the current user',
+    response: {
+        type: 'object',
+        properties: { invitations: { type: 'array', items: ref('Invitation') } }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+
+        let invitations;
+        try {
+            invitations = await getRepositories().playlists.listCollaborations(userId, { status: 'pending' });
+        } catch (error) {
+            console.error('Error fetching invitations:', error);
+            return res.status(500).json({ error: 'Failed to fetch invitations' });
+        }
+
+        res.json({
+            invitations: invitations.map(invitation => ({
+                playlistId: invitation.playlist_id,
+                playlistName: invitation.playlists?.name,
+                description: invitation.playlists?.description,
+                coverImage: invitation.playlists?.cover_image,
+                role: invitation.role,
+                invitedBy: invitation.inviter?.username,
+                invitedAt: invitation.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('Error in get invitations:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Accept a playlist invitation
+router.post('/invitations/:id/accept', validate({
+    summary: 'Accept a playlist invitation',
+    description: 'The id is the playlist id.',
+    params: PLAYLIST_ID_PARAMS,
+    response: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            role: { type: 'string', enum: COLLABORATOR_ROLES }
+        }
+    },
+    responses: { 404: { description: 'Invitation not found' } }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { id } = req.params;
+
+        let accepted;
+        try {
+            accepted = await getRepositories().playlists.updateCollaborator(
+                id,
+                userId,
+                { status: 'accepted', responded_at: new Date().toISOString() },
+                { status: 'pending' }
+            );
+        } catch (error) {
+            console.error('Error accepting invitation:', error);
+            return res.status(500).json({ error: 'Failed to accept invitation' });
+        }
+
+        if (!accepted) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        await publishPlaylistChange(id, 'collaborators_changed');
+
+        res.json({ message: 'Invitation accepted', role: accepted.role });
+    } catch (error) {
+        console.error('Error in accept invitation:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Decline a playlist invitation
+router.post('/invitations/:id/decline', validate({
+    summary: 'Decline a playlist invitation',
+    description: 'The id is the playlist id.',
+    params: PLAYLIST_ID_PARAMS,
+    response: ref('Message'),
+    responses: { 404: { description: 'Invitation not found' } }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { id } = req.params;
+
+        let declined;
+        try {
+            declined = await getRepositories().playlists.removeCollaborator(id, userId, { status: 'pending' });
+        } catch (error) {
+            console.error('Error declining invitation:', error);
+            return res.status(500).json({ error: 'Failed to decline invitation' });
+        }
+
+        if (!declined) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        res.json({ message: 'Invitation declined' });
+    } catch (error) {
+        console.error('Error in decline invitation:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// List a playlist's collaborators (visible to the owner and collaborators)
+router.get('/:id/collaborators', validate({
+    summary: 'List a playlist\'s collaborators',
+    description: 'Pending invitations are only shown to the owner.',
+    params: PLAYLIST_ID_PARAMS,
+    response: {
+        type: 'object',
+        properties: { collaborators: { type: 'array', items: ref('Collaborator') } }
+    },
+    responses: PLAYLIST_NOT_FOUND
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { id } = req.params;
+
+        const { role } = await getPlaylistAccess(id, userId);
+        if (!role) {
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
+
+        // Only the owner sees invitations that have not been accepted yet
+        let collaborators;
+        try {
+            collaborators = await getRepositories().playlists.listCollaborators(id, {
+                status: role === 'owner' ? null : 'accepted'
+            });
+        } catch (error) {
+            console.error('Error fetching collaborators:', error);
+            return res.status(500).json({ error: 'Failed to fetch collaborators' });
+        }
+
+        res.json({ collaborators: collaborators.map(formatCollaborator) });
+    } catch (error) {
+        console.error('Error in get collaborators:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Invite a user to collaborate on a playlist (owner only)
+router.post('/:id/collaborators', validate({
+    summary: 'Invite a user to collaborate (owner only)',
+    params: PLAYLIST_ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['username'],
+        properties: {
+            username: { type: 'string', minLength: 1 },
+            role: { type: 'string', enum: COLLABORATOR_ROLES, default: 'editor' }
+        }
+    },
+    response: COLLABORATOR_RESULT,
+    responses: {
+        403: { description: 'Only the owner can invite' },
+        404: { description: 'Playlist or user not found' }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { id } = req.params;
+        const { username, role = 'editor' } = req.body;
+
+        const { role: access } = await getPlaylistAccess(id, userId);
+        if (!access) {
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
+        if (access !== 'owner') {
+            return res.status(403).json({ error: 'Only the playlist owner can invite collaborators' });
+        }
+
+        const { users, playlists } = getRepositories();
+
+        const invitee = await users.findByUsername(username);
+
+        if (!invitee) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (invitee.id === userId) {
+            return res.status(400).json({ error: 'You already own this playlist' });
+        }
+
+        // (playlist, user) is unique, so an earlier invitation, pending or accepted, is a conflict
+        let collaborator;
+        try {
+            collaborator = await playlists.addCollaborator({
+                playlist_id: id,
+                user_id: invitee.id,
+                role,
+                status: 'pending',
+                invited_by: userId
+            });
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                return res.status(400).json({ error: `${username} has already been invited to this playlist` });
+            }
+            console.error('Error inviting collaborator:', error);
+            return res.status(500).json({ error: 'Failed to invite collaborator' });
+        }
+
+        await dispatchNotification(NOTIFICATION_TYPES.PLAYLIST_INVITE, { actorId: userId, recipientId: invitee.id, playlistId: id });
+
+        res.json({ message: `Invitation sent to ${username}`, collaborator: formatCollaborator(collaborator) });
+    } catch (error) {
+        console.error('Error in invite collaborator:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Change a collaborator's role (owner only)
+router.put('/:id/collaborators/:userId', validate({
+    summary: 'Change a collaborator\'s role (owner only)',
+    params: COLLABORATOR_PARAMS,
+    body: {
+        type: 'object',
+        required: ['role'],
+        properties: {
+            role: { type: 'string', enum: COLLABORATOR_ROLES }
+        }
+    },
+    response: COLLABORATOR_RESULT,
+    responses: {
+        403: { description: 'Only the owner can change roles' },
+        404: { description: 'Playlist or collaborator not found' }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { id, userId: collaboratorId } = req.params;
+        const { role } = req.body;
+
+        const { role: access } = await getPlaylistAccess(id, userId);
+        if (!access) {
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
+        if (access !== 'owner') {
+            return res.status(403).json({ error: 'Only the playlist owner can change roles' });
+        }
+
+        let collaborator;
+        try {
+            collaborator = await getRepositories().playlists.updateCollaborator(id, collaboratorId, { role });
+        } catch (error) {
+            console.error('Error updating collaborator:', error);
+            return res.status(500).json({ error: 'Failed to update collaborator' });
+        }
+
+        if (!collaborator) {
+            return res.status(404).json({ error: 'Collaborator not found' });
+        }
+
+        await publishPlaylistChange(id, 'collaborators_changed');
+
+        res.json({ message: 'Collaborator updated successfully', collaborator: formatCollaborator(collaborator) });
+    } catch (error) {
+        console.error('Error in update collaborator:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// Revoke an invitation or remove a collaborator (owner), or leave a playlist (collaborator)
+router.delete('/:id/collaborators/:userId', validate({
+    summary: 'Remove a collaborator, or leave a playlist',
+    description: 'The owner can remove anyone; a collaborator can only remove themselves.',
+    params: COLLABORATOR_PARAMS,
+    response: ref('Message'),
+    responses: { 404: { description: 'Playlist or collaborator not found' } }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const { id, userId: collaboratorId } = req.params;
+
+        const { playlist } = await getPlaylistAccess(id, userId);
+        const isOwner = playlist?.user_id === userId;
+
+        if (!playlist || (!isOwner && collaboratorId !== userId)) {
+            return res.status(404).json({ error: 'Playlist not found' });
+        }
+
+        let removed;
+        try {
+            removed = await getRepositories().playlists.removeCollaborator(id, collaboratorId);
+        } catch (error) {
+            console.error('Error removing collaborator:', error);
+            return res.status(500).json({ error: 'Failed to remove collaborator' });
+        }
+
+        if (!removed) {
+            return res.status(404).json({ error: 'Collaborator not found' });
+        }
+
+        // The removed collaborator loses the playlist from their list
+        await publishPlaylistChange(id, 'collaborators_changed', { playlist, also: [collaboratorId] });
+
+        res.json({ message: isOwner ? 'Collaborator removed successfully' : 'You have left the playlist' });
+    } catch (error) {
+        console.error('Error in remove collaborator:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 export default router;
 
@@ -1,25 +1,24 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { authenticateToken } from '../middleware/auth.js';
-import { supabase } from '../config/supabase.js';
+import { getRepositories } from '../repositories/index.js';
+import { getContainerName } from '../config/azureStorage.js';
+import { getStorage, buildUploadKey, deleteStoredFile } from '../storage/index.js';
+import { MIN_PASSWORD_LENGTH, verifyPassword } from '../services/passwordService.js';
+import { revokeAllSessions } from '../services/tokenService.js';
+import { invalidatePrincipal } from '../services/principalCache.js';
+import { getSigninLockout, recordSigninFailure, clearSigninFailures } from '../middleware/rateLimit.js';
+import { parsePagination, buildPagination } from '../utils/pagination.js';
+import { formatPlaylist } from '../utils/playlists.js';
+import { parseJsonColumn, isPrivateProfile, buildRelationship } from '../utils/profiles.js';
+import { validate } from '../middleware/validate.js';
+import { ref, paginationQuery } from '../schemas/components.js';
 
 const router = express.Router();
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        cb(null, path.join(__dirname, '../uploads/profile-pictures/'));
-    },
-    filename: (req, file, cb) => {
-        const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-        cb(null, req.params.username + '-' + uniqueSuffix + path.extname(file.originalname));
-    }
-});
+// Uploads are kept in memory and handed to the media storage layer
+const storage = multer.memoryStorage();
 
 const upload = multer({
     storage: storage,
@@ -37,54 +36,61 @@ const upload = multer({
 });
 
 // Get user profile
-router.get('/profile/:username', authenticateToken, async (req, res) => {
+router.get('/profile/:username', authenticateToken, validate({
+    summary: 'Get a user\'s profile and stats',
+    description: 'When a private profile is viewed by someone else, email, bio, location, socialLinks, preferences ' +
+        'and the follower and following counts are null. relationship is left out of your own profile.',
+    response: ref('Profile'),
+    responses: { 404: { description: 'User not found' } }
+}), async (req, res) => {
     try {
         const { username } = req.params;
 
+        const { users, auth, favorites, playlists, follows } = getRepositories();
+
         // Get user profile
-        const { data: profile, error: profileError } = await supabase
-            .from('user_profiles')
-            .select('*')
-            .eq('username', username)
-            .single();
+        const profile = await users.findByUsername(username);
 
-        if (profileError || !profile) {
+        if (!profile) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Get user email from auth.users
-        const { data: authUser } = await supabase.auth.admin.getUserById(profile.id);
-
-        // Get user stats
-        const [favoritesCount, playlistsCount] = await Promise.all([
-            supabase
-                .from('favorites')
-                .select('*', { count: 'exact', head: true })
-                .eq('user_id', profile.id),
-            supabase
-                .from('playlists')
-                .select('*', { count: 'exact', head: true })
-                .eq('user_id', profile.id)
+        const viewerId = req.user.userId;
+        const isOwner = profile.id === viewerId;
+        // A private profile shows others only its name, picture and activity counts
+        const showDetails = isOwner || !isPrivateProfile(profile);
+
+        // Get the email from auth.users and the stats in one round of count queries,
+        // however many playlists, favorites or followers the user has
+        const [authUser, favoritesCount, playlistsCount, followersCount, followingCount, following, followedBy] = await Promise.all([
+            showDetails ? auth.getUserById(profile.id) : null,
+            favorites.countByUser(profile.id),
+            playlists.countByOwner(profile.id),
+            showDetails ? follows.countFollowers(profile.id) : null,
+            showDetails ? follows.countFollowing(profile.id) : null,
+            isOwner ? null : follows.find(viewerId, profile.id),
+            isOwner ? null : follows.find(profile.id, viewerId)
         ]);
 
         res.json({
             id: profile.id,
             username: profile.username,
-            email: authUser?.user?.email || '',
-            bio: profile.bio,
-            location: profile.location,
+            email: showDetails ? authUser?.email || '' : null,
+            bio: showDetails ? profile.bio : null,
+            location: showDetails ? profile.location : null,
             profilePicture: profile.profile_picture,
-            socialLinks: profile.social_links,
-            preferences: profile.preferences,
+            socialLinks: showDetails ? profile.social_links : null,
+            preferences: showDetails ? profile.preferences : null,
             stats: {
-                playlists: playlistsCount.count || 0,
-                favorites: favoritesCount.count || 0,
+                playlists: playlistsCount,
+                favorites: favoritesCount,
                 hoursPlayed: 0,
                 minutesPlayed: 0,
-                followers: 0,
-                following: 0,
+                followers: followersCount,
+                following: followingCount,
                 totalPlays: 0
             },
+            ...(isOwner ? {} : { relationship: buildRelationship(!!following, !!followedBy) }),
             topArtists: [],
             topGenres: [],
             recentlyPlayed: []
@@ -95,21 +101,95 @@ router.get('/profile/:username', authenticateToken, async (req, res) => {
     }
 });
 
+// Get a user's playlists: everything for the owner, public playlists for everyone else
+router.get('/profile/:username/playlists', authenticateToken, validate({
+    summary: 'List a user\'s playlists',
+    description: 'The owner sees all of their playlists; everyone else only sees public ones.',
+    query: { type: 'object', properties: paginationQuery() },
+    response: {
+        type: 'object',
+        properties: {
+            playlists: { type: 'array', items: ref('Playlist') },
+            pagination: ref('Pagination')
+        }
+    },
+    responses: { 404: { description: 'User not found' } }
+}), async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { limit, offset } = parsePagination(req.query);
+
+        const { users, playlists } = getRepositories();
+
+        const profile = await users.findByUsername(username);
+
+        if (!profile) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const isOwner = profile.id === req.user.userId;
+
+        let page;
+        try {
+            page = await playlists.pageByOwner(profile.id, {
+                visibility: isOwner ? null : 'public',
+                limit,
+                offset
+            });
+        } catch (error) {
+            console.error('Error fetching profile playlists:', error);
+            return res.status(500).json({ error: 'Failed to fetch playlists' });
+        }
+
+        res.json({
+            playlists: page.playlists.map(playlist => formatPlaylist(playlist, {
+                songCount: playlist.track_count
+            })),
+            pagination: buildPagination(limit, offset, page.total)
+        });
+    } catch (error) {
+        console.error('Error fetching profile playlists:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 // Update user profile
-router.put('/update/:username', authenticateToken, async (req, res) => {
+router.put('/update/:username', authenticateToken, validate({
+    summary: 'Update the current user\'s profile',
+    description: 'Only the fields sent are changed. Preferences are merged into the saved ones; socialLinks replaces the saved links. ' +
+        'Changing the password needs currentPassword and signs out other devices.',
+    body: {
+        type: 'object',
+        properties: {
+            username: { type: 'string', maxLength: 50 },
+            email: { type: 'string', format: 'email' },
+            bio: { type: 'string', maxLength: 500 },
+            location: { type: 'string', maxLength: 100 },
+            socialLinks: ref('SocialLinks'),
+            preferences: ref('Preferences'),
+            currentPassword: { type: 'string' },
+            newPassword: { type: 'string', minLength: MIN_PASSWORD_LENGTH }
+        }
+    },
+    response: ref('Profile'),
+    responses: {
+        401: { description: 'Current password is incorrect' },
+        403: { description: 'The profile belongs to someone else' },
+        404: { description: 'Profile not found' },
+        429: { description: 'Too many wrong current passwords; the account is locked for a while (ACCOUNT_LOCKED)' }
+    }
+}), async (req, res) => {
     try {
         const { username } = req.params;
         const userId = req.user.userId;
         const updates = req.body;
 
+        const { users, auth } = getRepositories();
+
         // Verify user owns this profile and get current profile data
-        const { data: profile, error: profileFetchError } = await supabase
-            .from('user_profiles')
-            .select('*')
-            .eq('username', username)
-            .single();
+        const profile = await users.findByUsername(username);
 
-        if (profileFetchError || !profile) {
+        if (!profile) {
             return res.status(404).json({ error: 'Profile not found' });
         }
 
@@ -124,20 +204,40 @@ router.put('/update/:username', authenticateToken, async (req, res) => {
             }
 
             // Get auth user to verify current password
-            const { data: authUser } = await supabase.auth.admin.getUserById(userId);
+            const authUser = await auth.getUserById(userId);
             if (!authUser) {
                 return res.status(404).json({ error: 'User not found' });
             }
 
-            // Update password using Supabase Auth
-            const { error: passwordError } = await supabase.auth.admin.updateUserById(userId, {
-                password: updates.newPassword
-            });
+            // Wrong current passwords count toward the same lockout as failed sign-ins,
+            // so a stolen access token can't be used to guess the password
+            const lockedFor = await getSigninLockout(authUser.email, req.ip);
+            if (lockedFor) {
+                res.set('Retry-After', String(lockedFor));
+                return res.status(429).json({
+                    error: 'Too many failed password attempts. Please try again later.',
+                    code: 'ACCOUNT_LOCKED',
+                    retryAfter: lockedFor
+                });
+            }
+
+            const passwordMatches = await verifyPassword(authUser.email, updates.currentPassword);
+            if (!passwordMatches) {
+                await recordSigninFailure(authUser.email, req.ip);
+                return res.status(401).json({ error: 'Current password is incorrect' });
+            }
+            await clearSigninFailures(authUser.email, req.ip);
 
-            if (passwordError) {
+            // Update password using Supabase Auth
+            try {
+                await auth.updateUser(userId, { password: updates.newPassword });
+            } catch (passwordError) {
                 return res.status(400).json({ error: 'Failed to update password' });
             }
 
+            // Log out other devices; this one keeps its session
+            await revokeAllSessions(userId, { exceptSessionId: req.user.sessionId });
+
             delete updates.newPassword;
             delete updates.currentPassword;
         }
@@ -148,44 +248,39 @@ router.put('/update/:username', authenticateToken, async (req, res) => {
         if (updates.bio) updateData.bio = updates.bio;
         if (updates.location) updateData.location = updates.location;
         if (updates.socialLinks) updateData.social_links = updates.socialLinks;
-        if (updates.preferences) updateData.preferences = updates.preferences;
+        if (updates.preferences) {
+            updateData.preferences = { ...parseJsonColumn(profile.preferences), ...updates.preferences };
+        }
 
         // Update email in auth.users if provided
         if (updates.email) {
-            const { error: emailError } = await supabase.auth.admin.updateUserById(userId, {
-                email: updates.email
-            });
-            if (emailError) {
+            try {
+                await auth.updateUser(userId, { email: updates.email });
+            } catch (emailError) {
                 return res.status(400).json({ error: 'Failed to update email' });
             }
+            invalidatePrincipal(userId);
         }
 
         // Update user profile (only if there are fields to update)
         let updatedProfile = profile; // Default to current profile
         if (Object.keys(updateData).length > 0) {
-            const { data: profileData, error: profileError } = await supabase
-                .from('user_profiles')
-                .update(updateData)
-                .eq('id', userId)
-                .select()
-                .single();
-
-            if (profileError) {
+            try {
+                updatedProfile = await users.update(userId, updateData);
+            } catch (profileError) {
                 console.error('Error updating profile:', profileError);
                 return res.status(500).json({ error: 'Failed to update profile' });
             }
-
-            if (profileData) {
-                updatedProfile = profileData;
-            }
+            // A new username must show up in req.user right away
+            invalidatePrincipal(userId);
         }
 
         // Get updated email from auth (with error handling)
         let email = updates.email || '';
         try {
-            const { data: authUser, error: authError } = await supabase.auth.admin.getUserById(userId);
-            if (!authError && authUser?.user?.email) {
-                email = authUser.user.email;
+            const authUser = await auth.getUserById(userId);
+            if (authUser?.email) {
+                email = authUser.email;
             }
         } catch (authErr) {
             console.error('Error fetching auth user for email:', authErr);
@@ -193,33 +288,6 @@ router.put('/update/:username', authenticateToken, async (req, res) => {
         }
 
         // Return updated profile data
-        // Handle social_links and preferences which might be JSON strings
-        let socialLinks = {};
-        if (updatedProfile.social_links) {
-            if (typeof updatedProfile.social_links === 'string') {
-                try {
-                    socialLinks = JSON.parse(updatedProfile.social_links);
-                } catch (e) {
-                    socialLinks = {};
-                }
-            } else {
-                socialLinks = updatedProfile.social_links;
-            }
-        }
-
-        let preferences = {};
-        if (updatedProfile.preferences) {
-            if (typeof updatedProfile.preferences === 'string') {
-                try {
-                    preferences = JSON.parse(updatedProfile.preferences);
-                } catch (e) {
-                    preferences = {};
-                }
-            } else {
-                preferences = updatedProfile.preferences;
-            }
-        }
-
         res.json({
             id: updatedProfile.id,
             username: updatedProfile.username,
@@ -227,8 +295,8 @@ router.put('/update/:username', authenticateToken, async (req, res) => {
             bio: updatedProfile.bio || null,
             location: updatedProfile.location || null,
             profilePicture: updatedProfile.profile_picture || null,
-            socialLinks: socialLinks,
-            preferences: preferences
+            socialLinks: parseJsonColumn(updatedProfile.social_links),
+            preferences: parseJsonColumn(updatedProfile.preferences)
         });
     } catch (error) {
         console.error('Error updating profile:', error);
@@ -237,43 +305,52 @@ router.put('/update/:username', authenticateToken, async (req, res) => {
 });
 
 // Upload profile picture
-router.post('/profile-picture/:username', authenticateToken, upload.single('profilePicture'), async (req, res) => {
+router.post('/profile-picture/:username', authenticateToken, upload.single('profilePicture'), validate({
+    summary: 'Upload a profile picture',
+    description: 'JPEG, PNG or GIF up to 5MB, replacing the previous picture.',
+    bodyType: 'multipart/form-data',
+    body: {
+        type: 'object',
+        required: ['profilePicture'],
+        properties: {
+            profilePicture: { type: 'string', format: 'binary' }
+        }
+    },
+    response: {
+        type: 'object',
+        properties: { profilePicture: { type: 'string' } }
+    },
+    responses: { 403: { description: 'The profile belongs to someone else' } }
+}), async (req, res) => {
     try {
         const { username } = req.params;
         const userId = req.user.userId;
 
-        if (!req.file) {
-            return res.status(400).json({ error: 'No file uploaded' });
-        }
-
         // Verify user owns this profile
-        const { data: profile } = await supabase
-            .from('user_profiles')
-            .select('id')
-            .eq('username', username)
-            .single();
+        const { users } = getRepositories();
+        const profile = await users.findByUsername(username);
 
         if (!profile || profile.id !== userId) {
             return res.status(403).json({ error: 'Unauthorized' });
         }
 
-        // In production, you would upload to Supabase Storage or another cloud service
-        // For now, we'll store the relative path
-        const profilePicturePath = `/uploads/profile-pictures/${req.file.filename}`;
+        const key = buildUploadKey(getContainerName('profile'), username, req.file.originalname);
+        const profilePicturePath = await getStorage().put(key, req.file.buffer, req.file.mimetype);
 
         // Update user profile picture
-        const { data: updatedProfile, error } = await supabase
-            .from('user_profiles')
-            .update({ profile_picture: profilePicturePath })
-            .eq('id', userId)
-            .select()
-            .single();
-
-        if (error) {
+        let updatedProfile;
+        try {
+            updatedProfile = await users.update(userId, { profile_picture: profilePicturePath });
+        } catch (error) {
             console.error('Error updating profile picture:', error);
+            await deleteStoredFile(profilePicturePath);
             return res.status(500).json({ error: 'Failed to update profile picture' });
         }
 
+        if (profile.profile_picture) {
+            await deleteStoredFile(profile.profile_picture);
+        }
+
         res.json({ profilePicture: updatedProfile.profile_picture });
     } catch (error) {
         console.error('Error uploading profile picture:', error);
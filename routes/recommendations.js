@@ -0,0 +1,178 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { getRepositories } from '../repositories/index.js';
+import { dedupeSongs } from '../utils/catalog.js';
+import { parsePagination } from '../utils/pagination.js';
+import { createSongResolver, recommend } from '../utils/recommendations.js';
+import { validate } from '../middleware/validate.js';
+import { ref } from '../schemas/components.js';
+
+const router = express.Router();
+
+// All recommendation routes require authentication
+router.use(authenticateToken);
+
+const RECOMMENDATION_TYPES = ['songs', 'albums'];
+
+// Bound how much history and community data is scored per request
+const MAX_HISTORY_ROWS = 500;
+const MAX_COMMUNITY_PLAYLISTS = 500;
+const MAX_COMMUNITY_FAVORITES = 5000;
+
+// Flatten albums with nested songs into songs carrying their album fields
+const flattenCatalog = (albums) => (albums || []).flatMap(album =>
+    dedupeSongs(album.songs).map(song => ({
+        id: song.id,
+        title: song.title,
+        src: song.src,
+        img: song.img || album.img,
+        duration: song.duration,
+        album_id: album.id,
+        albumTitle: album.title,
+        artist: album.artist,
+        genre: album.genre,
+        category: album.category,
+        playCount: album.play_count || 0
+    }))
+);
+
+const formatSongRecommendation = ({ song, score, reasons }) => ({
+    id: song.id,
+    title: song.title,
+    src: song.src,
+    img: song.img,
+    duration: song.duration,
+    albumId: song.album_id,
+    albumTitle: song.albumTitle,
+    artist: song.artist,
+    score,
+    reasons
+});
+
+const formatAlbumRecommendation = (albumsById) => ({ song, score, reasons }) => {
+    const album = albumsById.get(song.album_id);
+    return {
+        id: album.id,
+        title: album.title,
+        artist: album.artist,
+        img: album.img,
+        category: album.category,
+        genre: album.genre,
+        score,
+        reasons
+    };
+};
+
+const scoredWithReasons = (schema) => ({
+    allOf: [schema, {
+        type: 'object',
+        properties: {
+            score: { type: 'number' },
+            reasons: { type: 'array', items: ref('RecommendationReason') }
+        }
+    }]
+});
+
+// Get personalized song and album recommendations
+router.get('/', validate({
+    summary: 'Personalized song and album recommendations',
+    description: 'Scored from the user\'s favorites, playlists and listening history; falls back to popular music for new users.',
+    query: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['all', ...RECOMMENDATION_TYPES], default: 'all' },
+            limit: { type: 'integer', description: 'Results per type (default 10, capped at 50)' }
+        }
+    },
+    response: {
+        type: 'object',
+        properties: {
+            basedOn: {
+                type: 'object',
+                properties: {
+                    favorites: { type: 'integer' },
+                    playlistTracks: { type: 'integer' },
+                    plays: { type: 'integer' }
+                }
+            },
+            songs: { type: 'array', items: scoredWithReasons(ref('CatalogSong')) },
+            albums: { type: 'array', items: scoredWithReasons(ref('Album')) }
+        }
+    }
+}), async (req, res) => {
+    try {
+        const userId = req.user.userId;
+        const type = req.query.type || 'all';
+
+        const { limit } = parsePagination(req.query, { defaultLimit: 10, maxLimit: 50 });
+
+        const { albums, favorites, playlists, history } = getRepositories();
+
+        let catalog, userFavorites, userPlaylists, plays, communityPlaylists, communityFavorites;
+        try {
+            [catalog, userFavorites, userPlaylists, { entries: plays }, communityPlaylists, communityFavorites] = await Promise.all([
+                albums.list(),
+                favorites.listByUser(userId),
+                playlists.listByOwner(userId, { withTracks: true }),
+                history.listByUser(userId, { limit: MAX_HISTORY_ROWS }),
+                playlists.listRecent({ excludeUserId: userId, limit: MAX_COMMUNITY_PLAYLISTS, withTracks: true }),
+                favorites.listRecent({ excludeUserId: userId, limit: MAX_COMMUNITY_FAVORITES })
+            ]);
+        } catch (error) {
+            console.error('Error fetching data for recommendations:', error);
+            return res.status(500).json({ error: 'Failed to fetch recommendations' });
+        }
+
+        const albumsById = new Map(catalog.map(album => [album.id, album]));
+        const songs = flattenCatalog(catalog);
+        const resolveSong = createSongResolver(songs);
+
+        // Playlist and history rows store song details rather than IDs, so map them back to the catalog
+        const resolveId = (row) => resolveSong({ src: row.song_src, title: row.song_title, albumId: row.album_id })?.id;
+
+        const interactions = [
+            ...userFavorites.map(fav => ({ songId: fav.song_id, kind: 'favorite', at: fav.added_at })),
+            ...userPlaylists.flatMap(playlist => playlist.tracks.map(track => ({
+                songId: resolveId(track),
+                kind: 'playlist',
+                at: track.added_at
+            }))),
+            ...plays.map(entry => ({ songId: resolveId(entry), kind: 'play', at: entry.played_at }))
+        ].filter(interaction => interaction.songId);
+
+        const favoritesByUser = new Map();
+        for (const fav of communityFavorites) {
+            if (!favoritesByUser.has(fav.user_id)) favoritesByUser.set(fav.user_id, []);
+            favoritesByUser.get(fav.user_id).push(fav.song_id);
+        }
+
+        const baskets = [
+            ...communityPlaylists.map(playlist =>
+                playlist.tracks.map(resolveId).filter(Boolean)),
+            ...favoritesByUser.values()
+        ];
+
+        const results = recommend({ songs, interactions, baskets });
+
+        const response = {
+            basedOn: {
+                favorites: interactions.filter(i => i.kind === 'favorite').length,
+                playlistTracks: interactions.filter(i => i.kind === 'playlist').length,
+                plays: interactions.filter(i => i.kind === 'play').length
+            }
+        };
+        if (type === 'all' || type === 'songs') {
+            response.songs = results.songs.slice(0, limit).map(formatSongRecommendation);
+        }
+        if (type === 'all' || type === 'albums') {
+            response.albums = results.albums.slice(0, limit).map(formatAlbumRecommendation(albumsById));
+        }
+
+        res.json(response);
+    } catch (error) {
+        console.error('Error in get recommendations:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
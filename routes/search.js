@@ -0,0 +1,186 @@
+import express from 'express';
+import { getRepositories } from '../repositories/index.js';
+import { parsePagination, buildPagination } from '../utils/pagination.js';
+import { normalizeText, scoreFields } from '../utils/fuzzySearch.js';
+import { dedupeSongs } from '../utils/catalog.js';
+import { validate } from '../middleware/validate.js';
+import { ref, paginationQuery } from '../schemas/components.js';
+import { getCachedCatalog } from '../services/catalogCache.js';
+
+const router = express.Router();
+
+const SEARCH_TYPES = ['albums', 'songs', 'artists'];
+const MIN_SCORE = 0.3;
+const MAX_QUERY_LENGTH = 100;
+
+// Sort by score, then alphabetically so ties are stable between pages
+const byScore = (nameKey) => (a, b) =>
+    b.score - a.score || a.item[nameKey].localeCompare(b.item[nameKey]);
+
+const paginate = (results, limit, offset) => ({
+    items: results.slice(offset, offset + limit).map(({ item, score }) => ({
+        ...item,
+        score: Math.round(score * 1000) / 1000
+    })),
+    pagination: buildPagination(limit, offset, results.length)
+});
+
+const resultPage = (item) => ({
+    type: 'object',
+    properties: {
+        items: { type: 'array', items: item },
+        pagination: ref('Pagination')
+    }
+});
+
+const scored = (schema) => ({ allOf: [schema, { type: 'object', properties: { score: { type: 'number' } } }] });
+
+// Search albums, songs and artists
+router.get('/', validate({
+    summary: 'Fuzzy search across albums, songs and artists',
+    description: 'Each result group is paginated on its own with the same limit and offset.',
+    query: {
+        type: 'object',
+        required: ['q'],
+        properties: {
+            q: { type: 'string', minLength: 1, description: `Search text (only the first ${MAX_QUERY_LENGTH} characters are used)` },
+            type: { type: 'string', enum: ['all', ...SEARCH_TYPES], default: 'all' },
+            ...paginationQuery({ defaultLimit: 10, maxLimit: 50 })
+        }
+    },
+    response: {
+        type: 'object',
+        properties: {
+            query: { type: 'string' },
+            albums: resultPage(scored(ref('Album'))),
+            songs: resultPage(scored(ref('CatalogSong'))),
+            artists: resultPage({
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    img: { type: 'string', nullable: true },
+                    albumCount: { type: 'integer' },
+                    songCount: { type: 'integer' },
+                    score: { type: 'number' }
+                }
+            })
+        }
+    }
+}), async (req, res) => {
+    try {
+        const rawQuery = req.query.q;
+        const query = normalizeText(rawQuery.slice(0, MAX_QUERY_LENGTH));
+
+        // Punctuation-only queries normalize to nothing
+        if (!query) {
+            return res.status(400).json({ error: 'Search query is required' });
+        }
+
+        const type = req.query.type || 'all';
+
+        const { limit, offset } = parsePagination(req.query, { defaultLimit: 10, maxLimit: 50 });
+
+        // Every search scores the whole catalog, so it is read through the catalog cache
+        let albums;
+        try {
+            const entry = await getCachedCatalog('search:catalog', async () => (await getRepositories().albums.list()) || []);
+            albums = entry.body;
+        } catch (error) {
+            console.error('Error fetching catalog for search:', error);
+            return res.status(500).json({ error: 'Failed to search catalog' });
+        }
+
+        const albumResults = [];
+        const songResults = [];
+        const artists = new Map();
+
+        for (const album of albums) {
+            const albumScore = scoreFields(query, [
+                [album.title, 1],
+                [album.artist, 0.8],
+                [album.category, 0.6],
+                [album.genre, 0.6]
+            ]);
+
+            if (albumScore >= MIN_SCORE) {
+                albumResults.push({
+                    score: albumScore,
+                    item: {
+                        id: album.id,
+                        title: album.title,
+                        artist: album.artist,
+                        img: album.img,
+                        category: album.category,
+                        genre: album.genre
+                    }
+                });
+            }
+
+            const uniqueSongs = dedupeSongs(album.songs);
+
+            for (const song of uniqueSongs) {
+                const songScore = scoreFields(query, [
+                    [song.title, 1],
+                    [album.artist, 0.7],
+                    [album.title, 0.6],
+                    [album.category, 0.5],
+                    [album.genre, 0.5]
+                ]);
+
+                if (songScore >= MIN_SCORE) {
+                    songResults.push({
+                        score: songScore,
+                        item: {
+                            id: song.id,
+                            title: song.title,
+                            src: song.src,
+                            img: song.img || album.img,
+                            duration: song.duration,
+                            albumId: album.id,
+                            albumTitle: album.title,
+                            artist: album.artist
+                        }
+                    });
+                }
+            }
+
+            // Group albums by artist name so each artist appears once
+            const artistKey = normalizeText(album.artist);
+            if (artistKey) {
+                const artist = artists.get(artistKey) || {
+                    name: album.artist,
+                    img: album.img,
+                    albumCount: 0,
+                    songCount: 0
+                };
+                artist.albumCount += 1;
+                artist.songCount += uniqueSongs.length;
+                artists.set(artistKey, artist);
+            }
+        }
+
+        const artistResults = [];
+        for (const artist of artists.values()) {
+            const artistScore = scoreFields(query, [[artist.name, 1]]);
+            if (artistScore >= MIN_SCORE) {
+                artistResults.push({ score: artistScore, item: artist });
+            }
+        }
+
+        albumResults.sort(byScore('title'));
+        songResults.sort(byScore('title'));
+        artistResults.sort(byScore('name'));
+
+        const response = { query: rawQuery };
+        if (type === 'all' || type === 'albums') response.albums = paginate(albumResults, limit, offset);
+        if (type === 'all' || type === 'songs') response.songs = paginate(songResults, limit, offset);
+        if (type === 'all' || type === 'artists') response.artists = paginate(artistResults, limit, offset);
+
+        res.json(response);
+    } catch (error) {
+        console.error('Error in search route:', error);
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,147 @@
+import express from 'express';
+import { authenticateToken } from '../middleware/auth.js';
+import { getRepositories } from '../repositories/index.js';
+import { getStorage, keyFromSrc } from '../storage/index.js';
+import { validate } from '../middleware/validate.js';
+
+const router = express.Router();
+
+// Plays of the same song by the same user within this window are counted once,
+// so seeking back to the start does not inflate play counts
+const PLAY_DEDUPE_WINDOW_MS = 30 * 1000;
+
+// <audio> elements cannot send headers, so stream URLs may carry the token as ?token=
+const tokenFromQuery = (req, res, next) => {
+    if (!req.headers['authorization'] && typeof req.query.token === 'string') {
+        req.headers['authorization'] = req.query.token;
+    }
+    next();
+};
+
+// Record a play in listening_history (which also bumps the album play count)
+const recordPlay = async (userId, song) => {
+    const since = new Date(Date.now() - PLAY_DEDUPE_WINDOW_MS).toISOString();
+
+    const { history } = getRepositories();
+
+    try {
+        if (await history.hasRecentPlay(userId, { title: song.title, src: song.src, since })) {
+            return;
+        }
+
+        await history.add({
+            user_id: userId,
+            song_title: song.title,
+            song_src: song.src,
+            song_img: song.img || song.albums?.img,
+            album_id: song.album_id,
+            album_cover: song.albums?.img,
+            artist: song.albums?.artist,
+            duration: song.duration
+        });
+    } catch (error) {
+        console.error('Error recording streamed play:', error);
+    }
+};
+
+// Stream a song's audio with HTTP Range support
+router.get('/:id/stream', tokenFromQuery, authenticateToken, validate({
+    summary: 'Stream a song\'s audio',
+    description: 'Supports a single HTTP Range. Starting from byte 0 records a play unless record=false.',
+    params: {
+        type: 'object',
+        properties: { id: { type: 'string', format: 'uuid' } }
+    },
+    query: {
+        type: 'object',
+        properties: {
+            token: { type: 'string', description: 'Access token, for <audio> elements that cannot send headers' },
+            record: { type: 'boolean', default: true }
+        }
+    },
+    responses: {
+        200: { description: 'The whole file', content: { 'audio/*': { schema: { type: 'string', format: 'binary' } } } },
+        206: { description: 'The requested range', content: { 'audio/*': { schema: { type: 'string', format: 'binary' } } } },
+        404: { description: 'Song or audio file not found' },
+        416: { description: 'Requested range not satisfiable' }
+    }
+}), async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        const song = await getRepositories().songs.findById(id);
+
+        if (!song) {
+            return res.status(404).json({ error: 'Song not found' });
+        }
+
+        const storage = getStorage();
+        const key = keyFromSrc(song.src);
+        const file = key ? await storage.stat(key) : null;
+
+        if (!file) {
+            return res.status(404).json({ error: 'Audio file not found' });
+        }
+
+        res.set('Accept-Ranges', 'bytes');
+        res.set('Content-Type', file.contentType);
+        res.set('Cache-Control', 'private, max-age=3600');
+        if (file.lastModified) {
+            res.set('Last-Modified', file.lastModified.toUTCString());
+        }
+
+        let start = 0;
+        let end = file.size - 1;
+
+        // Multiple ranges and malformed headers are ignored and served as a full 200
+        const ranges = req.range(file.size, { combine: true });
+        if (ranges === -1) {
+            res.set('Content-Range', `bytes */${file.size}`);
+            return res.status(416).json({ error: 'Requested range not satisfiable' });
+        }
+
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+            start = ranges[0].start;
+            end = ranges[0].end;
+            res.status(206);
+            res.set('Content-Range', `bytes ${start}-${end}/${file.size}`);
+        } else {
+            res.status(200);
+        }
+
+        res.set('Content-Length', String(end - start + 1));
+
+        // An empty file has no byte range to read (any Range header was already a 416 above)
+        if (req.method === 'HEAD' || file.size === 0) {
+            return res.end();
+        }
+
+        // Count a play when playback starts from the beginning
+        if (start === 0 && req.query.record !== 'false') {
+            recordPlay(req.user.userId, song).catch(err => {
+                console.error('Error recording streamed play:', err);
+            });
+        }
+
+        const stream = await storage.createReadStream(key, { start, end });
+
+        res.on('close', () => stream.destroy());
+        stream.on('error', (streamError) => {
+            console.error('Error streaming song:', streamError);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Failed to stream song' });
+            } else {
+                res.destroy(streamError);
+            }
+        });
+
+        stream.pipe(res);
+    } catch (error) {
+        console.error('Error in stream song:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Internal server error' });
+        }
+    }
+});
+
+export default router;
@@ -0,0 +1,12 @@
+import express from 'express';
+import { v2Mounts } from './mounts.js';
+
+// The /v2 API serves the same routers as v1 without the /api prefix;
+// apiEnvelope (mounted in app.js) gives every response the uniform JSON envelope
+const router = express.Router();
+
+for (const [path, routes] of v2Mounts) {
+    router.use(path, routes);
+}
+
+export default router;
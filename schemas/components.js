@@ -0,0 +1,383 @@
+// Shared schemas for request validation and the OpenAPI document
+// Route files reference these with ref('Name'); they appear under components.schemas in /docs
+
+import { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } from '../utils/pagination.js';
+import { PLAYLIST_VISIBILITIES } from '../utils/playlists.js';
+
+/**
+ * Reference a shared schema
+ * @param {string} name - Key in componentSchemas
+ * @returns {{ $ref: string }}
+ */
+export const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const nullableString = { type: 'string', nullable: true };
+const nullableInteger = { type: 'integer', nullable: true };
+const timestamp = { type: 'string', format: 'date-time' };
+
+/**
+ * Query properties for limit/offset pagination, matching parsePagination
+ * @param {object} [options] - defaultLimit and maxLimit as passed to parsePagination
+ * @returns {object} Schema properties for limit and offset
+ */
+export const paginationQuery = ({ defaultLimit = DEFAULT_PAGE_SIZE, maxLimit = MAX_PAGE_SIZE } = {}) => ({
+    limit: { type: 'integer', description: `Page size (default ${defaultLimit}, capped at ${maxLimit})` },
+    offset: { type: 'integer', description: 'Number of items to skip (default 0)' }
+});
+
+export const PLAYLIST_VISIBILITY_SCHEMA = { type: 'string', enum: PLAYLIST_VISIBILITIES };
+
+export const componentSchemas = {
+    FieldError: {
+        type: 'object',
+        properties: {
+            field: { type: 'string', example: 'password' },
+            message: { type: 'string', example: 'password is required' }
+        }
+    },
+    Error: {
+        type: 'object',
+        properties: {
+            error: { type: 'string', description: 'Human-readable message' },
+            code: { type: 'string', description: 'Machine-readable error code, e.g. VALIDATION_FAILED' },
+            details: { type: 'array', items: ref('FieldError') }
+        }
+    },
+    Message: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' }
+        }
+    },
+    Pagination: {
+        type: 'object',
+        properties: {
+            limit: { type: 'integer' },
+            offset: { type: 'integer' },
+            total: { type: 'integer' },
+            hasMore: { type: 'boolean' }
+        }
+    },
+    CursorPagination: {
+        type: 'object',
+        properties: {
+            limit: { type: 'integer' },
+            nextCursor: { ...nullableString, description: 'Pass back as `cursor` for the next page' },
+            hasMore: { type: 'boolean' }
+        }
+    },
+    Tokens: {
+        type: 'object',
+        properties: {
+            accessToken: { type: 'string' },
+            refreshToken: { type: 'string', description: 'Left out when the refresh token came from the cookie' },
+            expiresIn: { type: 'string', example: '15m' }
+        }
+    },
+    AlbumSong: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            title: { type: 'string' },
+            src: { type: 'string' },
+            img: nullableString,
+            duration: { ...nullableInteger, description: 'Seconds' }
+        }
+    },
+    Album: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', example: 'GunturKaaram' },
+            title: { type: 'string' },
+            artist: { type: 'string' },
+            img: nullableString,
+            category: nullableString,
+            genre: nullableString,
+            description: nullableString,
+            songs: { type: 'array', items: ref('AlbumSong'), description: 'Left out with lite=true' },
+            songCount: { type: 'integer', description: 'Only with lite=true' }
+        }
+    },
+    CatalogSong: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            title: { type: 'string' },
+            src: { type: 'string' },
+            img: nullableString,
+            duration: nullableInteger,
+            albumId: { type: 'string' },
+            albumTitle: { type: 'string' },
+            artist: { type: 'string' }
+        }
+    },
+    AdminSong: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            albumId: { type: 'string' },
+            title: { type: 'string' },
+            src: { type: 'string' },
+            img: nullableString,
+            duration: nullableInteger
+        }
+    },
+    Favorite: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            songId: { type: 'string', format: 'uuid' },
+            songTitle: { type: 'string' },
+            songSrc: { type: 'string' },
+            songImg: nullableString,
+            albumId: { type: 'string' },
+            albumCover: nullableString,
+            artist: { type: 'string' },
+            duration: nullableInteger,
+            addedAt: timestamp
+        }
+    },
+    PlaylistSong: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            title: { type: 'string' },
+            src: nullableString,
+            img: nullableString,
+            albumId: nullableString,
+            albumCover: nullableString,
+            artist: nullableString,
+            position: nullableInteger,
+            addedBy: { type: 'string', format: 'uuid', nullable: true },
+            addedAt: timestamp
+        }
+    },
+    Playlist: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string' },
+            description: nullableString,
+            coverImage: nullableString,
+            visibility: PLAYLIST_VISIBILITY_SCHEMA,
+            shareSlug: { ...nullableString, description: 'Null for private playlists' },
+            createdAt: timestamp,
+            updatedAt: timestamp,
+            ownerId: { type: 'string', format: 'uuid', description: 'Only in the playlist list' },
+            role: { type: 'string', enum: ['owner', 'editor', 'viewer'], description: 'Only in the playlist list' },
+            songCount: { type: 'integer' },
+            totalDuration: { type: 'integer', description: 'Seconds; only in the playlist list' },
+            songs: { type: 'array', items: ref('PlaylistSong'), description: 'In the playlist list only with include=songs' }
+        }
+    },
+    PlaylistTrackInput: {
+        type: 'object',
+        description: 'A song to add; the songTitle/songSrc/songImg names and the shorter title/src/img names are both accepted',
+        properties: {
+            songTitle: { type: 'string', maxLength: 200 },
+            title: { type: 'string', maxLength: 200 },
+            songSrc: { type: 'string' },
+            src: { type: 'string' },
+            songImg: { type: 'string' },
+            img: { type: 'string' },
+            albumId: { type: 'string', maxLength: 100 },
+            album_id: { type: 'string', maxLength: 100 },
+            artist: { type: 'string', maxLength: 100 }
+        },
+        anyOf: [{ required: ['songTitle'] }, { required: ['title'] }],
+        'x-anyOfMessage': 'songTitle is required'
+    },
+    Collaborator: {
+        type: 'object',
+        properties: {
+            userId: { type: 'string', format: 'uuid' },
+            username: { type: 'string' },
+            profilePicture: nullableString,
+            role: { type: 'string', enum: ['editor', 'viewer'] },
+            status: { type: 'string', enum: ['pending', 'accepted'] },
+            invitedBy: nullableString,
+            invitedAt: timestamp,
+            respondedAt: { ...timestamp, nullable: true }
+        }
+    },
+    Invitation: {
+        type: 'object',
+        properties: {
+            playlistId: { type: 'string', format: 'uuid' },
+            playlistName: { type: 'string' },
+            description: nullableString,
+            coverImage: nullableString,
+            role: { type: 'string', enum: ['editor', 'viewer'] },
+            invitedBy: nullableString,
+            invitedAt: timestamp
+        }
+    },
+    HistoryEntry: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            songTitle: { type: 'string' },
+            songSrc: nullableString,
+            songImg: nullableString,
+            albumId: nullableString,
+            albumCover: nullableString,
+            artist: nullableString,
+            duration: nullableInteger,
+            playedAt: timestamp
+        }
+    },
+    RecommendationReason: {
+        type: 'object',
+        properties: {
+            type: { type: 'string', enum: ['co_occurrence', 'artist', 'genre', 'category', 'popularity'] },
+            message: { type: 'string', example: 'Because you liked "Perfect" by Ed Sheeran' },
+            seed: {
+                type: 'object',
+                properties: {
+                    songId: { type: 'string', format: 'uuid' },
+                    title: { type: 'string' },
+                    signal: { type: 'string', enum: ['favorite', 'playlist', 'play'] }
+                }
+            }
+        }
+    },
+    SocialLinks: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            website: { type: 'string', maxLength: 200 },
+            instagram: { type: 'string', maxLength: 200 },
+            twitter: { type: 'string', maxLength: 200 },
+            facebook: { type: 'string', maxLength: 200 },
+            youtube: { type: 'string', maxLength: 200 },
+            tiktok: { type: 'string', maxLength: 200 },
+            spotify: { type: 'string', maxLength: 200 },
+            soundcloud: { type: 'string', maxLength: 200 }
+        }
+    },
+    Preferences: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            theme: { type: 'string', enum: ['dark', 'light', 'system'] },
+            notifications: { type: 'boolean' },
+            privacy: { type: 'string', enum: ['public', 'private'] },
+            language: { type: 'string', pattern: '^[a-z]{2}(-[A-Z]{2})?$', example: 'en' }
+        }
+    },
+    Relationship: {
+        type: 'object',
+        description: 'How the current user and another user follow each other',
+        properties: {
+            following: { type: 'boolean', description: 'You follow them' },
+            followedBy: { type: 'boolean', description: 'They follow you' },
+            mutual: { type: 'boolean' }
+        }
+    },
+    FollowUser: {
+        type: 'object',
+        properties: {
+            userId: { type: 'string', format: 'uuid' },
+            username: { type: 'string' },
+            profilePicture: nullableString,
+            followedAt: timestamp,
+            mutual: { type: 'boolean', description: 'The listed user and the profile follow each other' }
+        }
+    },
+    FeedEvent: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            type: { type: 'string', enum: ['playlist_created', 'song_favorited', 'track_played'] },
+            createdAt: timestamp,
+            actor: {
+                type: 'object',
+                properties: {
+                    userId: { type: 'string', format: 'uuid' },
+                    username: { type: 'string' },
+                    profilePicture: nullableString
+                }
+            },
+            playlist: {
+                type: 'object',
+                description: 'Set on playlist_created',
+                properties: {
+                    id: { type: 'string', format: 'uuid' },
+                    name: { type: 'string' },
+                    coverImage: nullableString,
+                    shareSlug: nullableString
+                }
+            },
+            song: {
+                type: 'object',
+                description: 'Set on song_favorited and track_played; id is null for plays',
+                properties: {
+                    id: { type: 'string', format: 'uuid', nullable: true },
+                    title: { type: 'string' },
+                    src: nullableString,
+                    img: nullableString,
+                    albumId: nullableString,
+                    artist: nullableString,
+                    duration: nullableInteger
+                }
+            }
+        }
+    },
+    Notification: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            type: { type: 'string', enum: ['playlist_invite', 'new_follower', 'album_release'] },
+            message: { type: 'string', example: 'admin started following you' },
+            read: { type: 'boolean' },
+            readAt: { ...timestamp, nullable: true },
+            createdAt: timestamp,
+            actor: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    userId: { type: 'string', format: 'uuid' },
+                    username: { type: 'string' },
+                    profilePicture: nullableString
+                }
+            },
+            playlist: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    id: { type: 'string', format: 'uuid' },
+                    name: { type: 'string' },
+                    coverImage: nullableString
+                }
+            },
+            album: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    id: { type: 'string' },
+                    title: { type: 'string' },
+                    artist: { type: 'string' },
+                    img: nullableString
+                }
+            }
+        }
+    },
+    Profile: {
+        type: 'object',
+        properties: {
+            id: { type: 'string', format: 'uuid' },
+            username: { type: 'string' },
+            email: nullableString,
+            bio: nullableString,
+            location: nullableString,
+            profilePicture: nullableString,
+            socialLinks: { allOf: [ref('SocialLinks')], nullable: true },
+            preferences: { allOf: [ref('Preferences')], nullable: true },
+            stats: { type: 'object', additionalProperties: nullableInteger },
+            relationship: ref('Relationship'),
+            topArtists: { type: 'array', items: {} },
+            topGenres: { type: 'array', items: {} },
+            recentlyPlayed: { type: 'array', items: {} }
+        }
+    }
+};
@@ -0,0 +1,38 @@
+// Records what users do, for the feeds of the people who follow them (GET /api/feed)
+// Recording is best effort: a failure is logged and never fails the request that caused it.
+// Plays are not recorded here; the feed reads them from listening_history.
+
+import { getRepositories } from '../repositories/index.js';
+
+export const ACTIVITY_TYPES = {
+    PLAYLIST_CREATED: 'playlist_created',
+    SONG_FAVORITED: 'song_favorited'
+};
+
+/**
+ * Record an activity event
+ * @param {string} actorId - User who did it
+ * @param {string} type - One of ACTIVITY_TYPES
+ * @param {object} [subject] - playlistId or songId the event is about
+ */
+export const recordActivity = async (actorId, type, { playlistId = null, songId = null } = {}) => {
+    try {
+        await getRepositories().activity.add({ actor_id: actorId, type, playlist_id: playlistId, song_id: songId });
+    } catch (error) {
+        console.error('Error recording activity:', error);
+    }
+};
+
+/**
+ * Remove activity events that no longer hold, e.g. "favorited" after an unfavorite
+ * @param {string} actorId - User who did it
+ * @param {string} type - One of ACTIVITY_TYPES
+ * @param {object} [subject] - playlistId or songId the events are about
+ */
+export const retractActivity = async (actorId, type, { playlistId = null, songId = null } = {}) => {
+    try {
+        await getRepositories().activity.remove({ actorId, type, playlistId, songId });
+    } catch (error) {
+        console.error('Error retracting activity:', error);
+    }
+};
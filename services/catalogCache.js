@@ -0,0 +1,102 @@
+// In-process cache for album catalog responses (GET /albums and GET /albums/:id) and the
+// full catalog that GET /search scores
+// Entries expire after CATALOG_CACHE_TTL_SECONDS (default 60, 0 turns caching off) and are all
+// dropped by invalidateCatalog(), which the admin routes call after every catalog write.
+// Each server instance keeps its own cache, so writes made through another instance show up
+// once the TTL runs out. Play counts change without a catalog write, so ?sort=most_played
+// can also lag by up to one TTL.
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_TTL_SECONDS = 60;
+// Filters make the key space open-ended; the oldest entries go first past this size
+const MAX_ENTRIES = 500;
+
+const entries = new Map();
+const loading = new Map();
+// Bumped by invalidateCatalog() so loads that started before a write are not cached
+let generation = 0;
+
+const getTtlMs = () => {
+    const seconds = parseInt(process.env.CATALOG_CACHE_TTL_SECONDS, 10);
+    return (Number.isNaN(seconds) || seconds < 0 ? DEFAULT_TTL_SECONDS : seconds) * 1000;
+};
+
+// Weak, because the v2 envelope wraps the same data in a different body
+const computeEtag = (body) => `W/"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+
+// HTTP dates have one-second resolution
+const currentSecond = () => new Date(Math.floor(Date.now() / 1000) * 1000);
+
+const buildEntry = (key, body, ttlMs) => {
+    const etag = computeEtag(body);
+    const previous = entries.get(key);
+    return {
+        body,
+        etag,
+        // An unchanged body keeps its original date, so If-Modified-Since still matches after a reload
+        lastModified: previous?.etag === etag ? previous.lastModified : currentSecond(),
+        expiresAt: Date.now() + ttlMs
+    };
+};
+
+const store = (key, entry) => {
+    entries.delete(key);
+    entries.set(key, entry);
+    if (entries.size > MAX_ENTRIES) {
+        entries.delete(entries.keys().next().value);
+    }
+};
+
+/**
+ * Get a catalog response from the cache, loading and caching it on a miss
+ * Concurrent misses for the same key share one load.
+ * @param {string} key - Identifies the response, e.g. "album:Perfect"
+ * @param {function} load - async () => response body, or null when there is nothing to serve
+ * @returns {Promise<{ body: *, etag: string, lastModified: Date }|null>} Null when load returned null
+ */
+export const getCachedCatalog = async (key, load) => {
+    const ttlMs = getTtlMs();
+    if (ttlMs === 0) {
+        const body = await load();
+        return body === null ? null : buildEntry(key, body, 0);
+    }
+
+    const cached = entries.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached;
+    }
+
+    if (!loading.has(key)) {
+        const startedAt = generation;
+        const pending = (async () => {
+            const body = await load();
+            if (body === null) {
+                entries.delete(key);
+                return null;
+            }
+            const entry = buildEntry(key, body, ttlMs);
+            if (startedAt === generation) {
+                store(key, entry);
+            }
+            return entry;
+        })().finally(() => {
+            if (loading.get(key) === pending) loading.delete(key);
+        });
+        loading.set(key, pending);
+    }
+    return loading.get(key);
+};
+
+/**
+ * Drop every cached catalog response
+ * Call after any write to albums or songs.
+ */
+export const invalidateCatalog = () => {
+    generation += 1;
+    entries.clear();
+    loading.clear();
+};
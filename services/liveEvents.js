@@ -0,0 +1,130 @@
+// Live updates for signed-in clients (GET /api/events, server-sent events)
+// Routes publish changes to a user's favorites, playlists and notifications; every open stream of
+// that user receives them. Each user's recent events are kept for LIVE_EVENTS_REPLAY_SECONDS
+// (default 300, at most 100 per user) so a client that reconnects with Last-Event-ID gets what it
+// missed. Streams and the replay buffer live in process memory: with several server instances,
+// a client only hears about changes made through the instance it is connected to.
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+export const LIVE_EVENTS = {
+    FAVORITES: 'favorites',
+    PLAYLIST: 'playlist',
+    NOTIFICATION: 'notification'
+};
+
+const DEFAULT_REPLAY_SECONDS = 300;
+const MAX_REPLAY_EVENTS = 100;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Event ids are "<instance>-<sequence>". The sequence is shared by all users, so an id also
+// marks a point in time; ids from before a restart name another instance and are not resumable.
+const INSTANCE_ID = crypto.randomBytes(4).toString('hex');
+let sequence = 0;
+// Highest sequence dropped from any buffer because it expired
+let expiredThrough = 0;
+
+const listeners = new Map();
+// userId -> { events: [{ id, seq, type, data, at }], droppedThrough }
+const buffers = new Map();
+
+const getReplayMs = () => {
+    const seconds = parseInt(process.env.LIVE_EVENTS_REPLAY_SECONDS, 10);
+    return (Number.isNaN(seconds) || seconds < 0 ? DEFAULT_REPLAY_SECONDS : seconds) * 1000;
+};
+
+const formatId = (seq) => `${INSTANCE_ID}-${seq}`;
+
+const parseId = (id) => {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(id || '');
+    if (!match || match[1] !== INSTANCE_ID) return null;
+    const seq = Number(match[2]);
+    return seq <= sequence ? seq : null;
+};
+
+const dropExpired = (userId, buffer, cutoff) => {
+    while (buffer.events.length > 0 && buffer.events[0].at < cutoff) {
+        expiredThrough = Math.max(expiredThrough, buffer.events.shift().seq);
+    }
+    if (buffer.events.length === 0) buffers.delete(userId);
+};
+
+const remember = (userId, event) => {
+    const buffer = buffers.get(userId) || { events: [], droppedThrough: 0 };
+    buffers.set(userId, buffer);
+    buffer.events.push(event);
+    if (buffer.events.length > MAX_REPLAY_EVENTS) {
+        buffer.droppedThrough = buffer.events.shift().seq;
+    }
+};
+
+// Buffers of users with no new events would otherwise stay around until their next event
+setInterval(() => {
+    const cutoff = Date.now() - getReplayMs();
+    for (const [userId, buffer] of buffers) dropExpired(userId, buffer, cutoff);
+}, SWEEP_INTERVAL_MS).unref();
+
+/**
+ * Id of the latest event published so far; a client that has it has seen everything up to now
+ * @returns {string}
+ */
+export const currentEventId = () => formatId(sequence);
+
+/**
+ * Send an event to every open stream of the given users
+ * @param {Array<string>} userIds - Recipients; duplicates and empty ids are ignored
+ * @param {string} type - One of LIVE_EVENTS
+ * @param {object} data - JSON payload
+ */
+export const publishToUsers = (userIds, type, data) => {
+    const replayMs = getReplayMs();
+    for (const userId of new Set(userIds.filter(Boolean))) {
+        sequence += 1;
+        const event = { id: formatId(sequence), seq: sequence, type, data, at: Date.now() };
+        if (replayMs > 0) remember(userId, event);
+        for (const listener of listeners.get(userId) || []) {
+            listener(event);
+        }
+    }
+};
+
+/**
+ * Listen for a user's events
+ * @param {string} userId - User whose events to receive
+ * @param {function} listener - (event) => void, called with { id, type, data }
+ * @returns {function} Call to stop listening
+ */
+export const subscribe = (userId, listener) => {
+    if (!listeners.has(userId)) listeners.set(userId, new Set());
+    listeners.get(userId).add(listener);
+    return () => {
+        const userListeners = listeners.get(userId);
+        userListeners?.delete(listener);
+        if (userListeners?.size === 0) listeners.delete(userId);
+    };
+};
+
+/**
+ * Events a reconnecting client missed
+ * @param {string} userId - User the stream belongs to
+ * @param {string} lastEventId - Id of the last event the client received
+ * @returns {Array<object>|null} Events after lastEventId, oldest first; null when some of them may be
+ * gone (unknown id, restarted server, or older than the replay window) and the client should refetch
+ */
+export const eventsSince = (userId, lastEventId) => {
+    const seq = parseId(lastEventId);
+    if (seq === null) return null;
+
+    // With replay turned off, only a client that missed nothing at all can resume
+    const replayMs = getReplayMs();
+    if (replayMs === 0) return seq === sequence ? [] : null;
+
+    const buffer = buffers.get(userId);
+    if (buffer) dropExpired(userId, buffer, Date.now() - replayMs);
+    if (seq < expiredThrough || seq < (buffer?.droppedThrough || 0)) return null;
+
+    return (buffers.get(userId)?.events || []).filter(event => event.seq > seq);
+};
@@ -0,0 +1,81 @@
+// Outgoing email
+// The transport is picked by MAIL_TRANSPORT: "console" (default) logs messages, "file" writes
+// them to MAIL_OUTPUT_DIR (default ./mail-outbox). Other transports (SMTP, an email API, ...)
+// can be plugged in with registerMailTransport() before the first send.
+// In production MAIL_TRANSPORT must be set, so reset links never end up in logs by accident.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FROM = process.env.MAIL_FROM || 'JustVibe <no-reply@justvibe.local>';
+
+if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+    throw new Error('MAIL_TRANSPORT is required when NODE_ENV=production (the console transport logs reset links)');
+}
+
+const transports = {
+    console: () => ({
+        async send(message) {
+            console.log(`📧 Email to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    }),
+    file: () => {
+        const outputDir = path.resolve(process.env.MAIL_OUTPUT_DIR || path.join(__dirname, '../mail-outbox'));
+        return {
+            async send(message) {
+                await fs.promises.mkdir(outputDir, { recursive: true });
+                const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+                await fs.promises.writeFile(path.join(outputDir, fileName), JSON.stringify(message, null, 2));
+            }
+        };
+    }
+};
+
+let transport = null;
+
+/**
+ * Register a mail transport factory
+ * @param {string} name - Value of MAIL_TRANSPORT that selects it
+ * @param {function} factory - () => { send(message): Promise<void> }
+ */
+export const registerMailTransport = (name, factory) => {
+    transports[name] = factory;
+    transport = null;
+};
+
+const getTransport = () => {
+    if (!transport) {
+        const name = (process.env.MAIL_TRANSPORT || 'console').toLowerCase();
+        const factory = transports[name];
+        if (!factory) {
+            throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+        }
+        transport = factory();
+    }
+    return transport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} message - { to, subject, text, html? }
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+    await getTransport().send({
+        from: DEFAULT_FROM,
+        to,
+        subject,
+        text,
+        html,
+        date: new Date().toISOString()
+    });
+};
+
+export default sendMail;
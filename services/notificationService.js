@@ -0,0 +1,78 @@
+// Turns events into in-app notifications for the users they concern (GET /api/notifications)
+// Routes call dispatchNotification() after the change that caused the event. Each type decides who
+// is notified; users whose preferences.notifications is false are skipped, and so is the user who
+// caused the event. New notifications are also pushed to the recipients' live streams (GET /api/events).
+// Dispatching is best effort: a failure is logged and never fails the request.
+
+import { getRepositories } from '../repositories/index.js';
+import { wantsNotifications } from '../utils/profiles.js';
+import { formatNotification } from '../utils/notifications.js';
+import { publishToUsers, LIVE_EVENTS } from './liveEvents.js';
+
+export const NOTIFICATION_TYPES = {
+    PLAYLIST_INVITE: 'playlist_invite',
+    NEW_FOLLOWER: 'new_follower',
+    ALBUM_RELEASE: 'album_release'
+};
+
+// Types that are not repeated while the recipient still has an unread one from the same actor,
+// e.g. unfollowing and following again
+const ONCE_WHILE_UNREAD = new Set([NOTIFICATION_TYPES.NEW_FOLLOWER]);
+
+// Recipients are loaded and inserted in batches, so an album release by a popular artist
+// does not build one huge query
+const BATCH_SIZE = 200;
+
+// Who hears about each type of event
+const recipientsOf = {
+    [NOTIFICATION_TYPES.PLAYLIST_INVITE]: async ({ recipientId }) => [recipientId],
+    [NOTIFICATION_TYPES.NEW_FOLLOWER]: async ({ recipientId }) => [recipientId],
+    // Fans of the artist: everyone who favorited one of their songs
+    [NOTIFICATION_TYPES.ALBUM_RELEASE]: async ({ artist }) => getRepositories().favorites.listUserIdsByArtist(artist)
+};
+
+/**
+ * Notify the users an event concerns
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {object} event
+ * @param {string} [event.actorId] - User who caused it
+ * @param {string} [event.recipientId] - User it happened to (playlist_invite, new_follower)
+ * @param {string} [event.artist] - Artist of the album (album_release)
+ * @param {string} [event.playlistId] - Playlist it is about
+ * @param {string} [event.albumId] - Album it is about
+ * @returns {Promise<Array<object>>} The notifications created; empty on failure
+ */
+export const dispatchNotification = async (type, { actorId = null, playlistId = null, albumId = null, ...event } = {}) => {
+    try {
+        const { users, notifications } = getRepositories();
+        const recipientIds = (await recipientsOf[type](event)).filter(id => id && id !== actorId);
+
+        const created = [];
+        for (let start = 0; start < recipientIds.length; start += BATCH_SIZE) {
+            const batch = recipientIds.slice(start, start + BATCH_SIZE);
+            const alreadyNotified = new Set(ONCE_WHILE_UNREAD.has(type) && actorId
+                ? await notifications.listUnreadRecipients(batch, { type, actorId })
+                : []);
+            const profiles = await users.listByIds(batch.filter(id => !alreadyNotified.has(id)));
+            created.push(...await notifications.addMany(profiles
+                .filter(wantsNotifications)
+                .map(profile => ({
+                    user_id: profile.id,
+                    type,
+                    actor_id: actorId,
+                    playlist_id: playlistId,
+                    album_id: albumId
+                }))));
+        }
+        for (const notification of created) {
+            publishToUsers([notification.user_id], LIVE_EVENTS.NOTIFICATION, {
+                action: 'created',
+                notification: formatNotification(notification)
+            });
+        }
+        return created;
+    } catch (error) {
+        console.error(`Error dispatching ${type} notifications:`, error);
+        return [];
+    }
+};
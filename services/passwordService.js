@@ -0,0 +1,83 @@
+// Password checks and single-use password reset tokens
+// Reset tokens are JWTs signed with JWT_SECRET (purpose "password_reset") whose jti is
+// recorded in password_reset_tokens, so each one can only be redeemed once.
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getRepositories } from '../repositories/index.js';
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+
+const RESET_TOKEN_PURPOSE = 'password_reset';
+
+export class InvalidResetTokenError extends Error {
+    constructor(message = 'Invalid or expired reset token') {
+        super(message);
+        this.name = 'InvalidResetTokenError';
+    }
+}
+
+/**
+ * Check a password without starting a session
+ * @param {string} email - Account email
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} True if the password is correct
+ */
+export const verifyPassword = async (email, password) => {
+    return !!(await getRepositories().auth.signIn(email, password));
+};
+
+/**
+ * Look up a Supabase Auth user id by email
+ * @param {string} email - Account email
+ * @returns {Promise<string|null>} User id, or null if there is no such account
+ */
+export const findUserIdByEmail = async (email) => {
+    return getRepositories().auth.findUserIdByEmail(email);
+};
+
+/**
+ * Issue a password reset token, invalidating any earlier unused ones for the user
+ * @param {string} userId - Supabase Auth user id
+ * @returns {Promise<string>} Signed reset token
+ */
+export const createResetToken = async (userId) => {
+    const jti = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+
+    const { passwordResets } = getRepositories();
+    await passwordResets.invalidateForUser(userId);
+    await passwordResets.create({ id: jti, user_id: userId, expires_at: expiresAt.toISOString() });
+
+    return jwt.sign(
+        { sub: userId, purpose: RESET_TOKEN_PURPOSE },
+        process.env.JWT_SECRET,
+        { expiresIn: RESET_TOKEN_TTL_MINUTES * 60, jwtid: jti }
+    );
+};
+
+/**
+ * Validate and consume a reset token
+ * @param {string} token - Signed reset token
+ * @returns {Promise<string>} The user id the token was issued for
+ */
+export const consumeResetToken = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        throw new InvalidResetTokenError();
+    }
+
+    if (decoded.purpose !== RESET_TOKEN_PURPOSE || !decoded.jti || !decoded.sub) {
+        throw new InvalidResetTokenError();
+    }
+
+    // Claim the token only if it is still unused, so it cannot be redeemed twice
+    if (!await getRepositories().passwordResets.claim(decoded.jti, decoded.sub)) {
+        throw new InvalidResetTokenError();
+    }
+
+    return decoded.sub;
+};
@@ -0,0 +1,60 @@
+// Short-lived cache of who an access token belongs to (id, email, username, role)
+// authenticateToken would otherwise look up the auth user and the profile on every request.
+// Entries live for AUTH_CACHE_TTL_SECONDS (default 30, 0 turns caching off). Call
+// invalidatePrincipal() after changing a user's email, username or role, or deleting the account;
+// other instances pick the change up within one TTL. Sessions are checked on every request
+// regardless, so logging out is never delayed by this cache, and neither is deleting an account
+// (its sessions are deleted with it). Old tokens without a session id are the exception: for those,
+// a deleted account (e.g. removed in the database) keeps its cached principal for up to one TTL.
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_TTL_SECONDS = 30;
+const MAX_ENTRIES = 10000;
+
+const entries = new Map();
+// Bumped by invalidatePrincipal() so lookups that started before a change are not cached
+let generation = 0;
+
+const getTtlMs = () => {
+    const seconds = parseInt(process.env.AUTH_CACHE_TTL_SECONDS, 10);
+    return (Number.isNaN(seconds) || seconds < 0 ? DEFAULT_TTL_SECONDS : seconds) * 1000;
+};
+
+/**
+ * Get a user's principal from the cache, loading it on a miss
+ * @param {string} userId - Auth user id
+ * @param {function} load - async () => principal, or null when the user no longer exists
+ * @returns {Promise<object|null>} Principal; null results are not cached
+ */
+export const getCachedPrincipal = async (userId, load) => {
+    const ttlMs = getTtlMs();
+    const cached = entries.get(userId);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.principal;
+    }
+
+    const startedAt = generation;
+    const principal = await load();
+    if (principal && ttlMs > 0 && startedAt === generation) {
+        entries.delete(userId);
+        entries.set(userId, { principal, expiresAt: Date.now() + ttlMs });
+        if (entries.size > MAX_ENTRIES) {
+            entries.delete(entries.keys().next().value);
+        }
+    } else {
+        entries.delete(userId);
+    }
+    return principal;
+};
+
+/**
+ * Forget a user's cached principal so the next request reloads it
+ * @param {string} userId - Auth user id
+ */
+export const invalidatePrincipal = (userId) => {
+    generation += 1;
+    entries.delete(userId);
+};
@@ -0,0 +1,92 @@
+// Counters for rate limiting and sign-in lockouts
+// The store is picked by RATE_LIMIT_STORE: "memory" (default) keeps counters in this process.
+// When several instances run behind a load balancer, register a shared store (Redis, a database
+// table, ...) with registerRateLimitStore() before the server starts handling requests.
+//
+// A store implements:
+//   increment(key, ttlMs) -> { count, expiresAt }  adds 1, starting a new window of ttlMs if the key is missing or expired
+//   get(key)              -> { count, expiresAt } | null
+//   set(key, count, ttlMs)
+//   delete(key)
+// All methods may return promises. expiresAt is a timestamp in ms.
+
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// Expired entries are also dropped on read; the sweep only bounds memory use
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+    const entries = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of entries) {
+            if (entry.expiresAt <= now) entries.delete(key);
+        }
+    }, SWEEP_INTERVAL_MS);
+    sweep.unref();
+
+    const read = (key) => {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    };
+
+    return {
+        async increment(key, ttlMs) {
+            const entry = read(key) || { count: 0, expiresAt: Date.now() + ttlMs };
+            entry.count += 1;
+            entries.set(key, entry);
+            return { ...entry };
+        },
+        async get(key) {
+            const entry = read(key);
+            return entry ? { ...entry } : null;
+        },
+        async set(key, count, ttlMs) {
+            entries.set(key, { count, expiresAt: Date.now() + ttlMs });
+        },
+        async delete(key) {
+            entries.delete(key);
+        }
+    };
+};
+
+const stores = {
+    memory: createMemoryStore
+};
+
+let store = null;
+
+/**
+ * Register a rate limit store factory
+ * @param {string} name - Value of RATE_LIMIT_STORE that selects it
+ * @param {function} factory - () => store implementing increment, get, set and delete
+ */
+export const registerRateLimitStore = (name, factory) => {
+    stores[name] = factory;
+    store = null;
+};
+
+/**
+ * Get the configured rate limit store
+ * @returns {object} Store implementing increment, get, set and delete
+ */
+export const getRateLimitStore = () => {
+    if (!store) {
+        const name = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+        const factory = stores[name];
+        if (!factory) {
+            throw new Error(`Unknown RATE_LIMIT_STORE "${name}". Use one of: ${Object.keys(stores).join(', ')}`);
+        }
+        store = factory();
+    }
+    return store;
+};
+
+export default getRateLimitStore;
@@ -0,0 +1,191 @@
+// Access and refresh token handling
+// Access tokens are short-lived JWTs that carry the session id (sid). Refresh tokens are
+// opaque random strings stored hashed in refresh_tokens and rotated on every use.
+// Revoking a session (auth_sessions.revoked_at) invalidates its refresh tokens and,
+// through authenticateToken, every access token issued for it.
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getRepositories } from '../repositories/index.js';
+
+export const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+export const REFRESH_COOKIE_NAME = 'jv_refresh';
+export const REFRESH_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: process.env.NODE_ENV === 'production' ? 'none' : 'lax',
+    path: '/users',
+    maxAge: REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000
+};
+
+// Thrown for refresh tokens that are unknown, expired, reused or belong to a revoked session
+export class InvalidRefreshTokenError extends Error {
+    constructor(message = 'Invalid or expired refresh token') {
+        super(message);
+        this.name = 'InvalidRefreshTokenError';
+    }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+/**
+ * Sign an access token for a session
+ * @param {object} user - { userId, email, username }
+ * @param {string} sessionId - auth_sessions.id
+ * @returns {string} Signed JWT
+ */
+export const signAccessToken = (user, sessionId) => jwt.sign(
+    {
+        userId: user.userId,
+        email: user.email,
+        username: user.username,
+        sid: sessionId
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+);
+
+const insertRefreshToken = async (userId, sessionId) => {
+    const refreshToken = generateRefreshToken();
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const data = await getRepositories().sessions.createRefreshToken({
+        user_id: userId,
+        session_id: sessionId,
+        token_hash: hashToken(refreshToken),
+        expires_at: expiresAt.toISOString()
+    });
+
+    return { refreshToken, refreshTokenId: data.id };
+};
+
+/**
+ * Start a new session and issue its first access/refresh token pair
+ * @param {object} user - { userId, email, username }
+ * @param {object} [meta] - Optional { userAgent, ip } recorded on the session
+ * @returns {Promise<{ accessToken: string, refreshToken: string, sessionId: string }>}
+ */
+export const createSession = async (user, meta = {}) => {
+    const session = await getRepositories().sessions.create({
+        user_id: user.userId,
+        user_agent: meta.userAgent ? String(meta.userAgent).slice(0, 500) : null,
+        ip_address: meta.ip || null
+    });
+
+    const { refreshToken } = await insertRefreshToken(user.userId, session.id);
+    return {
+        accessToken: signAccessToken(user, session.id),
+        refreshToken,
+        sessionId: session.id
+    };
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * Reusing an already rotated token revokes the whole session, since it means the token leaked
+ * @param {string} refreshToken - Opaque refresh token
+ * @param {function} loadUser - async (userId) => { userId, email, username } for the new access token
+ * @returns {Promise<{ accessToken: string, refreshToken: string, sessionId: string }>}
+ */
+export const rotateRefreshToken = async (refreshToken, loadUser) => {
+    const { sessions } = getRepositories();
+    const stored = await sessions.findRefreshToken(hashToken(refreshToken));
+
+    if (!stored || stored.auth_sessions?.revoked_at) {
+        throw new InvalidRefreshTokenError();
+    }
+
+    if (stored.used_at) {
+        await revokeSession(stored.session_id);
+        throw new InvalidRefreshTokenError('Refresh token reuse detected; session revoked');
+    }
+
+    if (new Date(stored.expires_at).getTime() < Date.now()) {
+        throw new InvalidRefreshTokenError();
+    }
+
+    // Mark as used only if nobody else did first, so concurrent refreshes cannot both succeed
+    if (!await sessions.claimRefreshToken(stored.id)) {
+        await revokeSession(stored.session_id);
+        throw new InvalidRefreshTokenError('Refresh token reuse detected; session revoked');
+    }
+
+    const user = await loadUser(stored.user_id);
+    if (!user) {
+        throw new InvalidRefreshTokenError();
+    }
+
+    const { refreshToken: nextRefreshToken } = await insertRefreshToken(stored.user_id, stored.session_id);
+
+    await sessions.touch(stored.session_id);
+
+    return {
+        accessToken: signAccessToken(user, stored.session_id),
+        refreshToken: nextRefreshToken,
+        sessionId: stored.session_id
+    };
+};
+
+/**
+ * Find the session a refresh token belongs to
+ * @param {string} refreshToken - Opaque refresh token
+ * @returns {Promise<{ sessionId: string, userId: string }|null>}
+ */
+export const findSessionByRefreshToken = async (refreshToken) => {
+    const stored = await getRepositories().sessions.findRefreshToken(hashToken(refreshToken));
+
+    return stored ? { sessionId: stored.session_id, userId: stored.user_id } : null;
+};
+
+/**
+ * Revoke a single session (one device)
+ * @param {string} sessionId - auth_sessions.id
+ */
+export const revokeSession = async (sessionId) => {
+    await getRepositories().sessions.revoke(sessionId);
+};
+
+/**
+ * Revoke every session for a user (log out all devices)
+ * @param {string} userId - Supabase Auth user id
+ * @param {object} [options] - Set exceptSessionId to keep the caller's own session
+ */
+export const revokeAllSessions = async (userId, options = {}) => {
+    await getRepositories().sessions.revokeAllForUser(userId, { exceptId: options.exceptSessionId });
+};
+
+/**
+ * Check whether a session has been revoked
+ * @param {string} sessionId - auth_sessions.id
+ * @returns {Promise<boolean>} True if the session is revoked or does not exist
+ */
+export const isSessionRevoked = async (sessionId) => {
+    const session = await getRepositories().sessions.findById(sessionId);
+
+    return !session || !!session.revoked_at;
+};
+
+/**
+ * Read the refresh token from the request body or the refresh cookie
+ * @param {object} req - Express request
+ * @returns {{ token: string|null, fromCookie: boolean }}
+ */
+export const readRefreshToken = (req) => {
+    if (typeof req.body?.refreshToken === 'string' && req.body.refreshToken) {
+        return { token: req.body.refreshToken, fromCookie: false };
+    }
+
+    const cookies = req.headers.cookie || '';
+    for (const part of cookies.split(';')) {
+        const [name, ...rest] = part.trim().split('=');
+        if (name === REFRESH_COOKIE_NAME && rest.length > 0) {
+            return { token: decodeURIComponent(rest.join('=')), fromCookie: true };
+        }
+    }
+
+    return { token: null, fromCookie: false };
+};
@@ -0,0 +1,75 @@
+// Azure Blob Storage driver
+// Keys are "<container>/<blob path>". Needs AZURE_STORAGE_ACCOUNT_KEY, checked when the driver
+// is created so a missing key stops the server at boot instead of failing every upload
+
+import { BlobServiceClient, StorageSharedKeyCredential } from '@azure/storage-blob';
+import { azureConfig, getAzureBlobUrl } from '../config/azureStorage.js';
+import { getContentType } from './mediaTypes.js';
+
+export const createAzureDriver = (options = {}) => {
+    const endpoint = (options.endpoint || azureConfig.endpoint).replace(/\/$/, '');
+    const accountName = options.accountName || azureConfig.accountName;
+    const accountKey = options.accountKey || azureConfig.accountKey;
+
+    if (!accountKey) {
+        throw new Error('AZURE_STORAGE_ACCOUNT_KEY is required for MEDIA_STORAGE_DRIVER=azure. Set it, or use MEDIA_STORAGE_DRIVER=local');
+    }
+
+    const serviceClient = new BlobServiceClient(endpoint, new StorageSharedKeyCredential(accountName, accountKey));
+
+    const blobClientForKey = (key) => {
+        const [container, ...rest] = key.split('/');
+        if (!container || rest.length === 0) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return serviceClient.getContainerClient(container).getBlockBlobClient(rest.join('/'));
+    };
+
+    return {
+        name: 'azure',
+
+        async stat(key) {
+            try {
+                const properties = await blobClientForKey(key).getProperties();
+                return {
+                    size: properties.contentLength,
+                    contentType: properties.contentType || getContentType(key),
+                    lastModified: properties.lastModified || null
+                };
+            } catch (error) {
+                if (error.statusCode === 404) return null;
+                throw error;
+            }
+        },
+
+        async createReadStream(key, range = {}) {
+            const offset = range.start || 0;
+            const count = range.end !== undefined ? range.end - offset + 1 : undefined;
+            const response = await blobClientForKey(key).download(offset, count);
+            return response.readableStreamBody;
+        },
+
+        async put(key, data, contentType) {
+            await blobClientForKey(key).uploadData(data, {
+                blobHTTPHeaders: { blobContentType: contentType || getContentType(key) }
+            });
+            return this.getUrl(key);
+        },
+
+        async delete(key) {
+            await blobClientForKey(key).deleteIfExists();
+        },
+
+        getUrl(key) {
+            const [container, ...rest] = key.split('/');
+            return getAzureBlobUrl(container, rest.join('/'));
+        },
+
+        // Blobs are served by Azure directly
+        staticMiddleware() {
+            return null;
+        }
+    };
+};
+
+export default createAzureDriver;
@@ -0,0 +1,139 @@
+// Media storage layer
+// Selects a driver from MEDIA_STORAGE_DRIVER ("azure" or "local") so routes never
+// depend on where files actually live. Drivers implement:
+//   stat(key) -> { size, contentType, lastModified } | null
+//   createReadStream(key, { start, end }) -> Readable
+//   put(key, data, contentType) -> public URL
+//   delete(key)
+//   getUrl(key) -> public URL
+//   staticMiddleware(container) -> express middleware serving one container, or null
+
+import express from 'express';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { azureConfig } from '../config/azureStorage.js';
+import { createAzureDriver } from './azureDriver.js';
+import { createLocalDriver, LOCAL_MEDIA_URL_PREFIX } from './localDriver.js';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Profile pictures used to be written here by multer; existing rows still point at /uploads/...
+const LEGACY_UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+// Only images are public; audio goes through the authenticated GET /songs/:id/stream
+const STATIC_CONTAINERS = [
+    azureConfig.containers.albums,
+    azureConfig.containers.songs,
+    azureConfig.containers.profilePictures
+];
+
+const drivers = {
+    azure: () => createAzureDriver(),
+    local: () => createLocalDriver({
+        root: process.env.MEDIA_LOCAL_ROOT,
+        publicUrl: process.env.MEDIA_PUBLIC_URL
+    })
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage driver (created once, on first use)
+ * @returns {object} Storage driver
+ */
+export const getStorage = () => {
+    if (!storage) {
+        const driverName = (process.env.MEDIA_STORAGE_DRIVER || 'azure').toLowerCase();
+        const createDriver = drivers[driverName];
+        if (!createDriver) {
+            throw new Error(`Unknown MEDIA_STORAGE_DRIVER "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+        }
+        storage = createDriver();
+    }
+    return storage;
+};
+
+/**
+ * Convert a src stored in the database to a storage key
+ * Full Azure URLs become "<container>/<blob path>"; local /media URLs lose their prefix
+ * @param {string} src - Song or image src from the database
+ * @returns {string|null} Storage key, or null if src is empty
+ */
+export const keyFromSrc = (src) => {
+    if (!src) return null;
+
+    let key = src;
+    if (/^https?:\/\//i.test(src)) {
+        key = new URL(src).pathname;
+        // Keep any path prefix from the Azure endpoint out of the key
+        const endpointPath = new URL(azureConfig.endpoint).pathname.replace(/\/$/, '');
+        if (endpointPath && key.startsWith(endpointPath + '/')) {
+            key = key.slice(endpointPath.length);
+        }
+    }
+    if (key.startsWith(LOCAL_MEDIA_URL_PREFIX + '/')) {
+        key = key.slice(LOCAL_MEDIA_URL_PREFIX.length);
+    }
+    try {
+        key = decodeURIComponent(key);
+    } catch (error) {
+        // Not percent-encoded (e.g. a literal "%" in a seed URL); use as-is
+    }
+    return key.replace(/^\/+/, '');
+};
+
+
+/**
+ * Mount static file serving for media the backend hosts itself:
+ * the local driver's image containers, and legacy /uploads paths from before the storage layer
+ * @param {object} app - Express app
+ */
+export const mountMediaStatic = (app) => {
+    const storage = getStorage();
+    for (const container of STATIC_CONTAINERS) {
+        const middleware = storage.staticMiddleware(container);
+        if (middleware) {
+            app.use(`${LOCAL_MEDIA_URL_PREFIX}/${container}`, middleware);
+        }
+    }
+    app.use('/uploads', express.static(LEGACY_UPLOADS_DIR, { index: false, dotfiles: 'deny' }));
+};
+
+/**
+ * Build a unique storage key for an uploaded file
+ * @param {string} container - Container name, e.g. from getContainerName()
+ * @param {string} prefix - Readable prefix such as an album or user id
+ * @param {string} originalName - Original file name, used for its extension
+ * @returns {string} Storage key
+ */
+export const buildUploadKey = (container, prefix, originalName) => {
+    const ext = path.extname(originalName || '').toLowerCase();
+    const safePrefix = String(prefix).replace(/[^a-zA-Z0-9_-]+/g, '-');
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    return `${container}/${safePrefix}-${uniqueSuffix}${ext}`;
+};
+
+/**
+ * Delete a previously uploaded file, but only if its URL belongs to the active storage driver
+ * Failures are logged and swallowed since the database is the source of truth
+ * @param {string} src - URL stored in the database
+ */
+export const deleteStoredFile = async (src) => {
+    const key = keyFromSrc(src);
+    if (!key) return;
+
+    const storage = getStorage();
+    if (storage.getUrl(key) !== src) return;
+
+    try {
+        await storage.delete(key);
+    } catch (error) {
+        console.error(`Error deleting stored file ${key}:`, error);
+    }
+};
+
+export default getStorage;
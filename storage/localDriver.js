@@ -0,0 +1,88 @@
+// Local filesystem storage driver
+// Files live under MEDIA_LOCAL_ROOT (default: ./media), keyed by their container path,
+// e.g. "music/Perfect/Perfect.mp3" -> ./media/music/Perfect/Perfect.mp3
+// and are addressed by URLs under LOCAL_MEDIA_URL_PREFIX, e.g. /media/music/Perfect/Perfect.mp3
+// (prefixed with MEDIA_PUBLIC_URL when the frontend is served from another origin)
+
+import express from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getContentType } from './mediaTypes.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const LOCAL_MEDIA_URL_PREFIX = '/media';
+
+export const createLocalDriver = (options = {}) => {
+    const root = path.resolve(options.root || path.join(__dirname, '../media'));
+    const publicUrl = (options.publicUrl || '').replace(/\/$/, '');
+
+    // Resolve a key to an absolute path, refusing anything outside the root
+    const resolveKey = (key) => {
+        const filePath = path.resolve(root, key);
+        if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+            return null;
+        }
+        return filePath;
+    };
+
+    return {
+        name: 'local',
+
+        async stat(key) {
+            const filePath = resolveKey(key);
+            if (!filePath) return null;
+
+            try {
+                const stats = await fs.promises.stat(filePath);
+                if (!stats.isFile()) return null;
+                return {
+                    size: stats.size,
+                    contentType: getContentType(key),
+                    lastModified: stats.mtime
+                };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async createReadStream(key, range = {}) {
+            const filePath = resolveKey(key);
+            if (!filePath) {
+                throw new Error(`Invalid storage key: ${key}`);
+            }
+            return fs.createReadStream(filePath, { start: range.start, end: range.end });
+        },
+
+        async put(key, data) {
+            const filePath = resolveKey(key);
+            if (!filePath) {
+                throw new Error(`Invalid storage key: ${key}`);
+            }
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(filePath, data);
+            return this.getUrl(key);
+        },
+
+        async delete(key) {
+            const filePath = resolveKey(key);
+            if (!filePath) return;
+            await fs.promises.rm(filePath, { force: true });
+        },
+
+        getUrl(key) {
+            return `${publicUrl}${LOCAL_MEDIA_URL_PREFIX}/${key.split('/').map(encodeURIComponent).join('/')}`;
+        },
+
+        // Serves one container's files, since nothing else hosts them
+        staticMiddleware(container) {
+            const directory = resolveKey(container);
+            return directory ? express.static(directory, { index: false, dotfiles: 'deny' }) : null;
+        }
+    };
+};
+
+export default createLocalDriver;
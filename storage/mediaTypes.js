@@ -0,0 +1,33 @@
+// Content types for media files served through the storage layer
+
+import path from 'path';
+
+const MEDIA_TYPES = {
+    '.mp3': 'audio/mpeg',
+    '.m4a': 'audio/mp4',
+    '.mp4': 'audio/mp4',
+    '.aac': 'audio/aac',
+    '.ogg': 'audio/ogg',
+    '.oga': 'audio/ogg',
+    '.opus': 'audio/ogg',
+    '.wav': 'audio/wav',
+    '.flac': 'audio/flac',
+    '.webm': 'audio/webm',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.png': 'image/png',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+/**
+ * Get the content type for a file based on its extension
+ * @param {string} fileName - File name or storage key
+ * @returns {string} MIME type, or application/octet-stream if unknown
+ */
+export const getContentType = (fileName) => {
+    const ext = path.extname(fileName || '').toLowerCase();
+    return MEDIA_TYPES[ext] || 'application/octet-stream';
+};
+
+export default getContentType;
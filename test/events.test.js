@@ -0,0 +1,117 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, request, signIn } from './helpers/server.js';
+
+let server;
+let token;
+let songIds;
+
+before(async () => {
+    server = await startServer();
+    ({ accessToken: token } = await signIn(server.baseUrl, 'alice@example.com'));
+    const album = await request(server.baseUrl, 'GET', '/albums/Perfect');
+    songIds = album.body.songs.map(song => song.id);
+});
+
+after(() => server.close());
+
+// Open the event stream and read it event by event; comments (heartbeats) are skipped
+const openStream = async (headers = {}) => {
+    const controller = new AbortController();
+    const response = await fetch(`${server.baseUrl}/api/events`, {
+        headers: { Authorization: token, ...headers },
+        signal: controller.signal
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    const queued = [];
+    let buffered = '';
+
+    const next = async () => {
+        while (queued.length === 0) {
+            const { value, done } = await reader.read();
+            if (done) throw new Error('Stream ended');
+            buffered += value;
+            let end;
+            while ((end = buffered.indexOf('\n\n')) !== -1) {
+                const fields = Object.fromEntries(buffered.slice(0, end).split('\n')
+                    .filter(line => line && !line.startsWith(':'))
+                    .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                buffered = buffered.slice(end + 2);
+                if (fields.event) {
+                    queued.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+                }
+            }
+        }
+        return queued.shift();
+    };
+
+    // Everything up to and including `ready`
+    const untilReady = async () => {
+        const events = [];
+        let event;
+        do {
+            event = await next();
+            events.push(event);
+        } while (event.type !== 'ready');
+        return events;
+    };
+
+    return { next, untilReady, close: () => controller.abort() };
+};
+
+const favorite = (songId) => request(server.baseUrl, 'POST', '/api/favorites/add', { token, body: { songId } });
+
+test('changes reach an open stream', async () => {
+    const stream = await openStream();
+    await stream.untilReady();
+
+    assert.equal((await favorite(songIds[0])).status, 200);
+
+    const event = await stream.next();
+    assert.equal(event.type, 'favorites');
+    assert.equal(event.data.action, 'added');
+    assert.equal(event.data.songId, songIds[0]);
+    stream.close();
+});
+
+test('a reconnect with Last-Event-ID replays what was missed', async () => {
+    const first = await openStream();
+    const [ready] = await first.untilReady();
+    first.close();
+
+    assert.equal((await favorite(songIds[1])).status, 200);
+    assert.equal((await request(server.baseUrl, 'DELETE', '/api/favorites/remove', { token, body: { songId: songIds[1] } })).status, 200);
+
+    const second = await openStream({ 'Last-Event-ID': ready.id });
+    const events = await second.untilReady();
+    second.close();
+
+    assert.deepEqual(events.map(event => [event.type, event.data.action, event.data.songId]), [
+        ['favorites', 'added', songIds[1]],
+        ['favorites', 'removed', songIds[1]],
+        ['ready', undefined, undefined]
+    ]);
+});
+
+test('a reconnect that missed nothing replays nothing', async () => {
+    const first = await openStream();
+    const [ready] = await first.untilReady();
+    first.close();
+
+    const second = await openStream({ 'Last-Event-ID': ready.id });
+    const events = await second.untilReady();
+    second.close();
+
+    assert.deepEqual(events.map(event => event.type), ['ready']);
+});
+
+test('an id from another server instance asks for a resync', async () => {
+    const stream = await openStream({ 'Last-Event-ID': 'ffffffff-1' });
+    const events = await stream.untilReady();
+    stream.close();
+
+    assert.deepEqual(events.map(event => event.type), ['resync', 'ready']);
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, request, signIn } from './helpers/server.js';
+import { compareNewestFirst } from '../utils/pagination.js';
+
+const PLAYS = ['One', 'Two', 'Three', 'Four', 'Five'];
+
+let server;
+let aliceToken;
+
+before(async () => {
+    server = await startServer();
+    ({ accessToken: aliceToken } = await signIn(server.baseUrl, 'alice@example.com'));
+    const { accessToken: bobToken } = await signIn(server.baseUrl, 'bob@example.com');
+
+    const follow = await request(server.baseUrl, 'POST', '/users/profile/bob/follow', { token: aliceToken });
+    assert.equal(follow.status, 200);
+
+    // Plays recorded in the same millisecond share a timestamp, which the cursor has to break by id
+    for (const songTitle of PLAYS) {
+        const play = await request(server.baseUrl, 'POST', '/api/history/add', { token: bobToken, body: { songTitle } });
+        assert.equal(play.status, 200);
+    }
+
+    const album = await request(server.baseUrl, 'GET', '/albums/Perfect');
+    for (const song of album.body.songs.slice(0, 2)) {
+        const favorite = await request(server.baseUrl, 'POST', '/api/favorites/add', { token: bobToken, body: { songId: song.id } });
+        assert.equal(favorite.status, 200);
+    }
+});
+
+after(() => server.close());
+
+const getFeed = (query) => request(server.baseUrl, 'GET', `/api/feed?${new URLSearchParams(query)}`, { token: aliceToken });
+
+test('following nextCursor visits every event once, newest first', async () => {
+    const events = [];
+    let cursor = null;
+    let pages = 0;
+    do {
+        const response = await getFeed(cursor ? { limit: 2, cursor } : { limit: 2 });
+        assert.equal(response.status, 200);
+        assert.ok(response.body.events.length <= 2);
+        events.push(...response.body.events);
+        cursor = response.body.pagination.nextCursor;
+        assert.equal(response.body.pagination.hasMore, cursor !== null);
+        pages += 1;
+    } while (cursor && pages < 10);
+
+    assert.equal(pages, 4);
+    assert.equal(events.length, PLAYS.length + 2);
+    assert.equal(new Set(events.map(event => event.id)).size, events.length);
+
+    const times = events.map(event => Date.parse(event.createdAt));
+    assert.deepEqual(times, [...times].sort((a, b) => b - a));
+
+    const played = events.filter(event => event.type === 'track_played').map(event => event.song.title);
+    assert.deepEqual(played.sort(), [...PLAYS].sort());
+    assert.equal(events.filter(event => event.type === 'song_favorited').length, 2);
+    assert.ok(events.every(event => event.actor.username === 'bob'));
+});
+
+test('one page holding everything has no next cursor', async () => {
+    const response = await getFeed({ limit: 50 });
+    assert.equal(response.body.events.length, PLAYS.length + 2);
+    assert.equal(response.body.pagination.hasMore, false);
+    assert.equal(response.body.pagination.nextCursor, null);
+});
+
+test('a malformed cursor is rejected', async () => {
+    const response = await getFeed({ cursor: 'not-a-cursor' });
+    assert.equal(response.status, 400);
+});
+
+test('users who follow nobody get an empty feed', async () => {
+    const { accessToken } = await signIn(server.baseUrl, 'admin@example.com');
+    const response = await request(server.baseUrl, 'GET', '/api/feed', { token: accessToken });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.events, []);
+});
+
+test('feed order tells apart times within the same millisecond', () => {
+    const positions = [
+        { time: '2024-05-01T10:00:00.123+00:00', id: 'b' },
+        { time: '2024-05-01T10:00:00.123456+00:00', id: 'a' },
+        { time: '2024-05-01T10:00:00.1234+00:00', id: 'c' },
+        { time: '2024-05-01T10:00:00.123+00:00', id: 'a' }
+    ];
+    assert.deepEqual(positions.sort(compareNewestFirst).map(position => position.id), ['a', 'c', 'a', 'b']);
+});
@@ -0,0 +1,90 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, request, signIn } from './helpers/server.js';
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer();
+    for (const name of ['admin', 'alice', 'bob']) {
+        ({ accessToken: tokens[name] } = await signIn(server.baseUrl, `${name}@example.com`));
+    }
+});
+
+after(() => server.close());
+
+const follow = (who, username) => request(server.baseUrl, 'POST', `/users/profile/${username}/follow`, { token: tokens[who] });
+const unfollow = (who, username) => request(server.baseUrl, 'DELETE', `/users/profile/${username}/follow`, { token: tokens[who] });
+const followers = (who, username) => request(server.baseUrl, 'GET', `/users/profile/${username}/followers`, { token: tokens[who] });
+
+test('following someone once, and never yourself', async () => {
+    const followed = await follow('bob', 'alice');
+    assert.equal(followed.status, 200);
+    assert.deepEqual(followed.body.relationship, { following: true, followedBy: false, mutual: false });
+
+    const again = await follow('bob', 'alice');
+    assert.equal(again.status, 400);
+    assert.equal(again.body.code, 'ALREADY_FOLLOWING');
+
+    const self = await follow('bob', 'bob');
+    assert.equal(self.status, 400);
+    assert.equal(self.body.code, 'CANNOT_FOLLOW_SELF');
+});
+
+test('a follow-back makes the follow mutual', async () => {
+    let list = await followers('admin', 'alice');
+    assert.deepEqual(list.body.users.map(user => [user.username, user.mutual]), [['bob', false]]);
+
+    const followedBack = await follow('alice', 'bob');
+    assert.deepEqual(followedBack.body.relationship, { following: true, followedBy: true, mutual: true });
+
+    list = await followers('admin', 'alice');
+    assert.deepEqual(list.body.users.map(user => [user.username, user.mutual]), [['bob', true]]);
+});
+
+test('a private profile hides its lists and only takes follow-backs', async () => {
+    const updated = await request(server.baseUrl, 'PUT', '/users/update/alice', {
+        token: tokens.alice,
+        body: { preferences: { privacy: 'private' } }
+    });
+    assert.equal(updated.status, 200);
+
+    const hidden = await followers('admin', 'alice');
+    assert.equal(hidden.status, 403);
+    assert.equal(hidden.body.code, 'PROFILE_PRIVATE');
+    assert.equal((await followers('alice', 'alice')).status, 200);
+
+    const refused = await follow('admin', 'alice');
+    assert.equal(refused.status, 403);
+
+    assert.equal((await follow('alice', 'admin')).status, 200);
+    assert.equal((await follow('admin', 'alice')).status, 200);
+});
+
+test('a private profile shows others none of its details', async () => {
+    const profile = (who) => request(server.baseUrl, 'GET', '/users/profile/alice', { token: tokens[who] });
+
+    const seen = await profile('bob');
+    assert.equal(seen.status, 200);
+    assert.equal(seen.body.username, 'alice');
+    for (const field of ['email', 'bio', 'location', 'socialLinks', 'preferences']) {
+        assert.equal(seen.body[field], null, field);
+    }
+    assert.equal(seen.body.stats.followers, null);
+
+    const own = await profile('alice');
+    assert.equal(own.body.email, 'alice@example.com');
+    assert.equal(own.body.preferences.privacy, 'private');
+    assert.equal(typeof own.body.stats.followers, 'number');
+});
+
+test('unfollowing removes the follow once', async () => {
+    const removed = await unfollow('bob', 'alice');
+    assert.equal(removed.status, 200);
+    assert.deepEqual(removed.body.relationship, { following: false, followedBy: true, mutual: false });
+
+    const again = await unfollow('bob', 'alice');
+    assert.equal(again.status, 404);
+    assert.equal(again.body.code, 'NOT_FOLLOWING');
+});
@@ -0,0 +1,94 @@
+// Test harness: runs the app on the memory backend, seeded from test/fixtures/seed.json
+// node --test runs every test file in its own process, so each file starts from a fresh store.
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { registerMailTransport } from '../../services/mailer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const PASSWORD = 'password123';
+
+// Set before the app is imported; dotenv never overrides variables that are already set
+Object.assign(process.env, {
+    DATA_BACKEND: 'memory',
+    MEMORY_SEED_FILE: path.join(__dirname, '../fixtures/seed.json'),
+    JWT_SECRET: 'test-secret',
+    MEDIA_STORAGE_DRIVER: 'local',
+    MAIL_TRANSPORT: 'test',
+    RATE_LIMIT_ENABLED: 'false'
+});
+
+// Emails the app sent, newest last
+export const sentMail = [];
+registerMailTransport('test', () => ({
+    async send(message) {
+        sentMail.push(message);
+    }
+}));
+
+/**
+ * Start the app on a free port
+ * @returns {Promise<{ baseUrl: string, close: function }>}
+ */
+export const startServer = async () => {
+    const { default: app } = await import('../../app.js');
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise((resolve) => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+};
+
+/**
+ * Send a JSON request
+ * @param {string} baseUrl - From startServer()
+ * @param {string} method - HTTP method
+ * @param {string} urlPath - e.g. "/api/playlists/create"
+ * @param {object} [options]
+ * @param {string} [options.token] - Access token
+ * @param {object} [options.body] - JSON body
+ * @param {object} [options.headers] - Extra headers
+ * @returns {Promise<{ status: number, headers: Headers, body: * }>} body is parsed JSON, or text
+ */
+export const request = async (baseUrl, method, urlPath, { token, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+        method,
+        headers: {
+            Accept: 'application/json',
+            ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+            ...(token ? { Authorization: token } : {}),
+            ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    const text = await response.text();
+    let parsed = text;
+    try {
+        parsed = JSON.parse(text);
+    } catch (error) {
+        // Not JSON: keep the text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+};
+
+/**
+ * Sign in a seeded user
+ * @param {string} baseUrl - From startServer()
+ * @param {string} email - Seeded account email
+ * @returns {Promise<{ accessToken: string, refreshToken: string }>}
+ */
+export const signIn = async (baseUrl, email) => {
+    const { status, body } = await request(baseUrl, 'POST', '/users/signin', { body: { email, password: PASSWORD } });
+    if (status !== 200) {
+        throw new Error(`Sign-in as ${email} failed with ${status}: ${JSON.stringify(body)}`);
+    }
+    return body;
+};
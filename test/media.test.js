@@ -0,0 +1,47 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startServer, request, signIn } from './helpers/server.js';
+
+let server;
+let mediaRoot;
+
+before(async () => {
+    mediaRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'justvibe-media-'));
+    fs.mkdirSync(path.join(mediaRoot, 'albumimages'));
+    fs.mkdirSync(path.join(mediaRoot, 'music/Perfect'), { recursive: true });
+    fs.writeFileSync(path.join(mediaRoot, 'albumimages/Perfect.jpg'), 'cover');
+    fs.writeFileSync(path.join(mediaRoot, 'music/Perfect/Perfect.mp3'), 'audio');
+
+    process.env.MEDIA_LOCAL_ROOT = mediaRoot;
+    server = await startServer();
+});
+
+after(async () => {
+    await server.close();
+    fs.rmSync(mediaRoot, { recursive: true, force: true });
+});
+
+test('images are served statically', async () => {
+    const response = await request(server.baseUrl, 'GET', '/media/albumimages/Perfect.jpg');
+    assert.equal(response.status, 200);
+    assert.equal(response.body, 'cover');
+});
+
+test('audio is only available through the authenticated stream route', async () => {
+    const direct = await request(server.baseUrl, 'GET', '/media/music/Perfect/Perfect.mp3');
+    assert.equal(direct.status, 404);
+
+    const album = await request(server.baseUrl, 'GET', '/albums/Perfect');
+    const song = album.body.songs.find(candidate => candidate.title === 'Perfect');
+
+    const anonymous = await request(server.baseUrl, 'GET', `/songs/${song.id}/stream?record=false`);
+    assert.equal(anonymous.status, 401);
+
+    const { accessToken: token } = await signIn(server.baseUrl, 'alice@example.com');
+    const streamed = await request(server.baseUrl, 'GET', `/songs/${song.id}/stream?record=false`, { token });
+    assert.equal(streamed.status, 200);
+    assert.equal(streamed.body, 'audio');
+});
@@ -0,0 +1,55 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, request, signIn, PASSWORD } from './helpers/server.js';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+test('the seeded catalog is served', async () => {
+    const response = await request(server.baseUrl, 'GET', '/albums/Perfect');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.artist, 'Ed Sheeran');
+    assert.deepEqual(response.body.songs.map(song => song.title).sort(), ['Dive', 'Happier', 'Perfect']);
+});
+
+test('seeded users sign in with their passwords only', async () => {
+    const tokens = await signIn(server.baseUrl, 'alice@example.com');
+    assert.ok(tokens.accessToken);
+
+    const wrong = await request(server.baseUrl, 'POST', '/users/signin', { body: { email: 'alice@example.com', password: 'wrong-password' } });
+    assert.equal(wrong.status, 401);
+});
+
+test('a registered user can sign in and read their profile', async () => {
+    const registered = await request(server.baseUrl, 'POST', '/users/insert', {
+        body: { email: 'carol@example.com', password: PASSWORD, username: 'carol' }
+    });
+    assert.equal(registered.status, 200);
+
+    const again = await request(server.baseUrl, 'POST', '/users/insert', {
+        body: { email: 'carol@example.com', password: PASSWORD, username: 'carol2' }
+    });
+    assert.equal(again.status, 400);
+
+    const { accessToken } = await signIn(server.baseUrl, 'carol@example.com');
+    const username = await request(server.baseUrl, 'POST', '/users/getusername', { body: { csrid: accessToken } });
+    assert.equal(username.status, 200);
+    assert.equal(username.body.username, 'carol');
+});
+
+test('writes are visible to later reads', async () => {
+    const { accessToken: token } = await signIn(server.baseUrl, 'bob@example.com');
+    const album = await request(server.baseUrl, 'GET', '/albums/Perfect');
+    const songId = album.body.songs[0].id;
+
+    assert.equal((await request(server.baseUrl, 'POST', '/api/favorites/add', { token, body: { songId } })).status, 200);
+
+    const favorites = await request(server.baseUrl, 'GET', '/api/favorites/user', { token });
+    assert.equal(favorites.status, 200);
+    assert.deepEqual(favorites.body.favorites.map(favorite => favorite.songId), [songId]);
+});
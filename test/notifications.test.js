@@ -0,0 +1,58 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'timers/promises';
+import { startServer, request, signIn } from './helpers/server.js';
+
+let server;
+const tokens = {};
+
+before(async () => {
+    server = await startServer();
+    for (const name of ['admin', 'alice', 'bob']) {
+        ({ accessToken: tokens[name] } = await signIn(server.baseUrl, `${name}@example.com`));
+    }
+});
+
+after(() => server.close());
+
+const notificationsOf = async (who, type) => {
+    const response = await request(server.baseUrl, 'GET', '/api/notifications', { token: tokens[who] });
+    assert.equal(response.status, 200);
+    return response.body.notifications.filter(notification => notification.type === type);
+};
+
+const refollow = async (who, username) => {
+    assert.equal((await request(server.baseUrl, 'POST', `/users/profile/${username}/follow`, { token: tokens[who] })).status, 200);
+    assert.equal((await request(server.baseUrl, 'DELETE', `/users/profile/${username}/follow`, { token: tokens[who] })).status, 200);
+    assert.equal((await request(server.baseUrl, 'POST', `/users/profile/${username}/follow`, { token: tokens[who] })).status, 200);
+};
+
+test('following again does not repeat an unread new_follower notification', async () => {
+    await refollow('bob', 'alice');
+    assert.equal((await notificationsOf('alice', 'new_follower')).length, 1);
+
+    assert.equal((await request(server.baseUrl, 'POST', '/api/notifications/read-all', { token: tokens.alice })).status, 200);
+    await request(server.baseUrl, 'DELETE', '/users/profile/alice/follow', { token: tokens.bob });
+    await request(server.baseUrl, 'POST', '/users/profile/alice/follow', { token: tokens.bob });
+    assert.equal((await notificationsOf('alice', 'new_follower')).length, 2);
+});
+
+test('fans hear about a new album after the response', async () => {
+    const album = await request(server.baseUrl, 'GET', '/albums/Perfect');
+    const favorite = await request(server.baseUrl, 'POST', '/api/favorites/add', { token: tokens.bob, body: { songId: album.body.songs[0].id } });
+    assert.equal(favorite.status, 200);
+
+    const created = await request(server.baseUrl, 'POST', '/api/admin/albums', {
+        token: tokens.admin,
+        body: { id: 'Divide', title: 'Divide', artist: 'Ed Sheeran' }
+    });
+    assert.equal(created.status, 200);
+
+    let releases = [];
+    for (let attempt = 0; attempt < 50 && releases.length === 0; attempt++) {
+        releases = await notificationsOf('bob', 'album_release');
+        if (releases.length === 0) await delay(20);
+    }
+    assert.equal(releases.length, 1);
+    assert.equal(releases[0].album.id, 'Divide');
+});
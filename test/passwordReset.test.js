@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, request, signIn, sentMail, PASSWORD } from './helpers/server.js';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+const refresh = (refreshToken) => request(server.baseUrl, 'POST', '/users/refresh', { body: { refreshToken } });
+
+const resetTokenFromMail = (mail) => new URL(/https?:\/\/\S+/.exec(mail.text)[0]).searchParams.get('token');
+
+test('a password reset token works exactly once', async () => {
+    const tokens = await signIn(server.baseUrl, 'bob@example.com');
+
+    const forgot = await request(server.baseUrl, 'POST', '/users/forgot-password', { body: { email: 'bob@example.com' } });
+    assert.equal(forgot.status, 200);
+    const mail = sentMail.at(-1);
+    assert.equal(mail.to, 'bob@example.com');
+    const token = resetTokenFromMail(mail);
+
+    const reset = await request(server.baseUrl, 'POST', '/users/reset-password', { body: { token, newPassword: 'new-password-1' } });
+    assert.equal(reset.status, 200);
+
+    const again = await request(server.baseUrl, 'POST', '/users/reset-password', { body: { token, newPassword: 'new-password-2' } });
+    assert.equal(again.status, 400);
+
+    // The first reset stands, and it logged out the existing session
+    const oldPassword = await request(server.baseUrl, 'POST', '/users/signin', { body: { email: 'bob@example.com', password: PASSWORD } });
+    assert.equal(oldPassword.status, 401);
+    const newPassword = await request(server.baseUrl, 'POST', '/users/signin', { body: { email: 'bob@example.com', password: 'new-password-1' } });
+    assert.equal(newPassword.status, 200);
+    assert.equal((await refresh(tokens.refreshToken)).status, 401);
+});
+
+test('forgot-password answers the same for unknown accounts and sends nothing', async () => {
+    const before = sentMail.length;
+    const forgot = await request(server.baseUrl, 'POST', '/users/forgot-password', { body: { email: 'nobody@example.com' } });
+    assert.equal(forgot.status, 200);
+    assert.equal(sentMail.length, before);
+});
+
+test('forgot-password is rate limited per account', async (t) => {
+    process.env.RATE_LIMIT_ENABLED = 'true';
+    t.after(() => { process.env.RATE_LIMIT_ENABLED = 'false'; });
+
+    const forgot = () => request(server.baseUrl, 'POST', '/users/forgot-password', {
+        headers: { Accept: '*/*' },
+        body: { email: 'Alice@example.com' }
+    });
+    for (let attempt = 0; attempt < 3; attempt++) {
+        assert.equal((await forgot()).status, 200);
+    }
+
+    const limited = await forgot();
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+});
@@ -0,0 +1,88 @@
+import { test, before, after } from 'node:test';
+import crypto from 'crypto';
+import assert from 'node:assert/strict';
+import { startServer, request, signIn } from './helpers/server.js';
+
+let server;
+let token;
+let playlistId;
+let trackIds;
+
+before(async () => {
+    server = await startServer();
+    ({ accessToken: token } = await signIn(server.baseUrl, 'alice@example.com'));
+
+    const created = await request(server.baseUrl, 'POST', '/api/playlists/create', { token, body: { name: 'Road trip' } });
+    assert.equal(created.status, 200);
+    playlistId = created.body.playlist.id;
+
+    const added = await request(server.baseUrl, 'POST', `/api/playlists/${playlistId}/songs/add`, {
+        token,
+        body: { songs: ['Perfect', 'Dive', 'Happier'].map(title => ({ title, albumId: 'Perfect', src: `/media/music/Perfect/${title}.mp3` })) }
+    });
+    assert.equal(added.status, 200);
+    trackIds = added.body.songs.map(song => song.id);
+});
+
+after(() => server.close());
+
+const reorder = (ids) => request(server.baseUrl, 'PUT', `/api/playlists/${playlistId}/songs/reorder`, { token, body: { trackIds: ids } });
+
+test('reorder applies the new order', async () => {
+    const reversed = [...trackIds].reverse();
+    const response = await reorder(reversed);
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.songs.map(song => song.id), reversed);
+
+    const listed = await request(server.baseUrl, 'GET', `/api/playlists/${playlistId}/songs`, { token });
+    assert.deepEqual(listed.body.songs.map(song => song.id), reversed);
+});
+
+test('reorder with a missing track is a conflict and changes nothing', async () => {
+    const before = await request(server.baseUrl, 'GET', `/api/playlists/${playlistId}/songs`, { token });
+
+    const response = await reorder(trackIds.slice(1));
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'TRACK_SET_MISMATCH');
+
+    const after = await request(server.baseUrl, 'GET', `/api/playlists/${playlistId}/songs`, { token });
+    assert.deepEqual(after.body.songs.map(song => song.id), before.body.songs.map(song => song.id));
+});
+
+test('reorder with a track from elsewhere is a conflict', async () => {
+    const response = await reorder([...trackIds.slice(1), crypto.randomUUID()]);
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'TRACK_SET_MISMATCH');
+});
+
+test('reorder with a duplicated track is rejected', async () => {
+    const response = await reorder([trackIds[0], ...trackIds]);
+    assert.equal(response.status, 400);
+});
+
+test('reorder by someone without access finds no playlist', async () => {
+    const { accessToken: bobToken } = await signIn(server.baseUrl, 'bob@example.com');
+    const response = await request(server.baseUrl, 'PUT', `/api/playlists/${playlistId}/songs/reorder`, {
+        token: bobToken,
+        body: { trackIds }
+    });
+    assert.equal(response.status, 404);
+});
+
+test('the playlist list includes songs on v1 unless lite, and on v2 only when asked', async () => {
+    const listed = (path) => request(server.baseUrl, 'GET', path, { token })
+        .then(response => response.body.playlists ?? response.body.data.playlists)
+        .then(playlists => playlists.find(playlist => playlist.id === playlistId));
+
+    const full = await listed('/api/playlists/user');
+    assert.equal(full.songCount, 3);
+    assert.equal(full.totalDuration, 263 + 238 + 207);
+    assert.equal(full.songs.length, 3);
+
+    const lite = await listed('/api/playlists/user?lite=true');
+    assert.equal(lite.totalDuration, full.totalDuration);
+    assert.equal(lite.songs, undefined);
+
+    assert.equal((await listed('/v2/playlists/user')).songs, undefined);
+    assert.equal((await listed('/v2/playlists/user?include=songs')).songs.length, 3);
+});
@@ -0,0 +1,46 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, request, signIn } from './helpers/server.js';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+const refresh = (refreshToken) => request(server.baseUrl, 'POST', '/users/refresh', { body: { refreshToken } });
+
+test('refresh rotates the refresh token and keeps the session', async () => {
+    const tokens = await signIn(server.baseUrl, 'alice@example.com');
+
+    const rotated = await refresh(tokens.refreshToken);
+    assert.equal(rotated.status, 200);
+    assert.ok(rotated.body.accessToken);
+    assert.notEqual(rotated.body.refreshToken, tokens.refreshToken);
+
+    const next = await refresh(rotated.body.refreshToken);
+    assert.equal(next.status, 200);
+
+    const me = await request(server.baseUrl, 'GET', '/api/notifications/unread-count', { token: next.body.accessToken });
+    assert.equal(me.status, 200);
+});
+
+test('reusing a spent refresh token revokes the whole session', async () => {
+    const tokens = await signIn(server.baseUrl, 'alice@example.com');
+    const rotated = await refresh(tokens.refreshToken);
+    assert.equal(rotated.status, 200);
+
+    const reused = await refresh(tokens.refreshToken);
+    assert.equal(reused.status, 401);
+    assert.match(reused.body.error, /reuse detected/);
+
+    // The token handed out by the legitimate rotation dies with the session
+    const afterReuse = await refresh(rotated.body.refreshToken);
+    assert.equal(afterReuse.status, 401);
+
+    const me = await request(server.baseUrl, 'GET', '/api/notifications/unread-count', { token: rotated.body.accessToken });
+    assert.equal(me.status, 401);
+    assert.equal(me.body.code, 'TOKEN_REVOKED');
+});
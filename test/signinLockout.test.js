@@ -0,0 +1,33 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, request, PASSWORD } from './helpers/server.js';
+
+let server;
+
+before(async () => {
+    // Clients are told apart by X-Forwarded-For
+    process.env.TRUST_PROXY = 'true';
+    process.env.RATE_LIMIT_ENABLED = 'true';
+    server = await startServer();
+});
+
+after(() => server.close());
+
+const signInFrom = (ip, password) => request(server.baseUrl, 'POST', '/users/signin', {
+    headers: { 'X-Forwarded-For': ip },
+    body: { email: 'alice@example.com', password }
+});
+
+test('failed sign-ins lock the account only for the client that failed', async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        assert.equal((await signInFrom('203.0.113.1', 'wrong-password')).status, 401);
+    }
+
+    const locked = await signInFrom('203.0.113.1', PASSWORD);
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.code, 'ACCOUNT_LOCKED');
+
+    const elsewhere = await signInFrom('198.51.100.7', PASSWORD);
+    assert.equal(elsewhere.status, 200);
+    assert.ok(elsewhere.body.accessToken);
+});
@@ -0,0 +1,68 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, request, PASSWORD } from './helpers/server.js';
+
+let server;
+
+before(async () => {
+    server = await startServer();
+});
+
+after(() => server.close());
+
+test('successful responses are wrapped in data and meta', async () => {
+    const response = await request(server.baseUrl, 'GET', '/v2/albums/Perfect', { headers: { 'X-Request-Id': 'req-123' } });
+    assert.equal(response.status, 200);
+    assert.deepEqual(Object.keys(response.body).sort(), ['data', 'meta']);
+    assert.equal(response.body.data.id, 'Perfect');
+    assert.equal(response.body.meta.requestId, 'req-123');
+    assert.equal(response.headers.get('x-request-id'), 'req-123');
+});
+
+test('the v1 route answers the same data without the envelope', async () => {
+    const v1 = await request(server.baseUrl, 'GET', '/albums/Perfect');
+    const v2 = await request(server.baseUrl, 'GET', '/v2/albums/Perfect');
+    assert.deepEqual(v2.body.data, v1.body);
+});
+
+test('text auth routes answer JSON inside the envelope', async () => {
+    const response = await request(server.baseUrl, 'POST', '/v2/users/signin', {
+        headers: { Accept: 'text/plain' },
+        body: { email: 'alice@example.com', password: PASSWORD }
+    });
+    assert.equal(response.status, 200);
+    assert.ok(response.body.data.accessToken);
+    assert.ok(response.body.data.refreshToken);
+});
+
+test('errors carry a code, message and details', async () => {
+    const response = await request(server.baseUrl, 'POST', '/v2/users/signin', { body: { email: 'alice@example.com' } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, 'VALIDATION_FAILED');
+    assert.equal(typeof response.body.error.message, 'string');
+    assert.ok(response.body.error.details.some(detail => detail.field === 'password'));
+    assert.ok(response.body.meta.requestId);
+    assert.equal(response.body.data, undefined);
+});
+
+test('errors without a specific code get one from the status', async () => {
+    const missing = await request(server.baseUrl, 'GET', '/v2/albums/NoSuchAlbum');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error.code, 'NOT_FOUND');
+
+    const anonymous = await request(server.baseUrl, 'GET', '/v2/favorites/user');
+    assert.equal(anonymous.status, 401);
+    assert.equal(anonymous.body.error.code, 'TOKEN_REQUIRED');
+});
+
+test('malformed JSON bodies are enveloped too', async () => {
+    const response = await fetch(`${server.baseUrl}/v2/users/signin`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: '{"email":'
+    });
+    const body = await response.json();
+    assert.equal(response.status, 400);
+    assert.equal(body.error.code, 'BAD_REQUEST');
+    assert.ok(body.meta.requestId);
+});
@@ -0,0 +1,51 @@
+// Shared helpers for shaping album and song rows from the catalog
+
+/**
+ * Deduplicate songs by title and src to prevent showing same song multiple times
+ * @param {Array<object>} songs - Song rows from the songs table
+ * @returns {Array<object>} Songs with duplicates removed, first occurrence kept
+ */
+export const dedupeSongs = (songs) => {
+    const seenSongs = new Map();
+    return (songs || []).filter(song => {
+        const key = `${song.title}-${song.src}`;
+        if (seenSongs.has(key)) {
+            return false;
+        }
+        seenSongs.set(key, true);
+        return true;
+    });
+};
+
+/**
+ * Shape an album row (optionally with nested songs) into the frontend format
+ * @param {object} album - Album row, with a nested songs array when selected
+ * @param {object} [options] - Set includeSongs to false to leave out the song list
+ * @returns {object} Formatted album
+ */
+export const formatAlbum = (album, options = {}) => {
+    const { includeSongs = true } = options;
+
+    const formatted = {
+        id: album.id,
+        title: album.title,
+        artist: album.artist,
+        img: album.img,
+        category: album.category,
+        genre: album.genre,
+        description: album.description
+    };
+
+    if (!includeSongs) {
+        return formatted;
+    }
+
+    formatted.songs = dedupeSongs(album.songs).map(song => ({
+        id: song.id,
+        title: song.title,
+        src: song.src,
+        img: song.img || album.img,
+        duration: song.duration
+    }));
+    return formatted;
+};
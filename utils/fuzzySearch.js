@@ -0,0 +1,119 @@
+// Fuzzy text matching used by catalog search
+// Scores are in the range 0..1, where 1 is an exact match
+
+/**
+ * Normalize text for comparison: lowercase, strip accents and punctuation
+ * @param {string} text - Raw text
+ * @returns {string} Normalized text with single spaces between words
+ */
+export const normalizeText = (text) => {
+    if (!text) return '';
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+};
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character edits
+ */
+export const levenshtein = (a, b) => {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + cost
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Number of typos tolerated for a query word of the given length
+const allowedTypos = (length) => {
+    if (length >= 8) return 2;
+    if (length >= 4) return 1;
+    return 0;
+};
+
+// Score a single query word against a single field word
+const scoreWord = (queryWord, fieldWord) => {
+    if (queryWord === fieldWord) return 1;
+    if (fieldWord.startsWith(queryWord)) return 0.9;
+
+    const typos = allowedTypos(queryWord.length);
+    if (typos === 0) return 0;
+
+    // Compare against the same-length prefix too, so "shap" still finds "shape"
+    const prefix = fieldWord.slice(0, queryWord.length);
+    const distance = Math.min(
+        levenshtein(queryWord, fieldWord),
+        levenshtein(queryWord, prefix) + 1
+    );
+    if (distance > typos) return 0;
+
+    return 0.8 - 0.15 * distance;
+};
+
+/**
+ * Score how well a query matches a piece of text
+ * @param {string} query - Normalized search query
+ * @param {string} text - Text to match against (normalized internally)
+ * @returns {number} Score between 0 and 1
+ */
+export const scoreText = (query, text) => {
+    const field = normalizeText(text);
+    if (!query || !field) return 0;
+
+    if (field === query) return 1;
+    if (field.startsWith(query)) return 0.95;
+    if (field.includes(query)) return 0.85;
+
+    const queryWords = query.split(' ');
+    const fieldWords = field.split(' ');
+
+    let total = 0;
+    let matched = 0;
+    for (const queryWord of queryWords) {
+        let best = 0;
+        for (const fieldWord of fieldWords) {
+            best = Math.max(best, scoreWord(queryWord, fieldWord));
+            if (best === 1) break;
+        }
+        if (best > 0) matched++;
+        total += best;
+    }
+
+    // At least half of the query words have to match something
+    if (matched * 2 < queryWords.length) return 0;
+
+    return 0.8 * (total / queryWords.length);
+};
+
+/**
+ * Score a record by its best-matching weighted field
+ * @param {string} query - Normalized search query
+ * @param {Array<[string, number]>} fields - Pairs of [text, weight]
+ * @returns {number} Best weighted score
+ */
+export const scoreFields = (query, fields) => {
+    let best = 0;
+    for (const [text, weight] of fields) {
+        best = Math.max(best, scoreText(query, text) * weight);
+    }
+    return best;
+};
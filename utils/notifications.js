@@ -0,0 +1,38 @@
+// Shared helpers for in-app notifications
+
+// One line of text per type, for clients that just list notifications
+const MESSAGES = {
+    playlist_invite: (notification) => `${notification.actor?.username} invited you to collaborate on "${notification.playlists?.name}"`,
+    new_follower: (notification) => `${notification.actor?.username} started following you`,
+    album_release: (notification) => `New album from ${notification.albums?.artist}: "${notification.albums?.title}"`
+};
+
+/**
+ * Shape a notifications row, with its embedded actor, playlist and album, into the frontend format
+ * @param {object} notification - notifications row
+ * @returns {object} Notification as listed by GET /api/notifications
+ */
+export const formatNotification = (notification) => ({
+    id: notification.id,
+    type: notification.type,
+    message: MESSAGES[notification.type](notification),
+    read: !!notification.read_at,
+    readAt: notification.read_at,
+    createdAt: notification.created_at,
+    actor: notification.actor ? {
+        userId: notification.actor.id,
+        username: notification.actor.username,
+        profilePicture: notification.actor.profile_picture
+    } : null,
+    playlist: notification.playlists ? {
+        id: notification.playlists.id,
+        name: notification.playlists.name,
+        coverImage: notification.playlists.cover_image
+    } : null,
+    album: notification.albums ? {
+        id: notification.albums.id,
+        title: notification.albums.title,
+        artist: notification.albums.artist,
+        img: notification.albums.img
+    } : null
+});
@@ -0,0 +1,167 @@
+// Build the OpenAPI document from the mounted routers
+// Every route is listed; routes with a validate() spec also get their parameters, bodies and responses
+
+import { componentSchemas, ref } from '../schemas/components.js';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// "/:id/songs" -> "/{id}/songs"
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+const pathParamNames = (path) => [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+// v2 wraps every JSON body in { data, meta } or { error, meta }
+const envelopeSchemas = {
+    RequestMeta: {
+        type: 'object',
+        properties: { requestId: { type: 'string' } }
+    },
+    ErrorEnvelope: {
+        type: 'object',
+        properties: {
+            error: {
+                type: 'object',
+                properties: {
+                    code: { type: 'string' },
+                    message: { type: 'string' },
+                    details: { type: 'array', items: ref('FieldError') }
+                }
+            },
+            meta: ref('RequestMeta')
+        }
+    }
+};
+
+const wrapData = (schema) => ({
+    type: 'object',
+    properties: { data: schema, meta: ref('RequestMeta') }
+});
+
+const errorResponse = (description, envelope) => ({
+    description,
+    content: jsonContent(ref(envelope ? 'ErrorEnvelope' : 'Error'))
+});
+
+const objectParameters = (schema, location) => Object.entries(schema?.properties || {}).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === 'path' || (schema.required || []).includes(name),
+    description: property.description,
+    schema: property
+}));
+
+const buildOperation = ({ path, spec, tag, requiresAuth, requiresAdmin, envelope }) => {
+    const operation = {
+        tags: [tag],
+        summary: spec?.summary,
+        description: spec?.description,
+        parameters: [],
+        responses: {}
+    };
+
+    const declaredPathParams = objectParameters(spec?.params, 'path');
+    const declaredNames = new Set(declaredPathParams.map(param => param.name));
+    operation.parameters.push(
+        ...declaredPathParams,
+        ...pathParamNames(path)
+            .filter(name => !declaredNames.has(name))
+            .map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+        ...objectParameters(spec?.query, 'query')
+    );
+
+    if (spec?.body) {
+        operation.requestBody = {
+            required: true,
+            content: Object.fromEntries([].concat(spec.bodyType || 'application/json')
+                .map(contentType => [contentType, { schema: spec.body }]))
+        };
+    }
+
+    operation.responses[200] = {
+        description: 'Success',
+        ...(spec?.response ? { content: jsonContent(envelope ? wrapData(spec.response) : spec.response) } : {})
+    };
+    if (spec?.body || spec?.query || spec?.params) {
+        operation.responses[400] = errorResponse('Validation failed', envelope);
+    }
+    if (requiresAuth) {
+        operation.security = [{ bearerAuth: [] }];
+        operation.responses[401] = errorResponse('Missing, invalid or revoked access token', envelope);
+    }
+    if (requiresAdmin) {
+        operation.responses[403] = errorResponse('Admin access required', envelope);
+    }
+    // Route-specific errors share the error body shape unless they describe their own
+    for (const [status, response] of Object.entries(spec?.responses || {})) {
+        operation.responses[status] = Number(status) >= 400 && !response.content
+            ? errorResponse(response.description, envelope)
+            : response;
+    }
+    operation.responses[500] = errorResponse('Internal server error', envelope);
+
+    if (operation.parameters.length === 0) delete operation.parameters;
+    return operation;
+};
+
+/**
+ * Build an OpenAPI 3.0 document for a set of mounted routers
+ * @param {object} options
+ * @param {Array<[string, object]>} options.mounts - [mountPath, router] pairs as passed to app.use
+ * @param {boolean} [options.envelope] - Describe responses wrapped in the v2 envelope
+ * @param {string} [options.basePath] - Prefix for every path, e.g. "/v2"
+ * @param {object} [options.info] - OpenAPI info block
+ * @returns {object} OpenAPI document
+ */
+export const buildOpenApiDocument = ({ mounts, envelope = false, basePath = '', info }) => {
+    const paths = {};
+
+    for (const [mountPath, router] of mounts) {
+        const tag = mountPath.split('/').filter(Boolean).pop();
+        let routerRequiresAuth = false;
+
+        for (const layer of router.stack) {
+            // router.use(authenticateToken) protects every route declared after it
+            if (!layer.route) {
+                if (layer.handle === authenticateToken) routerRequiresAuth = true;
+                continue;
+            }
+
+            const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+            const spec = handlers.find(handler => handler.openapi)?.openapi;
+            const path = `${basePath}${mountPath}${layer.route.path === '/' ? '' : layer.route.path}` || '/';
+            const openApiPath = toOpenApiPath(path);
+
+            for (const method of METHODS.filter(m => layer.route.methods[m])) {
+                paths[openApiPath] = paths[openApiPath] || {};
+                paths[openApiPath][method] = buildOperation({
+                    path,
+                    spec,
+                    tag,
+                    requiresAuth: routerRequiresAuth || handlers.includes(authenticateToken),
+                    requiresAdmin: handlers.includes(requireAdmin) || router.stack.some(l => !l.route && l.handle === requireAdmin),
+                    envelope
+                });
+            }
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info,
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: {
+                    type: 'apiKey',
+                    in: 'header',
+                    name: 'Authorization',
+                    description: 'The access token from /users/signin, sent as-is or as "Bearer <token>"'
+                }
+            },
+            schemas: envelope ? { ...componentSchemas, ...envelopeSchemas } : componentSchemas
+        }
+    };
+};
@@ -0,0 +1,54 @@
+// Shared helpers for limit/offset pagination on list endpoints
+
+export const DEFAULT_PAGE_SIZE = 20;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Parse limit/offset query params into safe integers
+ * @param {object} query - Express req.query
+ * @param {object} [options] - Optional overrides for defaultLimit and maxLimit
+ * @returns {{ limit: number, offset: number }}
+ */
+export const parsePagination = (query, options = {}) => {
+    const defaultLimit = options.defaultLimit || DEFAULT_PAGE_SIZE;
+    const maxLimit = options.maxLimit || MAX_PAGE_SIZE;
+
+    let limit = parseInt(query.limit, 10);
+    let offset = parseInt(query.offset, 10);
+
+    if (Number.isNaN(limit) || limit < 1) limit = defaultLimit;
+    if (limit > maxLimit) limit = maxLimit;
+    if (Number.isNaN(offset) || offset < 0) offset = 0;
+
+    return { limit, offset };
+};
+
+/**
+ * Build the pagination block returned alongside list results
+ * @param {number} limit - Page size
+ * @param {number} offset - Number of items skipped
+ * @param {number} total - Total number of matching items
+ * @returns {{ limit: number, offset: number, total: number, hasMore: boolean }}
+ */
+export const buildPagination = (limit, offset, total) => ({
+    limit,
+    offset,
+    total,
+    hasMore: offset + limit < total
+});
+
+// Postgres keeps microseconds, which Date.parse drops: count them separately
+const toEpochMicros = (timestamp) => {
+    const fraction = /\.(\d+)/.exec(timestamp)?.[1] || '';
+    return Date.parse(timestamp.replace(/\.\d+/, '')) * 1000 + Number(fraction.padEnd(6, '0').slice(0, 6));
+};
+
+/**
+ * Order keyset positions newest first, then by id, the order newest-first lists are paged in
+ * Times are compared to the microsecond, so rows from the same millisecond keep their database order
+ * @param {{ time: string, id: string }} a - Position of one row
+ * @param {{ time: string, id: string }} b - Position of another row
+ * @returns {number} Array.prototype.sort comparator result
+ */
+export const compareNewestFirst = (a, b) =>
+    Math.sign(toEpochMicros(b.time) - toEpochMicros(a.time)) || (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
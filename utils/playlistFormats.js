@@ -0,0 +1,293 @@
+// Playlist file formats: M3U8, XSPF and JSON
+// Tracks are plain objects: { title, artist, album, src, duration } with duration in seconds
+
+import { normalizeText } from './fuzzySearch.js';
+
+export const PLAYLIST_FORMATS = {
+    m3u8: { contentType: 'audio/x-mpegurl; charset=utf-8', extension: 'm3u8' },
+    xspf: { contentType: 'application/xspf+xml; charset=utf-8', extension: 'xspf' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const unescapeXml = (value) => value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&amp;/g, '&');
+
+// M3U lines must not contain line breaks
+const singleLine = (value) => String(value || '').replace(/[\r\n]+/g, ' ').trim();
+
+const toM3U8 = (playlist, tracks) => {
+    const lines = ['#EXTM3U', `#PLAYLIST:${singleLine(playlist.name)}`];
+    for (const track of tracks) {
+        const label = track.artist ? `${singleLine(track.artist)} - ${singleLine(track.title)}` : singleLine(track.title);
+        lines.push(`#EXTINF:${Number.isInteger(track.duration) ? track.duration : -1},${label}`);
+        lines.push(singleLine(track.src));
+    }
+    return lines.join('\n') + '\n';
+};
+
+const toXSPF = (playlist, tracks) => {
+    const optional = (tag, value) => (value ? `\n      <${tag}>${escapeXml(value)}</${tag}>` : '');
+    const trackXml = tracks.map(track =>
+        '    <track>' +
+        optional('location', track.src) +
+        optional('title', track.title) +
+        optional('creator', track.artist) +
+        optional('album', track.album) +
+        (Number.isInteger(track.duration) ? `\n      <duration>${track.duration * 1000}</duration>` : '') +
+        '\n    </track>'
+    ).join('\n');
+
+    return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+        '<playlist version="1" xmlns="http://xspf.org/ns/0/">\n' +
+        `  <title>${escapeXml(playlist.name)}</title>\n` +
+        (playlist.description ? `  <annotation>${escapeXml(playlist.description)}</annotation>\n` : '') +
+        '  <trackList>\n' +
+        (trackXml ? trackXml + '\n' : '') +
+        '  </trackList>\n' +
+        '</playlist>\n';
+};
+
+const toJSON = (playlist, tracks) => JSON.stringify({
+    name: playlist.name,
+    description: playlist.description || null,
+    tracks: tracks.map(track => ({
+        title: track.title,
+        artist: track.artist || null,
+        album: track.album || null,
+        src: track.src || null,
+        duration: Number.isInteger(track.duration) ? track.duration : null
+    }))
+}, null, 2);
+
+/**
+ * Serialize a playlist to a file format
+ * @param {string} format - One of the PLAYLIST_FORMATS keys
+ * @param {object} playlist - { name, description }
+ * @param {Array<object>} tracks - Tracks in playlist order
+ * @returns {string} File contents
+ */
+export const serializePlaylist = (format, playlist, tracks) => {
+    if (format === 'm3u8') return toM3U8(playlist, tracks);
+    if (format === 'xspf') return toXSPF(playlist, tracks);
+    if (format === 'json') return toJSON(playlist, tracks);
+    throw new Error(`Unsupported playlist format: ${format}`);
+};
+
+// "Artist - Title" as written by most players in #EXTINF lines
+const splitArtistTitle = (label) => {
+    const separator = label.indexOf(' - ');
+    if (separator === -1) return { artist: null, title: label };
+    return { artist: label.slice(0, separator).trim(), title: label.slice(separator + 3).trim() };
+};
+
+const parseM3U = (content) => {
+    let name = null;
+    const tracks = [];
+    let pending = null;
+
+    for (const rawLine of content.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line) continue;
+
+        if (line.startsWith('#PLAYLIST:')) {
+            name = line.slice('#PLAYLIST:'.length).trim() || null;
+        } else if (line.startsWith('#EXTINF:')) {
+            const info = line.slice('#EXTINF:'.length);
+            const comma = info.indexOf(',');
+            const duration = parseInt(comma === -1 ? info : info.slice(0, comma), 10);
+            const label = comma === -1 ? '' : info.slice(comma + 1).trim();
+            pending = {
+                ...splitArtistTitle(label),
+                label,
+                duration: Number.isInteger(duration) && duration >= 0 ? duration : null
+            };
+        } else if (!line.startsWith('#')) {
+            const fileName = decodeURIComponentSafe(line.split(/[\\/]/).pop().replace(/\.[a-z0-9]+$/i, ''));
+            tracks.push({
+                title: pending?.title || fileName,
+                artist: pending?.artist || null,
+                label: pending?.label || fileName,
+                src: line,
+                duration: pending?.duration ?? null
+            });
+            pending = null;
+        }
+    }
+
+    return { name, tracks };
+};
+
+const decodeURIComponentSafe = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (error) {
+        return value;
+    }
+};
+
+const xmlText = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+    return match ? unescapeXml(match[1]).trim() : null;
+};
+
+const parseXSPF = (content) => {
+    const trackListStart = content.search(/<trackList/i);
+    const header = trackListStart === -1 ? content : content.slice(0, trackListStart);
+    const tracks = [];
+
+    for (const match of content.matchAll(/<track(?:\s[^>]*)?>([\s\S]*?)<\/track>/gi)) {
+        const block = match[1];
+        const durationMs = parseInt(xmlText(block, 'duration'), 10);
+        const title = xmlText(block, 'title');
+        const artist = xmlText(block, 'creator');
+        tracks.push({
+            title,
+            artist,
+            album: xmlText(block, 'album'),
+            label: artist && title ? `${artist} - ${title}` : title,
+            src: xmlText(block, 'location'),
+            duration: Number.isInteger(durationMs) && durationMs >= 0 ? Math.round(durationMs / 1000) : null
+        });
+    }
+
+    return {
+        name: xmlText(header, 'title'),
+        description: xmlText(header, 'annotation'),
+        tracks
+    };
+};
+
+const parseJSON = (content) => {
+    const parsed = JSON.parse(content);
+    const list = Array.isArray(parsed) ? parsed : parsed.tracks;
+    if (!Array.isArray(list)) {
+        throw new Error('JSON playlists must be an array of tracks or an object with a "tracks" array');
+    }
+
+    return {
+        name: Array.isArray(parsed) ? null : parsed.name || null,
+        description: Array.isArray(parsed) ? null : parsed.description || null,
+        tracks: list.map(track => ({
+            title: track.title || track.songTitle || null,
+            artist: track.artist || null,
+            album: track.album || null,
+            label: track.artist && track.title ? `${track.artist} - ${track.title}` : track.title || null,
+            src: track.src || track.songSrc || null,
+            duration: Number.isInteger(track.duration) ? track.duration : null
+        }))
+    };
+};
+
+/**
+ * Guess a playlist file's format from its name or contents
+ * @param {string} content - File contents
+ * @param {string} [fileName] - Original file name
+ * @returns {string|null} Format key, or null if unknown
+ */
+export const detectPlaylistFormat = (content, fileName) => {
+    const ext = (fileName || '').toLowerCase().split('.').pop();
+    if (ext === 'm3u' || ext === 'm3u8') return 'm3u8';
+    if (ext === 'xspf') return 'xspf';
+    if (ext === 'json') return 'json';
+
+    const start = content.trimStart();
+    if (start.startsWith('#EXTM3U')) return 'm3u8';
+    if (start.startsWith('<')) return 'xspf';
+    if (start.startsWith('{') || start.startsWith('[')) return 'json';
+    return null;
+};
+
+/**
+ * Parse a playlist file
+ * @param {string} format - One of the PLAYLIST_FORMATS keys (m3u files use m3u8)
+ * @param {string} content - File contents
+ * @returns {{ name: string|null, description?: string|null, tracks: Array<object> }}
+ */
+export const parsePlaylist = (format, content) => {
+    if (format === 'm3u8') return parseM3U(content);
+    if (format === 'xspf') return parseXSPF(content);
+    if (format === 'json') return parseJSON(content);
+    throw new Error(`Unsupported playlist format: ${format}`);
+};
+
+const safeDecode = (value) => decodeURIComponentSafe(String(value || '')).trim();
+
+const addToIndex = (index, key, song) => {
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(song);
+};
+
+/**
+ * Match imported tracks against the song catalog
+ * Tries the source URL first, then title + artist, then a title that is unique in the catalog.
+ * M3U labels ("Artist - Title") are also tried as a whole title, since some catalog titles contain " - ".
+ * @param {Array<object>} tracks - Parsed tracks from parsePlaylist
+ * @param {Array<object>} catalog - Songs with their album embedded as `albums`
+ * @returns {{ matched: Array<{ index: number, track: object, song: object, matchedBy: string }>, unmatched: Array<{ index: number, track: object, reason: string }> }}
+ */
+export const matchCatalogTracks = (tracks, catalog) => {
+    const bySrc = new Map();
+    const byTitle = new Map();
+    const byTitleArtist = new Map();
+
+    for (const song of catalog) {
+        if (song.src) bySrc.set(safeDecode(song.src), song);
+        const title = normalizeText(song.title);
+        addToIndex(byTitle, title, song);
+        addToIndex(byTitleArtist, `${title}|${normalizeText(song.albums?.artist)}`, song);
+    }
+
+    const matched = [];
+    const unmatched = [];
+
+    tracks.forEach((track, index) => {
+        if (track.src && bySrc.has(safeDecode(track.src))) {
+            matched.push({ index, track, song: bySrc.get(safeDecode(track.src)), matchedBy: 'src' });
+            return;
+        }
+
+        const artist = normalizeText(track.artist);
+        const titles = [...new Set([normalizeText(track.title), normalizeText(track.label)])].filter(Boolean);
+        if (titles.length === 0) {
+            unmatched.push({ index, track, reason: 'missing_title' });
+            return;
+        }
+
+        let ambiguous = false;
+        for (const title of titles) {
+            const candidates = artist ? byTitleArtist.get(`${title}|${artist}`) : null;
+            if (candidates?.length === 1) {
+                matched.push({ index, track, song: candidates[0], matchedBy: 'title_artist' });
+                return;
+            }
+            if (candidates?.length > 1) ambiguous = true;
+        }
+        for (const title of titles) {
+            const candidates = byTitle.get(title) || [];
+            if (candidates.length === 1) {
+                matched.push({ index, track, song: candidates[0], matchedBy: 'title' });
+                return;
+            }
+            if (candidates.length > 1) ambiguous = true;
+        }
+
+        unmatched.push({ index, track, reason: ambiguous ? 'ambiguous' : 'not_found' });
+    });
+
+    return { matched, unmatched };
+};
@@ -0,0 +1,47 @@
+// Shared helpers for shaping playlist rows and managing share links
+
+import crypto from 'crypto';
+
+export const PLAYLIST_VISIBILITIES = ['private', 'unlisted', 'public'];
+
+/**
+ * Generate an unguessable slug for share links (96 random bits)
+ * @returns {string} URL-safe slug
+ */
+export const generateShareSlug = () => crypto.randomBytes(12).toString('base64url');
+
+/**
+ * Shape a playlist_songs row into the frontend format
+ * @param {object} song - playlist_songs row
+ * @returns {object} Formatted track
+ */
+export const formatPlaylistSong = (song) => ({
+    id: song.id,
+    title: song.song_title,
+    src: song.song_src,
+    img: song.song_img,
+    albumId: song.album_id,
+    albumCover: song.song_img,
+    artist: song.artist,
+    position: song.position,
+    addedBy: song.added_by,
+    addedAt: song.added_at
+});
+
+/**
+ * Shape a playlists row into the frontend format
+ * @param {object} playlist - playlists row
+ * @param {object} [extra] - Additional fields to merge in (e.g. songs, role)
+ * @returns {object} Formatted playlist
+ */
+export const formatPlaylist = (playlist, extra = {}) => ({
+    id: playlist.id,
+    name: playlist.name,
+    description: playlist.description,
+    coverImage: playlist.cover_image,
+    visibility: playlist.visibility,
+    shareSlug: playlist.visibility === 'private' ? null : playlist.share_slug,
+    createdAt: playlist.created_at,
+    updatedAt: playlist.updated_at,
+    ...extra
+});
@@ -0,0 +1,42 @@
+// Shared helpers for user profiles and the follow graph
+
+/**
+ * Parse a JSON column that older rows may store as a string (social_links, preferences)
+ * @param {object|string|null} value - Column value
+ * @returns {object} Parsed object, empty when missing or malformed
+ */
+export const parseJsonColumn = (value) => {
+    if (!value) return {};
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return {};
+    }
+};
+
+/**
+ * Whether the profile's privacy preference hides its social graph from other users
+ * @param {object} profile - user_profiles row
+ * @returns {boolean}
+ */
+export const isPrivateProfile = (profile) => parseJsonColumn(profile.preferences).privacy === 'private';
+
+/**
+ * Whether the user accepts in-app notifications (preferences.notifications, on unless set to false)
+ * @param {object} profile - user_profiles row
+ * @returns {boolean}
+ */
+export const wantsNotifications = (profile) => parseJsonColumn(profile.preferences).notifications !== false;
+
+/**
+ * Describe how the viewer and another user follow each other
+ * @param {boolean} following - The viewer follows the user
+ * @param {boolean} followedBy - The user follows the viewer
+ * @returns {{ following: boolean, followedBy: boolean, mutual: boolean }}
+ */
+export const buildRelationship = (following, followedBy) => ({
+    following,
+    followedBy,
+    mutual: following && followedBy
+});
@@ -0,0 +1,257 @@
+// In-process recommendation scoring over the song catalog
+// Signals come from the user's favorites, playlists and listening history; scores are in the range 0..1
+
+import { normalizeText } from './fuzzySearch.js';
+
+// How much one interaction of each kind says about a user's taste
+export const SIGNAL_WEIGHTS = { favorite: 3, playlist: 2, play: 1 };
+
+// Plays lose half their weight every 30 days, and repeated plays of one song are capped
+const PLAY_HALF_LIFE_DAYS = 30;
+const MAX_PLAY_WEIGHT = 3;
+
+// Share of the final score taken by each feature
+const FEATURE_WEIGHTS = {
+    co_occurrence: 0.4,
+    artist: 0.3,
+    genre: 0.15,
+    category: 0.1,
+    popularity: 0.05
+};
+
+const MAX_REASONS = 2;
+
+const SIGNAL_VERBS = { favorite: 'liked', playlist: 'added', play: 'listened to' };
+
+/**
+ * Build a lookup that maps denormalized song references (playlist and history rows) to catalog songs
+ * Matches on src first, then title within the album, then a title that is unique in the catalog
+ * @param {Array<object>} songs - Catalog songs with id, title, src and album_id
+ * @returns {(ref: { src?: string, title?: string, albumId?: string }) => object|null}
+ */
+export const createSongResolver = (songs) => {
+    const bySrc = new Map();
+    const byAlbumTitle = new Map();
+    const byTitle = new Map();
+
+    for (const song of songs) {
+        if (song.src) bySrc.set(song.src, song);
+        const title = normalizeText(song.title);
+        byAlbumTitle.set(`${song.album_id}|${title}`, song);
+        byTitle.set(title, byTitle.has(title) ? null : song);
+    }
+
+    return ({ src, title, albumId }) => {
+        if (src && bySrc.has(src)) return bySrc.get(src);
+        const normalized = normalizeText(title);
+        if (!normalized) return null;
+        if (albumId && byAlbumTitle.has(`${albumId}|${normalized}`)) return byAlbumTitle.get(`${albumId}|${normalized}`);
+        return byTitle.get(normalized) || null;
+    };
+};
+
+const daysSince = (date, now) => {
+    const days = (now - new Date(date).getTime()) / 86400000;
+    return Number.isFinite(days) ? Math.max(0, days) : 0;
+};
+
+// Collapse interactions into one weight per song, remembering which kind contributed most
+const buildSeeds = (interactions, now) => {
+    const seeds = new Map();
+
+    for (const { songId, kind, at } of interactions) {
+        const seed = seeds.get(songId) || { weight: 0, playWeight: 0, byKind: {} };
+        let weight = SIGNAL_WEIGHTS[kind];
+
+        if (kind === 'play') {
+            weight *= at ? Math.pow(0.5, daysSince(at, now) / PLAY_HALF_LIFE_DAYS) : 1;
+            weight = Math.min(weight, MAX_PLAY_WEIGHT - seed.playWeight);
+            seed.playWeight += weight;
+        } else if (seed.byKind[kind]) {
+            // A song in several playlists counts once
+            continue;
+        }
+
+        seed.weight += weight;
+        seed.byKind[kind] = (seed.byKind[kind] || 0) + weight;
+        seeds.set(songId, seed);
+    }
+
+    for (const seed of seeds.values()) {
+        seed.kind = Object.entries(seed.byKind).sort((a, b) => b[1] - a[1])[0][0];
+    }
+    return seeds;
+};
+
+// Share of the user's seed weight that falls on each value of a song attribute
+const buildAffinity = (seeds, songsById, keyOf) => {
+    const totals = new Map();
+    const topSeeds = new Map();
+    let total = 0;
+
+    for (const [songId, seed] of seeds) {
+        const song = songsById.get(songId);
+        if (!song) continue;
+        total += seed.weight;
+
+        const key = keyOf(song);
+        if (!key) continue;
+        totals.set(key, (totals.get(key) || 0) + seed.weight);
+
+        const top = topSeeds.get(key);
+        if (!top || seed.weight > seeds.get(top).weight) topSeeds.set(key, songId);
+    }
+
+    const affinity = new Map();
+    for (const [key, weight] of totals) {
+        affinity.set(key, { score: weight / total, seedId: topSeeds.get(key) });
+    }
+    return affinity;
+};
+
+// Count how often candidate songs appear in the same playlist or favorites list as a seed
+// Large baskets say less about any pair of songs in them, so they count for less
+const buildCoOccurrence = (seeds, baskets) => {
+    const scores = new Map();
+
+    for (const basket of baskets) {
+        const songIds = [...new Set(basket)];
+        const seedIds = songIds.filter(id => seeds.has(id));
+        if (seedIds.length === 0 || songIds.length < 2) continue;
+
+        const basketWeight = 1 / Math.log2(songIds.length + 1);
+        for (const candidateId of songIds) {
+            if (seeds.has(candidateId)) continue;
+
+            const entry = scores.get(candidateId) || { score: 0, bySeed: new Map() };
+            for (const seedId of seedIds) {
+                const contribution = seeds.get(seedId).weight * basketWeight;
+                entry.score += contribution;
+                entry.bySeed.set(seedId, (entry.bySeed.get(seedId) || 0) + contribution);
+            }
+            scores.set(candidateId, entry);
+        }
+    }
+
+    const max = Math.max(0, ...[...scores.values()].map(entry => entry.score));
+    for (const entry of scores.values()) {
+        entry.score = max > 0 ? entry.score / max : 0;
+        entry.seedId = [...entry.bySeed.entries()].sort((a, b) => b[1] - a[1])[0][0];
+    }
+    return scores;
+};
+
+const describeReason = (type, seed, seedSong, song) => {
+    if (type === 'popularity') {
+        return { type, message: 'Popular on JustVibe' };
+    }
+
+    const because = `Because you ${SIGNAL_VERBS[seed.kind]} "${seedSong.title}"`;
+    const details = {
+        co_occurrence: `${because}, often found alongside this song`,
+        artist: `${because} by ${song.artist}`,
+        genre: `${because}, also ${song.genre}`,
+        category: `${because}, also ${song.category}`
+    };
+
+    return {
+        type,
+        message: details[type],
+        seed: { songId: seedSong.id, title: seedSong.title, signal: seed.kind }
+    };
+};
+
+const roundScore = (score) => Math.round(score * 1000) / 1000;
+
+/**
+ * Score catalog songs and albums for a user
+ * @param {object} input
+ * @param {Array<object>} input.songs - Catalog songs, flattened with album fields: id, title, src, img, duration, album_id, albumTitle, artist, genre, category, playCount
+ * @param {Array<{ songId: string, kind: string, at?: string }>} input.interactions - The user's favorites, playlist tracks and plays
+ * @param {Array<Array<string>>} input.baskets - Song ID lists from other users' playlists and favorites
+ * @param {number} [input.now] - Current time in ms, for play decay
+ * @returns {{ songs: Array<object>, albums: Array<object> }} Ranked recommendations, best first, excluding songs the user already knows
+ */
+export const recommend = ({ songs, interactions, baskets, now = Date.now() }) => {
+    const songsById = new Map(songs.map(song => [song.id, song]));
+    const seeds = buildSeeds(interactions.filter(i => songsById.has(i.songId)), now);
+
+    const affinities = {
+        artist: buildAffinity(seeds, songsById, song => normalizeText(song.artist)),
+        genre: buildAffinity(seeds, songsById, song => normalizeText(song.genre)),
+        category: buildAffinity(seeds, songsById, song => normalizeText(song.category))
+    };
+    const coOccurrence = buildCoOccurrence(seeds, baskets);
+    const maxPlays = Math.max(0, ...songs.map(song => song.playCount || 0));
+
+    const songResults = [];
+    for (const song of songs) {
+        if (seeds.has(song.id)) continue;
+
+        const features = [];
+        const co = coOccurrence.get(song.id);
+        if (co?.score) features.push({ type: 'co_occurrence', value: co.score, seedId: co.seedId });
+
+        for (const [type, keyOf] of [
+            ['artist', s => s.artist],
+            ['genre', s => s.genre],
+            ['category', s => s.category]
+        ]) {
+            const affinity = affinities[type].get(normalizeText(keyOf(song)));
+            if (affinity) features.push({ type, value: affinity.score, seedId: affinity.seedId });
+        }
+
+        if (maxPlays > 0 && song.playCount) {
+            features.push({ type: 'popularity', value: Math.log1p(song.playCount) / Math.log1p(maxPlays) });
+        }
+
+        const contributions = features
+            .map(feature => ({ ...feature, contribution: feature.value * FEATURE_WEIGHTS[feature.type] }))
+            .sort((a, b) => b.contribution - a.contribution);
+        const score = contributions.reduce((sum, feature) => sum + feature.contribution, 0);
+        if (score <= 0) continue;
+
+        // Explain with the strongest features, naming a different seed song each time where possible
+        const reasons = [];
+        const usedSeeds = new Set();
+        for (const feature of contributions) {
+            if (reasons.length >= MAX_REASONS) break;
+            if (feature.seedId && usedSeeds.has(feature.seedId)) continue;
+            if (feature.seedId) usedSeeds.add(feature.seedId);
+            reasons.push(describeReason(
+                feature.type,
+                seeds.get(feature.seedId),
+                songsById.get(feature.seedId),
+                song
+            ));
+        }
+
+        songResults.push({ song, score, reasons });
+    }
+
+    songResults.sort((a, b) => b.score - a.score || a.song.title.localeCompare(b.song.title));
+
+    // An album ranks by its best unheard song, with a small boost for having several good ones
+    const albums = new Map();
+    for (const result of songResults) {
+        const album = albums.get(result.song.album_id);
+        if (!album) {
+            albums.set(result.song.album_id, { best: result, total: result.score, count: 1 });
+        } else {
+            album.total += result.score;
+            album.count += 1;
+        }
+    }
+
+    const albumResults = [...albums.values()]
+        .map(({ best, total, count }) => ({
+            best,
+            score: Math.min(1, best.score + 0.1 * (total - best.score) / count)
+        }))
+        .sort((a, b) => b.score - a.score || a.best.song.albumTitle.localeCompare(b.best.song.albumTitle));
+
+    return {
+        songs: songResults.map(({ song, score, reasons }) => ({ song, score: roundScore(score), reasons })),
+        albums: albumResults.map(({ best, score }) => ({ song: best.song, score: roundScore(score), reasons: best.reasons }))
+    };
+};
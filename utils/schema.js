@@ -0,0 +1,186 @@
+// Validation for the JSON Schema subset used by route schemas (OpenAPI 3.0 flavour)
+// Supported: type, nullable, enum, minLength, maxLength, pattern, format, minimum, maximum,
+// properties, required, additionalProperties, items, minItems, maxItems, allOf, anyOf and $ref
+// to '#/components/schemas/<Name>'. Other keywords (description, example, default) are documentation only.
+
+import { componentSchemas } from '../schemas/components.js';
+
+const FORMATS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+    uri: /^[a-z][a-z0-9+.-]*:\/\/\S+$/i,
+    'date-time': /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/
+};
+
+const REF_PREFIX = '#/components/schemas/';
+
+const resolve = (schema) => {
+    if (!schema?.$ref) return schema;
+    const target = componentSchemas[schema.$ref.slice(REF_PREFIX.length)];
+    if (!target) {
+        throw new Error(`Unknown schema reference: ${schema.$ref}`);
+    }
+    return resolve(target);
+};
+
+const typeOf = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+// Query strings, route params and multipart fields arrive as strings
+const coerceValue = (type, value) => {
+    if (typeof value !== 'string') return value;
+    if ((type === 'integer' || type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (type === 'boolean' && (value === 'true' || value === 'false')) {
+        return value === 'true';
+    }
+    return value;
+};
+
+const label = (path) => path || 'value';
+
+const matchesType = (type, value) => {
+    const actual = typeOf(value);
+    if (type === 'number') return actual === 'number' || actual === 'integer';
+    return actual === type;
+};
+
+const TYPE_NAMES = {
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'a boolean',
+    object: 'an object',
+    array: 'an array'
+};
+
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+const check = (rawSchema, value, path, options, errors) => {
+    const schema = resolve(rawSchema);
+    if (!schema) return;
+
+    if (schema.allOf) {
+        schema.allOf.forEach(branch => check(branch, value, path, options, errors));
+    }
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(branch => {
+            const branchErrors = [];
+            check(branch, value, path, options, branchErrors);
+            return branchErrors.length === 0;
+        });
+        if (!matches) {
+            // Alternatives like "songId or songSrc" are reported against the first one
+            const firstRequired = schema.anyOf[0]?.required?.[0];
+            errors.push({
+                field: firstRequired ? joinPath(path, firstRequired) : label(path),
+                message: schema['x-anyOfMessage'] || `${label(path)} does not match any allowed shape`
+            });
+            return;
+        }
+    }
+
+    if (value === null) {
+        if (schema.type && !schema.nullable) {
+            errors.push({ field: label(path), message: `${label(path)} must not be null` });
+        }
+        return;
+    }
+
+    if (schema.type) {
+        if (options.coerce) value = coerceValue(schema.type, value);
+        if (!matchesType(schema.type, value)) {
+            errors.push({ field: label(path), message: `${label(path)} must be ${TYPE_NAMES[schema.type] || schema.type}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ field: label(path), message: `${label(path)} must be one of: ${schema.enum.join(', ')}` });
+        return;
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+            errors.push({
+                field: label(path),
+                message: schema.minLength === 1
+                    ? `${label(path)} is required`
+                    : `${label(path)} must be at least ${schema.minLength} characters long`
+            });
+        } else if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            errors.push({ field: label(path), message: `${label(path)} must be at most ${schema.maxLength} characters` });
+        } else if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ field: label(path), message: `${label(path)} has an invalid format` });
+        } else if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+            errors.push({ field: label(path), message: `${label(path)} must be a valid ${schema.format}` });
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ field: label(path), message: `${label(path)} must be at least ${schema.minimum}` });
+        } else if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ field: label(path), message: `${label(path)} must be at most ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({
+                field: label(path),
+                message: schema.minItems === 1
+                    ? `${label(path)} must not be empty`
+                    : `${label(path)} must have at least ${schema.minItems} items`
+            });
+        } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ field: label(path), message: `${label(path)} must have at most ${schema.maxItems} items` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => check(schema.items, item, `${label(path)}[${index}]`, options, errors));
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const required = schema.required || [];
+        for (const key of required) {
+            if (value[key] === undefined || value[key] === '') {
+                errors.push({ field: joinPath(path, key), message: `${joinPath(path, key)} is required` });
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, propertyValue] of Object.entries(value)) {
+            if (propertyValue === undefined) continue;
+            if (properties[key]) {
+                // An empty field is either already reported as missing or means "no value",
+                // unless the field itself demands content
+                if (propertyValue === '' && (required.includes(key) || !resolve(properties[key]).minLength)) continue;
+                check(properties[key], propertyValue, joinPath(path, key), options, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: joinPath(path, key), message: `Unknown field: ${joinPath(path, key)}` });
+            } else if (typeof schema.additionalProperties === 'object') {
+                check(schema.additionalProperties, propertyValue, joinPath(path, key), options, errors);
+            }
+        }
+    }
+};
+
+/**
+ * Validate a value against a schema
+ * @param {object} schema - JSON Schema (subset), may use $ref to shared component schemas
+ * @param {*} value - Value to check
+ * @param {object} [options] - Set coerce to accept numbers and booleans written as strings
+ * @returns {Array<{ field: string, message: string }>} Validation errors, empty when valid
+ */
+export const validateSchema = (schema, value, options = {}) => {
+    const errors = [];
+    check(schema, value, options.path || '', { coerce: !!options.coerce }, errors);
+    return errors;
+};